@@ -0,0 +1,107 @@
+const { getPool, json } = require("../lib/db");
+const { HttpError, route, pathId, parseBody, query, notFound } = require("../lib/http");
+const { ROUND_SELECT, rowToRound } = require("../lib/rounds");
+const { validateSession, sessionToParams, rowToSession } = require("../lib/sessions");
+const { authenticate, newJoinCode, normalizeCode } = require("../lib/workspaces");
+
+// Live scoreboard for one session, polled by read-only viewers.
+//   POST   /live            { session }  member shares a session -> { code }
+//   GET    /live/:code?since=<cursor>    no token needed; the code is the credential
+//   DELETE /live/:code                   member stops sharing
+// GET returns the rounds written since the cursor (tombstones included) and
+// the cursor to send next time. Cursors are server write times (rounds.synced_at).
+
+const LIVE_CODE_LENGTH = 8;
+// Rounds written by a transaction that started before the previous poll but
+// committed after it carry an older synced_at; re-sending a few seconds of
+// overlap catches them, and viewers merge by id so repeats are harmless.
+const CURSOR_OVERLAP = "5 seconds";
+
+async function shareSession(pool, auth, session) {
+  const invalid = validateSession(session);
+  if (invalid) throw new HttpError(400, invalid);
+  if (!session.id) throw new HttpError(400, "session.id is required");
+  // A session with no rounds yet only exists on the sharing device
+  await pool.query(
+    `INSERT INTO sessions (workspace_id, id, date, played_on, label, started_at, players, rules_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (workspace_id, id) DO NOTHING;`,
+    [auth.workspaceId, ...sessionToParams(session)]
+  );
+  const existing = await pool.query(
+    `SELECT code FROM live_shares WHERE workspace_id = $1 AND session_id = $2;`,
+    [auth.workspaceId, String(session.id)]
+  );
+  if (existing.rows.length) return existing.rows[0].code;
+  const result = await pool.query(
+    `INSERT INTO live_shares (code, workspace_id, session_id) VALUES ($1, $2, $3)
+     ON CONFLICT (workspace_id, session_id) DO UPDATE SET workspace_id = EXCLUDED.workspace_id
+     RETURNING code;`,
+    [newJoinCode(LIVE_CODE_LENGTH), auth.workspaceId, String(session.id)]
+  );
+  return result.rows[0].code;
+}
+
+const createHandler = (pool) =>
+  route({
+    GET: async (event) => {
+      const code = normalizeCode(pathId(event, "live"));
+      if (!code) throw new HttpError(400, "GET needs a live code: /live/:code");
+      const share = await pool.query(
+        `SELECT s.*, (SELECT NOW()) AS server_time FROM live_shares l
+         JOIN sessions s ON s.workspace_id = l.workspace_id AND s.id = l.session_id
+         WHERE l.code = $1;`,
+        [code]
+      );
+      if (share.rows.length === 0) throw notFound("Live scoreboard", code);
+      const row = share.rows[0];
+
+      const { since } = query(event);
+      if (since !== undefined && Number.isNaN(Date.parse(since))) throw new HttpError(400, "since must be a cursor from a previous response");
+      const rounds = since
+        ? await pool.query(
+            `${ROUND_SELECT} WHERE r.workspace_id = $1 AND r.session_id = $2
+               AND r.synced_at > $3::timestamptz - interval '${CURSOR_OVERLAP}'
+             ORDER BY r.created_at;`,
+            [row.workspace_id, row.id, since]
+          )
+        : await pool.query(
+            `${ROUND_SELECT} WHERE r.workspace_id = $1 AND r.session_id = $2 AND r.deleted_at IS NULL ORDER BY r.created_at;`,
+            [row.workspace_id, row.id]
+          );
+      const names = await pool.query(
+        `SELECT jsonb_object_agg(id, name) AS names FROM players WHERE workspace_id = $1 AND $2::jsonb ? id;`,
+        [row.workspace_id, JSON.stringify(row.players)]
+      );
+
+      // Never move the cursor backwards: overlap rows can be older than `since`
+      const start = since ? new Date(since) : null;
+      const latest = rounds.rows.reduce((max, r) => (!max || r.synced_at > max ? r.synced_at : max), start);
+      return json(200, {
+        session: rowToSession(row),
+        names: names.rows[0].names ?? {},
+        rounds: rounds.rows.map(rowToRound),
+        cursor: new Date(latest ?? row.server_time).toISOString(),
+      });
+    },
+
+    POST: async (event) => {
+      const auth = await authenticate(pool, event);
+      const { session } = parseBody(event);
+      return json(200, { code: await shareSession(pool, auth, session) });
+    },
+
+    DELETE: async (event) => {
+      const auth = await authenticate(pool, event);
+      const code = normalizeCode(pathId(event, "live"));
+      const result = await pool.query(
+        `DELETE FROM live_shares WHERE workspace_id = $1 AND code = $2 RETURNING code;`,
+        [auth.workspaceId, code]
+      );
+      if (result.rows.length === 0) throw notFound("Live scoreboard", code);
+      return json(200, { code });
+    },
+  });
+
+exports.createHandler = createHandler;
+exports.handler = (event) => createHandler(getPool())(event);
@@ -1,25 +1,26 @@
-const { Pool } = require("pg");
+const { getPool, json } = require("../lib/db");
+const { route, query } = require("../lib/http");
+const { rowToPlayer } = require("../lib/players");
+const { ROUND_SELECT, rowToRound } = require("../lib/rounds");
+const { authenticate } = require("../lib/workspaces");
 
-const pool = new Pool({
-  connectionString: process.env.NETLIFY_DATABASE_URL, // Neon URL
-  ssl: { rejectUnauthorized: false },
-});
+// GET ?date=<toDateString()> narrows to one day; otherwise every round in the
+// caller's workspace, tombstones included so deletes reach every device.
+// The roster comes along with each player's updatedAt, so a rename made on
+// one device can win over an older name on another.
+const createHandler = (pool) =>
+  route({
+    GET: async (event) => {
+      const { workspaceId } = await authenticate(pool, event);
+      const { date } = query(event);
+      const result = date
+        ? await pool.query(`${ROUND_SELECT} WHERE r.workspace_id = $1 AND s.date = $2 ORDER BY r.created_at ASC;`, [workspaceId, date])
+        : await pool.query(`${ROUND_SELECT} WHERE r.workspace_id = $1 ORDER BY r.created_at ASC;`, [workspaceId]);
+      const players = await pool.query(`SELECT * FROM players WHERE workspace_id = $1 ORDER BY name;`, [workspaceId]);
 
-exports.handler = async () => {
-  try {
-    const result = await pool.query(
-      `SELECT * FROM games ORDER BY played_at DESC LIMIT 10;`
-    );
+      return json(200, { rounds: result.rows.map(rowToRound), players: players.rows.map(rowToPlayer) });
+    },
+  });
 
-    return {
-      statusCode: 200,
-      body: JSON.stringify(result.rows),
-    };
-  } catch (error) {
-    console.error("Error loading games:", error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: error.message }),
-    };
-  }
-};
+exports.createHandler = createHandler;
+exports.handler = (event) => createHandler(getPool())(event);
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+const { getPool, json } = require("../lib/db");
+const { HttpError, route, pathId, parseBody, query, paging, whereBuilder, notFound } = require("../lib/http");
+const { validatePlayer, rowToPlayer } = require("../lib/players");
+const { authenticate, requireAdmin } = require("../lib/workspaces");
+
+// REST access to the caller's workspace's roster.
+//   GET    /players?name=&limit=&offset=   name matches case-insensitively
+//   GET    /players/:id
+//   POST   /players          { player }   (id optional)
+//   PUT    /players/:id      { player }   admins only; renames
+//   DELETE /players/:id      admins only; 409 while any round or session references the player
+
+async function findPlayer(client, workspaceId, id) {
+  const result = await client.query(`SELECT * FROM players WHERE workspace_id = $1 AND id = $2;`, [workspaceId, id]);
+  return result.rows[0] ? rowToPlayer(result.rows[0]) : null;
+}
+
+function checkPlayer(player) {
+  const invalid = validatePlayer(player);
+  if (invalid) throw new HttpError(400, invalid);
+}
+
+const createHandler = (pool) =>
+  route({
+    GET: async (event) => {
+      const { workspaceId } = await authenticate(pool, event);
+      const id = pathId(event, "players");
+      if (id) {
+        const player = await findPlayer(pool, workspaceId, id);
+        if (!player) throw notFound("Player", id);
+        return json(200, { player });
+      }
+
+      const params = query(event);
+      const { limit, offset } = paging(params);
+      const where = whereBuilder();
+      where.add("workspace_id = ?", workspaceId);
+      if (params.name) where.add("name ILIKE ?", `%${params.name}%`);
+
+      const [rows, count] = await Promise.all([
+        pool.query(`SELECT * FROM players ${where.sql()} ORDER BY name LIMIT ${limit} OFFSET ${offset};`, where.params),
+        pool.query(`SELECT COUNT(*) FROM players ${where.sql()};`, where.params),
+      ]);
+      return json(200, { players: rows.rows.map(rowToPlayer), page: { limit, offset, total: Number(count.rows[0].count) } });
+    },
+
+    POST: async (event) => {
+      const { workspaceId } = await authenticate(pool, event);
+      const { player } = parseBody(event);
+      checkPlayer(player);
+      const id = player.id ? String(player.id) : `p-${crypto.randomUUID()}`;
+      const result = await pool.query(
+        `INSERT INTO players (workspace_id, id, name) VALUES ($1, $2, $3)
+         ON CONFLICT (workspace_id, id) DO NOTHING RETURNING *;`,
+        [workspaceId, id, player.name.trim()]
+      );
+      if (result.rows.length === 0) throw new HttpError(409, `Player ${id} already exists`);
+      return json(201, { player: rowToPlayer(result.rows[0]) });
+    },
+
+    PUT: async (event) => {
+      const auth = await authenticate(pool, event);
+      requireAdmin(auth, "rename players");
+      const id = pathId(event, "players");
+      if (!id) throw new HttpError(400, "PUT needs a player id: /players/:id");
+      const { player } = parseBody(event);
+      checkPlayer(player);
+      const result = await pool.query(
+        `UPDATE players SET name = $3, updated_at = NOW() WHERE workspace_id = $1 AND id = $2 RETURNING *;`,
+        [auth.workspaceId, id, player.name.trim()]
+      );
+      if (result.rows.length === 0) throw notFound("Player", id);
+      return json(200, { player: rowToPlayer(result.rows[0]) });
+    },
+
+    DELETE: async (event) => {
+      const auth = await authenticate(pool, event);
+      requireAdmin(auth, "delete players");
+      const id = pathId(event, "players");
+      if (!id) throw new HttpError(400, "DELETE needs a player id: /players/:id");
+      const player = await findPlayer(pool, auth.workspaceId, id);
+      if (!player) throw notFound("Player", id);
+      const refs = await pool.query(
+        `SELECT
+           (SELECT COUNT(*) FROM rounds WHERE workspace_id = $1 AND players @> $2::jsonb AND deleted_at IS NULL) AS rounds,
+           (SELECT COUNT(*) FROM sessions WHERE workspace_id = $1 AND players @> $2::jsonb) AS sessions;`,
+        [auth.workspaceId, JSON.stringify([id])]
+      );
+      const { rounds, sessions } = refs.rows[0];
+      if (Number(rounds) > 0 || Number(sessions) > 0) {
+        throw new HttpError(409, `Player ${id} is in ${rounds} round(s) and ${sessions} session(s)`);
+      }
+      await pool.query(`DELETE FROM players WHERE workspace_id = $1 AND id = $2;`, [auth.workspaceId, id]);
+      return json(200, { player });
+    },
+  });
+
+exports.createHandler = createHandler;
+exports.handler = (event) => createHandler(getPool())(event);
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { getPool, withTransaction, json } = require("../lib/db");
+const { HttpError, route, pathId, parseBody, query, paging, dateParam, whereBuilder, notFound } = require("../lib/http");
+const { ROUND_SELECT, rowToRound, findRound, checkIncomingRound, upsertRound } = require("../lib/rounds");
+const { authenticate, requireAdmin } = require("../lib/workspaces");
+
+// REST access to the caller's workspace's rounds.
+//   GET    /rounds?from=&to=&player=&mode=&session=&includeDeleted=&limit=&offset=
+//   GET    /rounds/:id
+//   POST   /rounds            { round }   (id optional)
+//   PUT    /rounds/:id        { round }   (409 if the server copy is newer)
+//   DELETE /rounds/:id        admins only; leaves a tombstone so the delete syncs
+
+async function saveRound(pool, auth, round) {
+  const problem = await checkIncomingRound(round);
+  if (problem) throw new HttpError(problem.status, problem.error, problem.details && { details: problem.details });
+  const saved = await withTransaction(pool, (client) => upsertRound(client, auth, round));
+  if (saved.denied) throw new HttpError(403, "Only workspace admins can delete rounds", { round: saved.round });
+  if (saved.conflict) throw new HttpError(409, "A newer version of this round is already saved", { round: saved.round });
+  return saved.round;
+}
+
+const createHandler = (pool) =>
+  route({
+    GET: async (event) => {
+      const { workspaceId } = await authenticate(pool, event);
+      const id = pathId(event, "rounds");
+      if (id) {
+        const round = await findRound(pool, workspaceId, id);
+        if (!round) throw notFound("Round", id);
+        return json(200, { round });
+      }
+
+      const params = query(event);
+      const { limit, offset } = paging(params);
+      const where = whereBuilder();
+      where.add("r.workspace_id = ?", workspaceId);
+      const from = dateParam(params, "from");
+      const to = dateParam(params, "to");
+      if (from) where.add("r.played_on >= ?", from);
+      if (to) where.add("r.played_on <= ?", to);
+      if (params.player) where.add("r.players @> ?::jsonb", JSON.stringify([params.player]));
+      if (params.mode) where.add("r.mode = ?", params.mode);
+      if (params.session) where.add("r.session_id = ?", params.session);
+      if (params.includeDeleted !== "true") where.raw("r.deleted_at IS NULL");
+
+      const [rows, count] = await Promise.all([
+        pool.query(
+          `${ROUND_SELECT} ${where.sql()} ORDER BY r.played_on, r.created_at LIMIT ${limit} OFFSET ${offset};`,
+          where.params
+        ),
+        pool.query(`SELECT COUNT(*) FROM rounds r ${where.sql()};`, where.params),
+      ]);
+      return json(200, { rounds: rows.rows.map(rowToRound), page: { limit, offset, total: Number(count.rows[0].count) } });
+    },
+
+    POST: async (event) => {
+      const auth = await authenticate(pool, event);
+      const { round } = parseBody(event);
+      if (round && typeof round === "object" && !round.id) round.id = crypto.randomUUID();
+      if (round?.id && (await findRound(pool, auth.workspaceId, round.id))) throw new HttpError(409, `Round ${round.id} already exists`);
+      return json(201, { round: await saveRound(pool, auth, round) });
+    },
+
+    PUT: async (event) => {
+      const auth = await authenticate(pool, event);
+      const id = pathId(event, "rounds");
+      if (!id) throw new HttpError(400, "PUT needs a round id: /rounds/:id");
+      const { round } = parseBody(event);
+      if (round?.id && String(round.id) !== id) throw new HttpError(400, `round.id ${round.id} does not match ${id}`);
+      const updatedAt = new Date().toISOString();
+      return json(200, { round: await saveRound(pool, auth, round && { ...round, id, updatedAt: round.updatedAt ?? updatedAt }) });
+    },
+
+    DELETE: async (event) => {
+      const auth = await authenticate(pool, event);
+      requireAdmin(auth, "delete rounds");
+      const id = pathId(event, "rounds");
+      if (!id) throw new HttpError(400, "DELETE needs a round id: /rounds/:id");
+      const now = new Date().toISOString();
+      const result = await pool.query(
+        `UPDATE rounds SET deleted_at = $2, updated_at = $2, synced_at = NOW(),
+           data = data || jsonb_build_object('deletedAt', $3::text, 'updatedAt', $3::text)
+         WHERE workspace_id = $4 AND id = $1 AND deleted_at IS NULL RETURNING id;`,
+        [id, now, now, auth.workspaceId]
+      );
+      if (result.rows.length === 0) throw notFound("Round", id);
+      return json(200, { round: await findRound(pool, auth.workspaceId, id) });
+    },
+  });
+
+exports.createHandler = createHandler;
+exports.handler = (event) => createHandler(getPool())(event);
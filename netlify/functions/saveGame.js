@@ -1,30 +1,26 @@
-const { Pool } = require("pg");
+const { getPool, withTransaction, json } = require("../lib/db");
+const { HttpError, route, parseBody } = require("../lib/http");
+const { checkIncomingRound, upsertRound } = require("../lib/rounds");
+const { authenticate } = require("../lib/workspaces");
 
-const pool = new Pool({
-  connectionString: process.env.NETLIFY_DATABASE_URL, // Neon URL
-  ssl: { rejectUnauthorized: false },
-});
+// Upsert keyed by round id within the caller's workspace. An older copy never
+// overwrites a newer one: the update is skipped and the caller gets 409 with
+// the server's version. Rounds whose scores don't match their rules are
+// rejected with 422, and a member deleting a saved round gets 403 with it.
+const createHandler = (pool) =>
+  route({
+    POST: async (event) => {
+      const auth = await authenticate(pool, event);
+      const { round } = parseBody(event);
+      const problem = await checkIncomingRound(round);
+      if (problem) throw new HttpError(problem.status, problem.error, problem.details && { details: problem.details });
 
-exports.handler = async (event) => {
-  try {
-    const { players, scores, mode } = JSON.parse(event.body);
+      const saved = await withTransaction(pool, (client) => upsertRound(client, auth, round));
+      if (saved.denied) throw new HttpError(403, "Only workspace admins can delete rounds", { round: saved.round });
+      if (saved.conflict) throw new HttpError(409, "A newer version of this round is already saved", { round: saved.round });
+      return json(200, { round: saved.round });
+    },
+  });
 
-    const result = await pool.query(
-      `INSERT INTO games (players, scores, mode)
-       VALUES ($1, $2, $3)
-       RETURNING *;`,
-      [JSON.stringify(players), JSON.stringify(scores), mode]
-    );
-
-    return {
-      statusCode: 200,
-      body: JSON.stringify(result.rows[0]),
-    };
-  } catch (error) {
-    console.error("Error saving game:", error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: error.message }),
-    };
-  }
-};
+exports.createHandler = createHandler;
+exports.handler = (event) => createHandler(getPool())(event);
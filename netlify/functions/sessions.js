@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const { getPool, json } = require("../lib/db");
+const { HttpError, route, pathId, parseBody, query, paging, dateParam, whereBuilder, notFound } = require("../lib/http");
+const { ROUND_SELECT, rowToRound } = require("../lib/rounds");
+const { validateSession, sessionToParams, rowToSession } = require("../lib/sessions");
+const { authenticate, requireAdmin } = require("../lib/workspaces");
+
+// REST access to the caller's workspace's sessions.
+//   GET    /sessions?from=&to=&player=&limit=&offset=
+//   GET    /sessions/:id     the session with its live rounds
+//   POST   /sessions         { session }   (id optional)
+//   PUT    /sessions/:id     { session }
+//   DELETE /sessions/:id     admins only; 409 while the session still has rounds
+
+const SESSION_SELECT = `
+  SELECT s.*, (
+    SELECT COUNT(*) FROM rounds r
+    WHERE r.workspace_id = s.workspace_id AND r.session_id = s.id AND r.deleted_at IS NULL
+  ) AS round_count
+  FROM sessions s`;
+
+async function findSession(client, workspaceId, id) {
+  const result = await client.query(`${SESSION_SELECT} WHERE s.workspace_id = $1 AND s.id = $2;`, [workspaceId, id]);
+  return result.rows[0] ? rowToSession(result.rows[0]) : null;
+}
+
+function checkSession(session) {
+  const invalid = validateSession(session);
+  if (invalid) throw new HttpError(400, invalid);
+}
+
+const createHandler = (pool) =>
+  route({
+    GET: async (event) => {
+      const { workspaceId } = await authenticate(pool, event);
+      const id = pathId(event, "sessions");
+      if (id) {
+        const session = await findSession(pool, workspaceId, id);
+        if (!session) throw notFound("Session", id);
+        const rounds = await pool.query(
+          `${ROUND_SELECT} WHERE r.workspace_id = $1 AND r.session_id = $2 AND r.deleted_at IS NULL ORDER BY r.created_at;`,
+          [workspaceId, id]
+        );
+        return json(200, { session, rounds: rounds.rows.map(rowToRound) });
+      }
+
+      const params = query(event);
+      const { limit, offset } = paging(params);
+      const where = whereBuilder();
+      where.add("s.workspace_id = ?", workspaceId);
+      const from = dateParam(params, "from");
+      const to = dateParam(params, "to");
+      if (from) where.add("s.played_on >= ?", from);
+      if (to) where.add("s.played_on <= ?", to);
+      if (params.player) where.add("s.players @> ?::jsonb", JSON.stringify([params.player]));
+
+      const [rows, count] = await Promise.all([
+        pool.query(`${SESSION_SELECT} ${where.sql()} ORDER BY s.played_on DESC, s.started_at DESC LIMIT ${limit} OFFSET ${offset};`, where.params),
+        pool.query(`SELECT COUNT(*) FROM sessions s ${where.sql()};`, where.params),
+      ]);
+      return json(200, { sessions: rows.rows.map(rowToSession), page: { limit, offset, total: Number(count.rows[0].count) } });
+    },
+
+    POST: async (event) => {
+      const { workspaceId } = await authenticate(pool, event);
+      const { session } = parseBody(event);
+      checkSession(session);
+      const id = session.id ? String(session.id) : crypto.randomUUID();
+      const result = await pool.query(
+        `INSERT INTO sessions (workspace_id, id, date, played_on, label, started_at, players, rules_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (workspace_id, id) DO NOTHING RETURNING id;`,
+        [workspaceId, ...sessionToParams({ ...session, id })]
+      );
+      if (result.rows.length === 0) throw new HttpError(409, `Session ${id} already exists`);
+      return json(201, { session: await findSession(pool, workspaceId, id) });
+    },
+
+    PUT: async (event) => {
+      const { workspaceId } = await authenticate(pool, event);
+      const id = pathId(event, "sessions");
+      if (!id) throw new HttpError(400, "PUT needs a session id: /sessions/:id");
+      const { session } = parseBody(event);
+      checkSession(session);
+      const existing = await findSession(pool, workspaceId, id);
+      if (!existing) throw notFound("Session", id);
+      // Rounds carry their own date, so a session with rounds keeps its day
+      if (session.date !== existing.date && existing.roundCount > 0) {
+        throw new HttpError(409, `Session ${id} has rounds on ${existing.date}; its date can't change`);
+      }
+      await pool.query(
+        `UPDATE sessions SET date = $3, played_on = $4, label = $5, started_at = $6, players = $7, rules_id = $8, updated_at = NOW()
+         WHERE workspace_id = $1 AND id = $2;`,
+        [workspaceId, ...sessionToParams({ startedAt: existing.startedAt, ...session, id })]
+      );
+      return json(200, { session: await findSession(pool, workspaceId, id) });
+    },
+
+    DELETE: async (event) => {
+      const auth = await authenticate(pool, event);
+      requireAdmin(auth, "delete sessions");
+      const id = pathId(event, "sessions");
+      if (!id) throw new HttpError(400, "DELETE needs a session id: /sessions/:id");
+      const session = await findSession(pool, auth.workspaceId, id);
+      if (!session) throw notFound("Session", id);
+      if (session.roundCount > 0) {
+        throw new HttpError(409, `Session ${id} still has ${session.roundCount} round(s); delete them first`);
+      }
+      await pool.query(`DELETE FROM sessions WHERE workspace_id = $1 AND id = $2;`, [auth.workspaceId, id]);
+      return json(200, { session });
+    },
+  });
+
+exports.createHandler = createHandler;
+exports.handler = (event) => createHandler(getPool())(event);
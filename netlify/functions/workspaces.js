@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const { getPool, withTransaction, json } = require("../lib/db");
+const { HttpError, route, pathId, parseBody, notFound } = require("../lib/http");
+const {
+  ROLES,
+  newJoinCode,
+  newToken,
+  hashToken,
+  normalizeCode,
+  rowToWorkspace,
+  rowToMember,
+  authenticate,
+  requireAdmin,
+} = require("../lib/workspaces");
+
+// Workspaces and their members.
+//   POST   /workspaces               { name, memberName } -> { workspace, member, token }  (creator is admin)
+//   POST   /workspaces/join          { code, memberName } -> { workspace, member, token }
+//   GET    /workspaces/current       { workspace, member, members } for the caller's token
+//   PUT    /workspaces/members/:id   { role }  admins only
+//   DELETE /workspaces/members/:id   admins, or a member leaving
+// A workspace always keeps at least one admin while it has members.
+
+function memberName(body) {
+  const name = typeof body.memberName === "string" ? body.memberName.trim() : "";
+  if (!name) throw new HttpError(400, "memberName is required");
+  return name;
+}
+
+async function addMember(client, workspaceId, name, role) {
+  const token = newToken();
+  const result = await client.query(
+    `INSERT INTO members (id, workspace_id, name, role, token_hash) VALUES ($1, $2, $3, $4, $5) RETURNING *;`,
+    [`m-${crypto.randomUUID()}`, workspaceId, name, role, hashToken(token)]
+  );
+  return { member: rowToMember(result.rows[0]), token };
+}
+
+async function adminCount(client, workspaceId) {
+  const result = await client.query(
+    `SELECT COUNT(*) FROM members WHERE workspace_id = $1 AND role = 'admin';`,
+    [workspaceId]
+  );
+  return Number(result.rows[0].count);
+}
+
+async function findMember(client, workspaceId, id) {
+  const result = await client.query(`SELECT * FROM members WHERE workspace_id = $1 AND id = $2;`, [workspaceId, id]);
+  if (result.rows.length === 0) throw notFound("Member", id);
+  return rowToMember(result.rows[0]);
+}
+
+async function createWorkspace(pool, body) {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) throw new HttpError(400, "name is required");
+  const creator = memberName(body);
+  return withTransaction(pool, async (client) => {
+    // Codes are short; retry on the rare collision rather than fail
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const result = await client.query(
+        `INSERT INTO workspaces (id, name, join_code) VALUES ($1, $2, $3)
+         ON CONFLICT (join_code) DO NOTHING RETURNING *;`,
+        [`w-${crypto.randomUUID()}`, name, newJoinCode()]
+      );
+      if (result.rows.length) {
+        const workspace = rowToWorkspace(result.rows[0]);
+        return { workspace, ...(await addMember(client, workspace.id, creator, "admin")) };
+      }
+    }
+    throw new Error("Could not generate a unique join code");
+  });
+}
+
+// The first member to join a workspace without admins (e.g. the migrated
+// "Shared" one) becomes its admin
+async function joinWorkspace(pool, body) {
+  const code = normalizeCode(body.code);
+  if (!code) throw new HttpError(400, "code is required");
+  const name = memberName(body);
+  return withTransaction(pool, async (client) => {
+    const result = await client.query(`SELECT * FROM workspaces WHERE join_code = $1 FOR UPDATE;`, [code]);
+    if (result.rows.length === 0) throw new HttpError(404, `No workspace has the code ${code}`);
+    const workspace = rowToWorkspace(result.rows[0]);
+    const role = (await adminCount(client, workspace.id)) === 0 ? "admin" : "member";
+    return { workspace, ...(await addMember(client, workspace.id, name, role)) };
+  });
+}
+
+function memberAction(event) {
+  const parts = (event.path || "").split("/").filter(Boolean);
+  const idx = parts.lastIndexOf("members");
+  return idx !== -1 && parts[idx + 1] ? decodeURIComponent(parts[idx + 1]) : null;
+}
+
+const createHandler = (pool) =>
+  route({
+    GET: async (event) => {
+      if (pathId(event, "workspaces") !== "current") throw new HttpError(404, "Use /workspaces/current");
+      const auth = await authenticate(pool, event);
+      const [workspace, members] = await Promise.all([
+        pool.query(`SELECT * FROM workspaces WHERE id = $1;`, [auth.workspaceId]),
+        pool.query(`SELECT * FROM members WHERE workspace_id = $1 ORDER BY created_at;`, [auth.workspaceId]),
+      ]);
+      return json(200, {
+        workspace: rowToWorkspace(workspace.rows[0]),
+        member: auth.member,
+        members: members.rows.map(rowToMember),
+      });
+    },
+
+    POST: async (event) => {
+      const body = parseBody(event);
+      const action = pathId(event, "workspaces");
+      if (!action) return json(201, await createWorkspace(pool, body));
+      if (action === "join") return json(200, await joinWorkspace(pool, body));
+      throw new HttpError(404, `Unknown workspace action ${action}`);
+    },
+
+    PUT: async (event) => {
+      const auth = await authenticate(pool, event);
+      requireAdmin(auth, "change roles");
+      const id = memberAction(event);
+      if (!id) throw new HttpError(400, "PUT needs a member id: /workspaces/members/:id");
+      const { role } = parseBody(event);
+      if (!ROLES.includes(role)) throw new HttpError(400, `role must be one of ${ROLES.join(", ")}`);
+      const member = await withTransaction(pool, async (client) => {
+        const current = await findMember(client, auth.workspaceId, id);
+        if (current.role === "admin" && role !== "admin" && (await adminCount(client, auth.workspaceId)) === 1) {
+          throw new HttpError(409, "A workspace needs at least one admin");
+        }
+        const result = await client.query(
+          `UPDATE members SET role = $3 WHERE workspace_id = $1 AND id = $2 RETURNING *;`,
+          [auth.workspaceId, id, role]
+        );
+        return rowToMember(result.rows[0]);
+      });
+      return json(200, { member });
+    },
+
+    DELETE: async (event) => {
+      const auth = await authenticate(pool, event);
+      const id = memberAction(event);
+      if (!id) throw new HttpError(400, "DELETE needs a member id: /workspaces/members/:id");
+      if (id !== auth.member.id) requireAdmin(auth, "remove other members");
+      const member = await withTransaction(pool, async (client) => {
+        const current = await findMember(client, auth.workspaceId, id);
+        const others = await client.query(
+          `SELECT COUNT(*) FROM members WHERE workspace_id = $1 AND id <> $2;`,
+          [auth.workspaceId, id]
+        );
+        if (current.role === "admin" && Number(others.rows[0].count) > 0 && (await adminCount(client, auth.workspaceId)) === 1) {
+          throw new HttpError(409, "Make someone else an admin first");
+        }
+        await client.query(`DELETE FROM members WHERE workspace_id = $1 AND id = $2;`, [auth.workspaceId, id]);
+        return current;
+      });
+      return json(200, { member });
+    },
+  });
+
+exports.createHandler = createHandler;
+exports.handler = (event) => createHandler(getPool())(event);
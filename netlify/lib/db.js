@@ -0,0 +1,47 @@
+const { Pool } = require("pg");
+
+let pool;
+
+// Hosted Postgres (Neon) needs SSL; a local server usually doesn't speak it.
+// PGSSLMODE=disable (or a localhost URL) turns it off for local testing.
+function sslConfig(url) {
+  if (process.env.PGSSLMODE === "disable") return false;
+  if (/\/\/([^/@]*@)?(localhost|127\.0\.0\.1)(:\d+)?\//.test(url ?? "")) return false;
+  return { rejectUnauthorized: false };
+}
+
+// Created on first use so handlers can be exercised with an injected pool
+// (local Postgres or an in-process stand-in) without NETLIFY_DATABASE_URL set.
+function getPool() {
+  if (!pool) {
+    const connectionString = process.env.NETLIFY_DATABASE_URL; // Neon URL
+    pool = new Pool({ connectionString, ssl: sslConfig(connectionString) });
+  }
+  return pool;
+}
+
+// Runs fn(client) inside BEGIN/COMMIT, rolling back if it throws
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+module.exports = { getPool, withTransaction, json };
@@ -0,0 +1,95 @@
+// Request plumbing shared by the REST functions (players, sessions, rounds).
+// Every error goes out as JSON: { error, ...extra } with a matching status,
+// where extra is e.g. { details: [...] } for a rejected round.
+
+const { json } = require("./db");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// Dispatches on the HTTP method and turns thrown errors into JSON responses
+function route(handlers) {
+  return async (event) => {
+    try {
+      const handle = handlers[event.httpMethod];
+      if (!handle) throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+      return await handle(event);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return json(error.status, { error: error.message, ...error.extra });
+      }
+      console.error(`Error handling ${event.httpMethod} ${event.path}:`, error);
+      return json(500, { error: error.message });
+    }
+  };
+}
+
+// "/.netlify/functions/rounds/abc" -> "abc" for resource "rounds"
+function pathId(event, resource) {
+  const parts = (event.path || "").split("/").filter(Boolean);
+  const idx = parts.lastIndexOf(resource);
+  return idx !== -1 && parts[idx + 1] ? decodeURIComponent(parts[idx + 1]) : null;
+}
+
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body || "{}");
+  } catch {
+    throw new HttpError(400, "Request body is not valid JSON");
+  }
+}
+
+function query(event) {
+  return event.queryStringParameters || {};
+}
+
+function paging(params) {
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  const offset = params.offset === undefined ? 0 : Number(params.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, "offset must be a non-negative integer");
+  return { limit, offset };
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function dateParam(params, name) {
+  const value = params[name];
+  if (value === undefined) return null;
+  if (!ISO_DATE.test(value) || Number.isNaN(Date.parse(value))) throw new HttpError(400, `${name} must be a YYYY-MM-DD date`);
+  return value;
+}
+
+// Collects WHERE conditions; the "?" in each is replaced with its $n placeholder
+function whereBuilder() {
+  const conditions = [];
+  const params = [];
+  return {
+    add(sql, value) {
+      params.push(value);
+      conditions.push(sql.replace("?", `$${params.length}`));
+    },
+    raw(sql) {
+      conditions.push(sql);
+    },
+    sql: () => (conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""),
+    params,
+  };
+}
+
+function notFound(what, id) {
+  return new HttpError(404, `${what} ${id} not found`);
+}
+
+module.exports = { HttpError, route, pathId, parseBody, query, paging, dateParam, whereBuilder, notFound };
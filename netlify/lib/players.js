@@ -0,0 +1,34 @@
+// Roster entries as the app stores them: { id, name }.
+
+function validatePlayer(player) {
+  if (!player || typeof player !== "object") return "player is required";
+  if (typeof player.name !== "string" || !player.name.trim()) return "player.name is required";
+  return null;
+}
+
+function rowToPlayer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+// Adds players named in a round's `names` snapshot. With rename, a player
+// whose name changed takes the newer one; members can only add players.
+async function upsertNames(client, workspaceId, names, { rename }) {
+  const entries = Object.entries(names ?? {}).filter(([, name]) => typeof name === "string" && name.trim());
+  if (entries.length === 0) return;
+  const onConflict = rename
+    ? "DO UPDATE SET name = EXCLUDED.name, updated_at = NOW() WHERE players.name <> EXCLUDED.name"
+    : "DO NOTHING";
+  await client.query(
+    `INSERT INTO players (workspace_id, id, name)
+     SELECT $1, * FROM unnest($2::text[], $3::text[])
+     ON CONFLICT (workspace_id, id) ${onConflict};`,
+    [workspaceId, entries.map(([id]) => id), entries.map(([, name]) => name.trim())]
+  );
+}
+
+module.exports = { validatePlayer, rowToPlayer, upsertNames };
@@ -0,0 +1,94 @@
+// Server-side check that a round's stored result matches the rules it was
+// scored with. Uses the app's own scoring engine (src/lib/scoring.js), so the
+// server and the client can never disagree about what a round is worth.
+
+const VALID_MODES = ["Normal", "1v5", "Levels"];
+const TOLERANCE = 0.01; // opponent splits like 240 / 5 are stored unrounded
+
+let scoringModule;
+
+// scoring.js is an ES module; load it once per function instance
+function loadScoring() {
+  if (!scoringModule) scoringModule = import("../../src/lib/scoring.js");
+  return scoringModule;
+}
+
+// Table shape problems that make the round impossible to score at all
+function shapeProblems(scoring, round, rules) {
+  const problems = [];
+  const n = round.players.length;
+  if (!VALID_MODES.includes(round.mode)) problems.push(`mode must be one of ${VALID_MODES.join(", ")}`);
+  if (n < scoring.MIN_TABLE_SIZE || n > scoring.MAX_TABLE_SIZE) {
+    problems.push(`a table has ${scoring.MIN_TABLE_SIZE}–${scoring.MAX_TABLE_SIZE} players, not ${n}`);
+  }
+  if (new Set(round.players).size !== n) problems.push("players must be unique");
+  if (new Set(round.friends).size !== round.friends.length) problems.push("friends must be unique");
+  round.friends.forEach((f) => {
+    if (!round.players.includes(f)) problems.push(`friend ${f} is not at the table`);
+    if (f === round.host) problems.push("the host cannot be their own friend");
+  });
+  const allowed = scoring.friendsAllowed(rules, round.mode, n);
+  if (round.friends.length > allowed) problems.push(`${round.friends.length} friend(s) called, at most ${allowed} allowed`);
+  if (round.opponentScore < 0 || round.opponentScore > rules.total) {
+    problems.push(`opponentScore must be between 0 and ${rules.total}`);
+  }
+  return problems;
+}
+
+// The rules to score with. A snapshot naming a preset gets the server's copy
+// of that preset, so its numbers can't be doctored; custom rule sets only
+// live on devices, so their snapshot is taken as sent once it passes the same
+// checks the rules editor applies.
+function resolveRules(scoring, snapshot) {
+  if (!snapshot) return { rules: scoring.STANDARD_RULES, problems: [] };
+  const preset = scoring.PRESET_RULE_SETS.find((r) => r.id === snapshot.id);
+  if (preset) return { rules: preset, problems: [] };
+  const rules = scoring.withDefaults(snapshot);
+  return { rules, problems: scoring.validateRules(rules) };
+}
+
+/**
+ * Rescores the round with its rules snapshot (standard rules for rounds that
+ * predate snapshots). Returns null when the stored result matches, otherwise
+ * { error, details } with one entry per disagreement.
+ */
+async function checkRound(round) {
+  const scoring = await loadScoring();
+  const { rules, problems: ruleProblems } = resolveRules(scoring, round.rules);
+  if (ruleProblems.length) return { error: "Round's rule set is not valid", details: ruleProblems };
+  const problems = shapeProblems(scoring, round, rules);
+  if (problems.length) return { error: "Round is not a valid table", details: problems };
+
+  let result;
+  try {
+    result = scoring.calculateScores(rules, {
+      mode: round.mode,
+      players: round.players,
+      hostIdx: round.players.indexOf(round.host),
+      friendIdxs: round.friends.map((f) => round.players.indexOf(f)),
+      bid: round.bid,
+      opponentScore: round.opponentScore,
+    });
+  } catch (error) {
+    return { error: "Round could not be scored", details: [error.message] };
+  }
+
+  const details = [];
+  if (result.winner !== round.winner) details.push(`winner should be ${result.winner}, not ${round.winner}`);
+  round.players.forEach((p) => {
+    const stored = Number(round.scores[p] ?? 0);
+    if (Math.abs(stored - result.scores[p]) > TOLERANCE) details.push(`${p} should score ${result.scores[p]}, not ${stored}`);
+  });
+  Object.keys(round.scores)
+    .filter((p) => !round.players.includes(p))
+    .forEach((p) => details.push(`${p} has a score but is not at the table`));
+  if (result.levelChanges) {
+    round.players.forEach((p) => {
+      const stored = round.levelChanges?.[p] ?? 0;
+      if (stored !== result.levelChanges[p]) details.push(`${p} should gain ${result.levelChanges[p]} level(s), not ${stored}`);
+    });
+  }
+  return details.length ? { error: "Scores do not match the round's rules", details } : null;
+}
+
+module.exports = { checkRound };
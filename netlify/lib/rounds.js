@@ -0,0 +1,127 @@
+// Round records as the app builds them in addRound:
+// { id, round, mode, players, host, friends, bid, opponentScore, scores,
+//   winner, distribution, date, createdAt, updatedAt }
+// Stored in the `rounds` table (migrations 002–004): the record itself lives
+// in `data`, and the `names` / `session` snapshots the app sends are rebuilt
+// from the players and sessions tables when a round is read back. Every
+// query is scoped to one workspace.
+
+const { checkRound } = require("./rescore");
+const { upsertNames } = require("./players");
+const { isAdmin } = require("./workspaces");
+const { playedOn, sessionIdFor, ensureSession } = require("./sessions");
+
+// Every read goes through this so rounds come back with their snapshots;
+// callers add "AND r.workspace_id = $n" conditions after a WHERE
+const ROUND_SELECT = `
+  SELECT r.*, s.date AS session_date, s.label AS session_label, s.started_at AS session_started_at,
+    (SELECT jsonb_object_agg(p.id, p.name) FROM players p WHERE p.workspace_id = r.workspace_id AND r.players ? p.id) AS names
+  FROM rounds r JOIN sessions s ON s.workspace_id = r.workspace_id AND s.id = r.session_id`;
+
+function validateRound(round) {
+  if (!round || typeof round !== "object") return "round is required";
+  if (!round.id) return "round.id is required";
+  if (!round.date) return "round.date is required";
+  if (!playedOn(round.date)) return "round.date must be a date like \"Mon Oct 28 2024\"";
+  if (!Array.isArray(round.players) || round.players.length === 0) return "round.players must be a non-empty array";
+  if (!round.players.includes(round.host)) return "round.host must be one of round.players";
+  if (!Array.isArray(round.friends)) return "round.friends must be an array";
+  if (!round.scores || typeof round.scores !== "object") return "round.scores is required";
+  if (!Number.isFinite(round.bid)) return "round.bid must be a number";
+  if (!Number.isFinite(round.opponentScore)) return "round.opponentScore must be a number";
+  return null;
+}
+
+function roundToParams(round) {
+  const now = new Date().toISOString();
+  const { names: _names, session: _session, syncedAt: _syncedAt, ...data } = round;
+  return [
+    String(round.id),
+    sessionIdFor(round),
+    Number.isInteger(round.round) ? round.round : null,
+    round.mode,
+    playedOn(round.date),
+    JSON.stringify(round.players),
+    round.host,
+    round.winner ?? null,
+    JSON.stringify({ ...data, id: String(round.id) }),
+    round.createdAt ?? now,
+    round.updatedAt ?? now,
+    round.deletedAt ?? null,
+  ];
+}
+
+function rowToRound(row) {
+  const round = {
+    ...row.data,
+    sessionId: row.session_id,
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+  if (row.deleted_at) round.deletedAt = new Date(row.deleted_at).toISOString();
+  if (row.names) round.names = row.names;
+  if (row.session_date) {
+    round.session = {
+      id: row.session_id,
+      date: row.session_date,
+      label: row.session_label,
+      startedAt: row.session_started_at ? new Date(row.session_started_at).toISOString() : null,
+    };
+  }
+  return round;
+}
+
+async function findRound(client, workspaceId, id) {
+  const result = await client.query(`${ROUND_SELECT} WHERE r.workspace_id = $1 AND r.id = $2;`, [workspaceId, String(id)]);
+  return result.rows[0] ? rowToRound(result.rows[0]) : null;
+}
+
+/**
+ * Shape check, then a rescore against the round's rules. Returns null or
+ * { status, error, details? }. Tombstones skip the rescore: a delete should
+ * always go through, even for a round an older version of the app scored.
+ */
+async function checkIncomingRound(round) {
+  const invalid = validateRound(round);
+  if (invalid) return { status: 400, error: invalid };
+  if (round.deletedAt) return null;
+  const mismatch = await checkRound(round);
+  return mismatch ? { status: 422, ...mismatch } : null;
+}
+
+/**
+ * Upsert keyed by round id, along with the round's session and players.
+ * An older copy never overwrites a newer one: returns { round, conflict: true }
+ * with the server's version instead. Only admins may delete a saved round;
+ * a member's tombstone returns { round, denied: true }.
+ */
+async function upsertRound(client, auth, round) {
+  const { workspaceId } = auth;
+  if (round.deletedAt && !isAdmin(auth)) {
+    const existing = await findRound(client, workspaceId, round.id);
+    if (existing && !existing.deletedAt) return { round: existing, denied: true };
+  }
+  await ensureSession(client, workspaceId, round);
+  await upsertNames(client, workspaceId, round.names, { rename: isAdmin(auth) });
+  const result = await client.query(
+    `INSERT INTO rounds (workspace_id, id, session_id, round_no, mode, played_on, players, host, winner, data, created_at, updated_at, deleted_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     ON CONFLICT (workspace_id, id) DO UPDATE SET
+       session_id = EXCLUDED.session_id,
+       round_no = EXCLUDED.round_no,
+       mode = EXCLUDED.mode,
+       played_on = EXCLUDED.played_on,
+       players = EXCLUDED.players,
+       host = EXCLUDED.host,
+       winner = EXCLUDED.winner,
+       data = EXCLUDED.data,
+       updated_at = EXCLUDED.updated_at,
+       deleted_at = EXCLUDED.deleted_at,
+       synced_at = NOW()
+     WHERE rounds.updated_at <= EXCLUDED.updated_at
+     RETURNING id;`,
+    [workspaceId, ...roundToParams(round)]
+  );
+  return { round: await findRound(client, workspaceId, round.id), conflict: result.rows.length === 0 };
+}
+
+module.exports = { ROUND_SELECT, validateRound, roundToParams, rowToRound, findRound, checkIncomingRound, upsertRound };
@@ -0,0 +1,82 @@
+// Sessions as the app stores them, minus the rounds:
+// { id, date, label, startedAt, players, rulesId }
+
+// "Mon Oct 28 2024" (toDateString) -> "2024-10-28", or null if it isn't a date
+function playedOn(date) {
+  const d = new Date(date);
+  if (typeof date !== "string" || Number.isNaN(d.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Rounds saved before sessions had IDs are grouped by their date
+function sessionIdFor(round) {
+  return round.sessionId ?? round.session?.id ?? `s-${round.date.replace(/\s+/g, "-")}`;
+}
+
+function validateSession(session) {
+  if (!session || typeof session !== "object") return "session is required";
+  if (!playedOn(session.date)) return "session.date must be a date like \"Mon Oct 28 2024\"";
+  if (session.players !== undefined && !Array.isArray(session.players)) return "session.players must be an array";
+  if (session.label !== undefined && typeof session.label !== "string") return "session.label must be a string";
+  return null;
+}
+
+function sessionToParams(session) {
+  return [
+    String(session.id),
+    session.date,
+    playedOn(session.date),
+    session.label ?? "",
+    session.startedAt ?? new Date().toISOString(),
+    JSON.stringify(session.players ?? []),
+    session.rulesId ?? null,
+  ];
+}
+
+function rowToSession(row) {
+  const session = {
+    id: row.id,
+    date: row.date,
+    label: row.label,
+    startedAt: row.started_at ? new Date(row.started_at).toISOString() : null,
+    players: row.players,
+    rulesId: row.rules_id,
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+  if (row.round_count !== undefined) session.roundCount = Number(row.round_count);
+  return session;
+}
+
+// Creates the session a synced round belongs to. The round only carries a
+// { id, date, label, startedAt } snapshot, so an existing session keeps its
+// rule set; a snapshot's label is copied over, and players who sat in after
+// the session started are added to its players (the live board names them).
+async function ensureSession(client, workspaceId, round) {
+  const meta = round.session ?? {};
+  const label = typeof meta.label === "string" ? "EXCLUDED.label" : "sessions.label";
+  await client.query(
+    `INSERT INTO sessions (workspace_id, id, date, played_on, label, started_at, players)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (workspace_id, id) DO UPDATE SET
+       label = ${label},
+       players = sessions.players || (
+         SELECT COALESCE(jsonb_agg(p.id ORDER BY p.n), '[]')
+         FROM jsonb_array_elements(EXCLUDED.players) WITH ORDINALITY AS p(id, n)
+         WHERE NOT sessions.players @> jsonb_build_array(p.id)
+       ),
+       updated_at = NOW()
+     WHERE sessions.label <> ${label} OR NOT sessions.players @> EXCLUDED.players;`,
+    [
+      workspaceId,
+      sessionIdFor(round),
+      meta.date ?? round.date,
+      playedOn(meta.date ?? round.date),
+      meta.label ?? "",
+      meta.startedAt ?? round.createdAt ?? new Date().toISOString(),
+      JSON.stringify(round.players),
+    ]
+  );
+}
+
+module.exports = { playedOn, sessionIdFor, validateSession, sessionToParams, rowToSession, ensureSession };
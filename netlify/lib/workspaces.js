@@ -0,0 +1,68 @@
+// Workspaces scope every player, session and round to one friend group.
+// Devices authenticate with the bearer token they got when creating or
+// joining a workspace: "Authorization: Bearer <token>".
+
+const crypto = require("crypto");
+const { HttpError } = require("./http");
+
+// No 0/O or 1/I, so a code read out loud across the table can't be misheard
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+const ROLES = ["admin", "member"];
+
+function newJoinCode(length = CODE_LENGTH) {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+}
+
+function newToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function normalizeCode(code) {
+  return String(code ?? "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function rowToWorkspace(row) {
+  return { id: row.id, name: row.name, code: row.join_code };
+}
+
+function rowToMember(row) {
+  return { id: row.id, name: row.name, role: row.role, joinedAt: new Date(row.created_at).toISOString() };
+}
+
+/** { workspaceId, member: { id, name, role } } for the request's token, or 401. */
+async function authenticate(client, event) {
+  const header = event.headers?.authorization ?? event.headers?.Authorization ?? "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) throw new HttpError(401, "Join or create a workspace to sync");
+  const result = await client.query(`SELECT * FROM members WHERE token_hash = $1;`, [hashToken(token)]);
+  if (result.rows.length === 0) throw new HttpError(401, "This device is no longer a member of the workspace");
+  const row = result.rows[0];
+  return { workspaceId: row.workspace_id, member: rowToMember(row) };
+}
+
+function requireAdmin(auth, action) {
+  if (auth.member.role !== "admin") throw new HttpError(403, `Only workspace admins can ${action}`);
+}
+
+function isAdmin(auth) {
+  return auth.member.role === "admin";
+}
+
+module.exports = {
+  ROLES,
+  newJoinCode,
+  newToken,
+  hashToken,
+  normalizeCode,
+  rowToWorkspace,
+  rowToMember,
+  authenticate,
+  requireAdmin,
+  isAdmin,
+};
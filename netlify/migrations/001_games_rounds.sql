@@ -0,0 +1,18 @@
+-- One row per round, in the same shape the app builds in addRound.
+-- Safe to run against the original `games` table (players, scores, mode, played_at).
+
+CREATE TABLE IF NOT EXISTS games (
+  id SERIAL PRIMARY KEY,
+  players JSONB NOT NULL,
+  scores JSONB NOT NULL,
+  mode TEXT NOT NULL,
+  played_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS round_id TEXT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS session_date TEXT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS round JSONB;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS games_round_id_key ON games (round_id);
+CREATE INDEX IF NOT EXISTS games_session_date_idx ON games (session_date);
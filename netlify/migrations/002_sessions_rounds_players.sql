@@ -0,0 +1,102 @@
+-- Tables behind the REST API (functions/players, sessions, rounds).
+-- Each round keeps the app's full JSON in `data`; the other columns are
+-- copies used for filtering and paging. Rows already in `games` are copied
+-- over, so this is safe to run after 001 on a live database.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS players (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  date TEXT NOT NULL,            -- toDateString() label, as the app stores it
+  played_on DATE NOT NULL,       -- the same day, for date-range filters
+  label TEXT NOT NULL DEFAULT '',
+  started_at TIMESTAMPTZ,
+  players JSONB NOT NULL DEFAULT '[]',
+  rules_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rounds (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+  round_no INTEGER,
+  mode TEXT NOT NULL,
+  played_on DATE NOT NULL,
+  players JSONB NOT NULL,
+  host TEXT NOT NULL,
+  winner TEXT,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ         -- tombstone: kept so deletes sync to other devices
+);
+
+CREATE INDEX IF NOT EXISTS sessions_played_on_idx ON sessions (played_on);
+CREATE INDEX IF NOT EXISTS rounds_session_idx ON rounds (session_id);
+CREATE INDEX IF NOT EXISTS rounds_played_on_idx ON rounds (played_on);
+CREATE INDEX IF NOT EXISTS rounds_players_idx ON rounds USING GIN (players);
+
+-- --- Copy existing rounds out of `games` ---
+
+INSERT INTO players (id, name)
+SELECT DISTINCT ON (n.key) n.key, n.value
+FROM games g, jsonb_each_text(g.round -> 'names') n
+WHERE g.round ? 'names'
+ORDER BY n.key, g.updated_at DESC
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TEMP TABLE games_src ON COMMIT DROP AS
+SELECT
+  g.*,
+  COALESCE(g.session_date, to_char(g.played_at, 'Dy Mon DD YYYY')) AS sdate,
+  COALESCE(
+    g.round ->> 'sessionId',
+    's-' || replace(COALESCE(g.session_date, to_char(g.played_at, 'Dy Mon DD YYYY')), ' ', '-')
+  ) AS sid
+FROM games g;
+
+INSERT INTO sessions (id, date, played_on, label, started_at, players, updated_at)
+SELECT DISTINCT ON (sid)
+  sid,
+  sdate,
+  to_date(substr(sdate, 5), 'Mon DD YYYY'),
+  COALESCE(round -> 'session' ->> 'label', ''),
+  COALESCE((round -> 'session' ->> 'startedAt')::timestamptz, played_at),
+  COALESCE(round -> 'players', players),
+  updated_at
+FROM games_src
+ORDER BY sid, played_at
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO rounds (id, session_id, round_no, mode, played_on, players, host, winner, data, created_at, updated_at, deleted_at)
+SELECT
+  COALESCE(round_id, 'legacy-' || id),
+  sid,
+  (round ->> 'round')::int,
+  mode,
+  to_date(substr(sdate, 5), 'Mon DD YYYY'),
+  COALESCE(round -> 'players', players),
+  COALESCE(round ->> 'host', players ->> 0),
+  round ->> 'winner',
+  COALESCE(
+    round - 'names' - 'session',
+    jsonb_build_object(
+      'id', 'legacy-' || id, 'players', players, 'scores', scores, 'mode', mode,
+      'host', players -> 0, 'friends', '[]'::jsonb, 'date', sdate
+    )
+  ),
+  played_at,
+  updated_at,
+  (round ->> 'deletedAt')::timestamptz
+FROM games_src
+ON CONFLICT (id) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,59 @@
+-- Workspaces: each friend group gets its own players, sessions and rounds.
+-- Members join with the workspace's code and get a random bearer token;
+-- only its SHA-256 hash is stored. Rows from before workspaces existed are
+-- moved into a "Shared" workspace whose first member to join becomes admin.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  join_code TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS members (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'member')),
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS members_workspace_idx ON members (workspace_id);
+
+INSERT INTO workspaces (id, name, join_code)
+SELECT 'shared', 'Shared', translate(upper(substr(md5(random()::text), 1, 6)), '01', 'XY')
+WHERE EXISTS (SELECT 1 FROM players UNION ALL SELECT 1 FROM sessions UNION ALL SELECT 1 FROM rounds)
+ON CONFLICT (id) DO NOTHING;
+
+-- --- Scope players, sessions and rounds ---
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS workspace_id TEXT REFERENCES workspaces (id) ON DELETE CASCADE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS workspace_id TEXT REFERENCES workspaces (id) ON DELETE CASCADE;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS workspace_id TEXT REFERENCES workspaces (id) ON DELETE CASCADE;
+
+UPDATE players SET workspace_id = 'shared' WHERE workspace_id IS NULL;
+UPDATE sessions SET workspace_id = 'shared' WHERE workspace_id IS NULL;
+UPDATE rounds SET workspace_id = 'shared' WHERE workspace_id IS NULL;
+
+ALTER TABLE players ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE sessions ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE rounds ALTER COLUMN workspace_id SET NOT NULL;
+
+-- IDs are generated on each device, so they're only unique within a workspace
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_session_id_fkey;
+ALTER TABLE players DROP CONSTRAINT IF EXISTS players_pkey;
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pkey;
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_pkey;
+ALTER TABLE players ADD PRIMARY KEY (workspace_id, id);
+ALTER TABLE sessions ADD PRIMARY KEY (workspace_id, id);
+ALTER TABLE rounds ADD PRIMARY KEY (workspace_id, id);
+ALTER TABLE rounds ADD CONSTRAINT rounds_session_id_fkey
+  FOREIGN KEY (workspace_id, session_id) REFERENCES sessions (workspace_id, id) ON DELETE CASCADE;
+
+DROP INDEX IF EXISTS rounds_session_idx;
+CREATE INDEX IF NOT EXISTS rounds_session_idx ON rounds (workspace_id, session_id);
+
+COMMIT;
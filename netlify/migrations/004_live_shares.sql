@@ -0,0 +1,20 @@
+-- Live scoreboard links: a read-only code per shared session, and a server
+-- write time on rounds so viewers can poll for "what changed since".
+-- (updated_at comes from the device that edited the round, so it can't be
+-- used as a cursor: a slow clock would hide the change.)
+
+BEGIN;
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS rounds_synced_at_idx ON rounds (workspace_id, session_id, synced_at);
+
+CREATE TABLE IF NOT EXISTS live_shares (
+  code TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (workspace_id, session_id),
+  FOREIGN KEY (workspace_id, session_id) REFERENCES sessions (workspace_id, id) ON DELETE CASCADE
+);
+
+COMMIT;
@@ -0,0 +1,160 @@
+import { createRequire } from "node:module";
+import { describe, expect, it, vi } from "vitest";
+import { calculateScores, STANDARD_RULES } from "../../src/lib/scoring.js";
+import { call, memberRule, STAMP, stubPool, WORKSPACE } from "./stubPool.js";
+
+const require = createRequire(import.meta.url);
+const saveGame = require("../functions/saveGame.js");
+const loadGames = require("../functions/loadGames.js");
+
+const PLAYERS = ["a", "b", "c", "d"];
+
+function scoredRound(extra = {}) {
+  const input = { mode: "Normal", players: PLAYERS, hostIdx: 0, friendIdxs: [1], bid: 120, opponentScore: 50 };
+  return {
+    id: "r-1",
+    round: 1,
+    mode: "Normal",
+    players: PLAYERS,
+    host: "a",
+    friends: ["b"],
+    bid: 120,
+    opponentScore: 50,
+    ...calculateScores(STANDARD_RULES, input),
+    date: "Thu Jan 01 2026",
+    updatedAt: STAMP,
+    names: { a: "Ann", b: "Bea", c: "Cy", d: "Dee" },
+    session: { id: "s-1", date: "Thu Jan 01 2026", label: "Friday", startedAt: STAMP },
+    ...extra,
+  };
+}
+
+function roundRow(round) {
+  const { names: _names, session: _session, ...data } = round;
+  return {
+    data,
+    session_id: "s-1",
+    updated_at: round.updatedAt,
+    deleted_at: round.deletedAt ?? null,
+    names: { a: "Ann" },
+    session_date: round.date,
+    session_label: "Friday",
+    session_started_at: STAMP,
+  };
+}
+
+const sql = (pool) => pool.calls.map((c) => c.sql.trim().split(/\s+/).slice(0, 3).join(" "));
+
+describe("saveGame", () => {
+  it("saves the round, its session and its players in one transaction", async () => {
+    const round = scoredRound();
+    const pool = stubPool([
+      memberRule(),
+      [/INSERT INTO rounds/, [{ id: "r-1" }]],
+      [/FROM rounds r JOIN sessions/, [roundRow(round)]],
+    ]);
+    const { status, body } = await call(saveGame.createHandler(pool), "POST", "saveGame", { body: { round } });
+    expect(status).toBe(200);
+    expect(body.round).toMatchObject({ id: "r-1", sessionId: "s-1", names: { a: "Ann" } });
+    expect(sql(pool)).toEqual([
+      "SELECT * FROM",
+      "BEGIN",
+      "INSERT INTO sessions",
+      "INSERT INTO players",
+      "INSERT INTO rounds",
+      "SELECT r.*, s.date",
+      "COMMIT",
+    ]);
+    const insert = pool.calls.find((c) => /INSERT INTO rounds/.test(c.sql));
+    expect(insert.params.slice(0, 3)).toEqual([WORKSPACE, "r-1", "s-1"]);
+    expect(JSON.parse(insert.params[9])).not.toHaveProperty("names");
+  });
+
+  it("adds players who sat in mid-session to the session, keeping its label unless the round has one", async () => {
+    const save = async (round) => {
+      const pool = stubPool([memberRule(), [/INSERT INTO rounds/, [{ id: round.id }]], [/FROM rounds r JOIN sessions/, [roundRow(round)]]]);
+      await call(saveGame.createHandler(pool), "POST", "saveGame", { body: { round } });
+      return pool.calls.find((c) => /INSERT INTO sessions/.test(c.sql));
+    };
+    const { session: _session, ...unlabelled } = scoredRound({ players: ["a", "b", "c", "e"], scores: { a: 263, b: 87, c: 0, e: 0 } });
+    const { sql: text, params } = await save(unlabelled);
+    expect(params[6]).toBe(JSON.stringify(["a", "b", "c", "e"]));
+    expect(text).toMatch(/players = sessions\.players \|\|/);
+    expect(text).toMatch(/label = sessions\.label/);
+    expect((await save(scoredRound())).sql).toMatch(/label = EXCLUDED\.label/);
+  });
+
+  it("answers 409 with the server's copy when it is newer", async () => {
+    const round = scoredRound();
+    const newer = { ...round, updatedAt: "2026-01-02T00:00:00.000Z" };
+    const pool = stubPool([memberRule(), [/FROM rounds r JOIN sessions/, [roundRow(newer)]]]);
+    const { status, body } = await call(saveGame.createHandler(pool), "POST", "saveGame", { body: { round } });
+    expect(status).toBe(409);
+    expect(body.round.updatedAt).toBe("2026-01-02T00:00:00.000Z");
+  });
+
+  it("rejects mis-scored rounds before opening a transaction", async () => {
+    const round = scoredRound({ winner: "Opponents" });
+    const pool = stubPool([memberRule()]);
+    const { status, body } = await call(saveGame.createHandler(pool), "POST", "saveGame", { body: { round } });
+    expect(status).toBe(422);
+    expect(body.details).toEqual(["winner should be Host Team, not Opponents"]);
+    expect(sql(pool)).toEqual(["SELECT * FROM"]);
+  });
+
+  it("rolls back when a write fails", async () => {
+    const logged = vi.spyOn(console, "error").mockImplementation(() => {});
+    const pool = stubPool([
+      memberRule(),
+      [
+        /INSERT INTO rounds/,
+        () => {
+          throw new Error("connection reset");
+        },
+      ],
+    ]);
+    const { status } = await call(saveGame.createHandler(pool), "POST", "saveGame", { body: { round: scoredRound() } });
+    expect(status).toBe(500);
+    expect(sql(pool)).toContain("ROLLBACK");
+    expect(sql(pool)).not.toContain("COMMIT");
+    expect(logged).toHaveBeenCalledOnce();
+    logged.mockRestore();
+  });
+
+  it("needs a member token", async () => {
+    const pool = stubPool([]);
+    const { status } = await call(saveGame.createHandler(pool), "POST", "saveGame", { body: { round: scoredRound() } });
+    expect(status).toBe(401);
+  });
+});
+
+describe("loadGames", () => {
+  it("returns every round in the workspace, tombstones included", async () => {
+    const live = scoredRound();
+    const gone = scoredRound({ id: "r-2", deletedAt: STAMP });
+    const pool = stubPool([
+      memberRule(),
+      [/FROM rounds r JOIN sessions/, [roundRow(live), roundRow(gone)]],
+      [/FROM players WHERE/, [{ id: "a", name: "Ann", created_at: STAMP, updated_at: STAMP }]],
+    ]);
+    const { status, body } = await call(loadGames.createHandler(pool), "GET", "loadGames");
+    expect(status).toBe(200);
+    expect(body.rounds.map((r) => [r.id, r.deletedAt ?? null])).toEqual([["r-1", null], ["r-2", STAMP]]);
+    expect(body.rounds[0].session).toMatchObject({ id: "s-1", label: "Friday" });
+    const [, { sql: text, params }] = pool.calls;
+    expect(text).not.toMatch(/deleted_at IS NULL/);
+    expect(params).toEqual([WORKSPACE]);
+    expect(body.players).toEqual([{ id: "a", name: "Ann", createdAt: STAMP, updatedAt: STAMP }]);
+  });
+
+  it("narrows to one day", async () => {
+    const pool = stubPool([memberRule()]);
+    await call(loadGames.createHandler(pool), "GET", "loadGames", { query: { date: "Thu Jan 01 2026" } });
+    expect(pool.calls[1].params).toEqual([WORKSPACE, "Thu Jan 01 2026"]);
+  });
+
+  it("only answers GET", async () => {
+    const pool = stubPool([memberRule()]);
+    expect((await call(loadGames.createHandler(pool), "POST", "loadGames")).status).toBe(405);
+  });
+});
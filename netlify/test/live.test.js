@@ -0,0 +1,100 @@
+import { createRequire } from "node:module";
+import { describe, expect, it } from "vitest";
+import { call, STAMP, stubPool, WORKSPACE } from "./stubPool.js";
+
+const require = createRequire(import.meta.url);
+const { createHandler } = require("../functions/live.js");
+
+const SERVER_TIME = new Date("2026-01-01T21:00:00.000Z");
+
+const SHARE_ROW = {
+  id: "s-1",
+  workspace_id: WORKSPACE,
+  date: "Thu Jan 01 2026",
+  label: "",
+  started_at: STAMP,
+  players: ["a", "b"],
+  rules_id: null,
+  updated_at: STAMP,
+  server_time: SERVER_TIME,
+};
+
+function roundRow(id, syncedAt, extra = {}) {
+  return { data: { id, scores: {} }, session_id: "s-1", updated_at: syncedAt, synced_at: new Date(syncedAt), deleted_at: null, ...extra };
+}
+
+function viewer(rounds) {
+  const pool = stubPool([
+    [/FROM live_shares l/, [SHARE_ROW]],
+    [/FROM rounds r JOIN sessions/, rounds],
+    [/AS names FROM players/, [{ names: { a: "Ann", b: "Bea" } }]],
+  ]);
+  const poll = (since) => call(createHandler(pool), "GET", "live/abcd-efgh", { query: since === undefined ? null : { since } });
+  return { pool, poll };
+}
+
+const roundQuery = (pool) => pool.calls.find((c) => /FROM rounds r JOIN sessions/.test(c.sql));
+
+describe("GET /live/:code", () => {
+  it("needs no token and hands out the server time as the first cursor", async () => {
+    const { pool, poll } = viewer([]);
+    const { status, body } = await poll();
+    expect(status).toBe(200);
+    expect(body.names).toEqual({ a: "Ann", b: "Bea" });
+    expect(body.cursor).toBe(SERVER_TIME.toISOString());
+    expect(pool.calls.some((c) => /members/.test(c.sql))).toBe(false);
+    expect(pool.calls[0].params).toEqual(["ABCDEFGH"]);
+  });
+
+  it("leaves tombstones out of the first poll", async () => {
+    const { pool, poll } = viewer([]);
+    await poll();
+    expect(roundQuery(pool).sql).toMatch(/r\.deleted_at IS NULL/);
+  });
+
+  it("asks for rounds written since the cursor, with some overlap, tombstones included", async () => {
+    const { pool, poll } = viewer([]);
+    await poll(STAMP);
+    const { sql, params } = roundQuery(pool);
+    expect(sql).toMatch(/r\.synced_at > \$3::timestamptz - interval '5 seconds'/);
+    expect(sql).not.toMatch(/deleted_at IS NULL/);
+    expect(params).toEqual([WORKSPACE, "s-1", STAMP]);
+  });
+
+  it("moves the cursor to the newest write", async () => {
+    const { poll } = viewer([
+      roundRow("r-1", "2026-01-01T20:00:03.000Z"),
+      roundRow("r-2", "2026-01-01T20:00:09.000Z", { deleted_at: "2026-01-01T20:00:09.000Z" }),
+    ]);
+    const { body } = await poll(STAMP);
+    expect(body.cursor).toBe("2026-01-01T20:00:09.000Z");
+    expect(body.rounds.map((r) => r.id)).toEqual(["r-1", "r-2"]);
+    expect(body.rounds[1].deletedAt).toBe("2026-01-01T20:00:09.000Z");
+  });
+
+  it("never moves the cursor backwards for overlap rows", async () => {
+    const { poll } = viewer([roundRow("r-1", "2026-01-01T19:59:58.000Z")]);
+    const { body } = await poll(STAMP);
+    expect(body.cursor).toBe(STAMP);
+    expect(body.rounds).toHaveLength(1);
+  });
+
+  it("keeps the cursor when nothing changed", async () => {
+    const { poll } = viewer([]);
+    expect((await poll(STAMP)).body.cursor).toBe(STAMP);
+  });
+
+  it("rejects a cursor that isn't a time", async () => {
+    const { pool, poll } = viewer([]);
+    const { status, body } = await poll("yesterday-ish");
+    expect(status).toBe(400);
+    expect(body.error).toBe("since must be a cursor from a previous response");
+    expect(roundQuery(pool)).toBeUndefined();
+  });
+
+  it("404s an unknown code", async () => {
+    const pool = stubPool([]);
+    const { status } = await call(createHandler(pool), "GET", "live/NOPE1234");
+    expect(status).toBe(404);
+  });
+});
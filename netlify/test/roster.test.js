@@ -0,0 +1,93 @@
+import { createRequire } from "node:module";
+import { describe, expect, it } from "vitest";
+import { call, memberRule, STAMP, stubPool } from "./stubPool.js";
+
+const require = createRequire(import.meta.url);
+const players = require("../functions/players.js");
+const sessions = require("../functions/sessions.js");
+
+const PLAYER_ROW = { id: "p-1", name: "Ann", created_at: STAMP, updated_at: STAMP };
+
+function sessionRow(roundCount) {
+  return {
+    id: "s-1",
+    date: "Thu Jan 01 2026",
+    label: "",
+    started_at: STAMP,
+    players: ["p-1"],
+    rules_id: null,
+    updated_at: STAMP,
+    round_count: String(roundCount),
+  };
+}
+
+const deletes = (pool) => pool.calls.filter((c) => /^DELETE/.test(c.sql));
+
+describe("DELETE /players/:id", () => {
+  it("is admin-only", async () => {
+    const pool = stubPool([memberRule("member")]);
+    const { status } = await call(players.createHandler(pool), "DELETE", "players/p-1");
+    expect(status).toBe(403);
+    expect(deletes(pool)).toEqual([]);
+  });
+
+  it("refuses while rounds or sessions reference the player", async () => {
+    const pool = stubPool([
+      memberRule("admin"),
+      [/FROM players WHERE/, [PLAYER_ROW]],
+      [/AS rounds/, [{ rounds: "2", sessions: "1" }]],
+    ]);
+    const { status, body } = await call(players.createHandler(pool), "DELETE", "players/p-1");
+    expect(status).toBe(409);
+    expect(body.error).toBe("Player p-1 is in 2 round(s) and 1 session(s)");
+    expect(deletes(pool)).toEqual([]);
+  });
+
+  it("deletes an unreferenced player", async () => {
+    const pool = stubPool([
+      memberRule("admin"),
+      [/FROM players WHERE/, [PLAYER_ROW]],
+      [/AS rounds/, [{ rounds: "0", sessions: "0" }]],
+    ]);
+    const { status, body } = await call(players.createHandler(pool), "DELETE", "players/p-1");
+    expect(status).toBe(200);
+    expect(body.player.name).toBe("Ann");
+    expect(deletes(pool)).toHaveLength(1);
+  });
+});
+
+describe("DELETE /sessions/:id", () => {
+  it("is admin-only", async () => {
+    const pool = stubPool([memberRule("member")]);
+    const { status } = await call(sessions.createHandler(pool), "DELETE", "sessions/s-1");
+    expect(status).toBe(403);
+  });
+
+  it("refuses while the session still has rounds", async () => {
+    const pool = stubPool([memberRule("admin"), [/FROM sessions s/, [sessionRow(3)]]]);
+    const { status, body } = await call(sessions.createHandler(pool), "DELETE", "sessions/s-1");
+    expect(status).toBe(409);
+    expect(body.error).toBe("Session s-1 still has 3 round(s); delete them first");
+    expect(deletes(pool)).toEqual([]);
+  });
+
+  it("deletes an empty session", async () => {
+    const pool = stubPool([memberRule("admin"), [/FROM sessions s/, [sessionRow(0)]]]);
+    const { status } = await call(sessions.createHandler(pool), "DELETE", "sessions/s-1");
+    expect(status).toBe(200);
+    expect(deletes(pool)).toHaveLength(1);
+  });
+});
+
+describe("list paging", () => {
+  it.each([
+    ["players", players],
+    ["sessions", sessions],
+  ])("bounds the %s list's limit and offset", async (path, fn) => {
+    const pool = stubPool([memberRule(), [/^SELECT COUNT/, [{ count: "0" }]]]);
+    const handler = fn.createHandler(pool);
+    expect((await call(handler, "GET", path, { query: { limit: "201" } })).status).toBe(400);
+    expect((await call(handler, "GET", path, { query: { offset: "-5" } })).status).toBe(400);
+    expect((await call(handler, "GET", path, { query: { limit: "1", offset: "7" } })).body.page).toEqual({ limit: 1, offset: 7, total: 0 });
+  });
+});
@@ -0,0 +1,163 @@
+import { createRequire } from "node:module";
+import { describe, expect, it } from "vitest";
+import { calculateScores, STANDARD_RULES } from "../../src/lib/scoring.js";
+import { call, memberRule, STAMP, stubPool, WORKSPACE } from "./stubPool.js";
+
+const require = createRequire(import.meta.url);
+const { createHandler } = require("../functions/rounds.js");
+
+const PLAYERS = ["a", "b", "c", "d", "e", "f"];
+
+function scoredRound(extra = {}) {
+  const input = { mode: "Normal", players: PLAYERS, hostIdx: 0, friendIdxs: [1], bid: 120, opponentScore: 50 };
+  return {
+    id: "r-1",
+    round: 1,
+    mode: "Normal",
+    players: PLAYERS,
+    host: "a",
+    friends: ["b"],
+    bid: 120,
+    opponentScore: 50,
+    ...calculateScores(STANDARD_RULES, input),
+    date: "Thu Jan 01 2026",
+    ...extra,
+  };
+}
+
+function roundRow(round) {
+  return {
+    data: round,
+    session_id: "s-1",
+    updated_at: STAMP,
+    deleted_at: round.deletedAt ?? null,
+    names: null,
+    session_date: round.date,
+    session_label: "",
+    session_started_at: STAMP,
+  };
+}
+
+describe("DELETE /rounds/:id", () => {
+  it("is refused for members before anything is written", async () => {
+    const pool = stubPool([memberRule("member")]);
+    const { status, body } = await call(createHandler(pool), "DELETE", "rounds/r-1");
+    expect(status).toBe(403);
+    expect(body.error).toBe("Only workspace admins can delete rounds");
+    expect(pool.calls.some((c) => /UPDATE rounds/.test(c.sql))).toBe(false);
+  });
+
+  it("leaves a tombstone for admins", async () => {
+    const pool = stubPool([
+      memberRule("admin"),
+      [/UPDATE rounds SET deleted_at/, [{ id: "r-1" }]],
+      [/FROM rounds r JOIN sessions/, [roundRow(scoredRound({ deletedAt: STAMP }))]],
+    ]);
+    const { status, body } = await call(createHandler(pool), "DELETE", "rounds/r-1");
+    expect(status).toBe(200);
+    expect(body.round.deletedAt).toBe(STAMP);
+    expect(pool.calls.find((c) => /UPDATE rounds/.test(c.sql)).params).toContain(WORKSPACE);
+  });
+
+  it("turns a member's synced tombstone for a live round into a 403", async () => {
+    const pool = stubPool([memberRule("member"), [/FROM rounds r JOIN sessions/, [roundRow(scoredRound())]]]);
+    const round = scoredRound({ deletedAt: STAMP, updatedAt: STAMP });
+    const { status, body } = await call(createHandler(pool), "PUT", "rounds/r-1", { body: { round } });
+    expect(status).toBe(403);
+    expect(body.round.deletedAt).toBeUndefined();
+    expect(pool.calls.some((c) => /INSERT INTO rounds/.test(c.sql))).toBe(false);
+  });
+});
+
+describe("POST /rounds rescoring", () => {
+  it("saves a round whose scores match its rules", async () => {
+    const round = scoredRound();
+    // The first read is POST's existence check
+    let reads = 0;
+    const pool = stubPool([
+      memberRule(),
+      [/INSERT INTO rounds/, [{ id: "r-1" }]],
+      [/FROM rounds r JOIN sessions/, () => (reads++ === 0 ? [] : [roundRow(round)])],
+    ]);
+    const { status } = await call(createHandler(pool), "POST", "rounds", { body: { round } });
+    expect(status).toBe(201);
+    expect(pool.calls.map((c) => c.sql)).toContain("COMMIT");
+  });
+
+  it("rejects a mismatch with 422 and one detail per disagreement", async () => {
+    const round = scoredRound();
+    const pool = stubPool([memberRule()]);
+    const tampered = { ...round, scores: { ...round.scores, a: round.scores.a + 100 }, winner: "Opponents" };
+    const { status, body } = await call(createHandler(pool), "POST", "rounds", { body: { round: tampered } });
+    expect(status).toBe(422);
+    expect(body.error).toBe("Scores do not match the round's rules");
+    expect(body.details).toEqual([
+      "winner should be Host Team, not Opponents",
+      `a should score ${round.scores.a}, not ${round.scores.a + 100}`,
+    ]);
+    expect(pool.calls.some((c) => /INSERT INTO rounds|BEGIN/.test(c.sql))).toBe(false);
+  });
+
+  it("scores a preset with the server's copy, not the snapshot", async () => {
+    const forged = { ...STANDARD_RULES, total: 4000 };
+    const input = { mode: "Normal", players: PLAYERS, hostIdx: 0, friendIdxs: [1], bid: 120, opponentScore: 50 };
+    const round = scoredRound({ rules: forged, ...calculateScores(forged, input) });
+    const pool = stubPool([memberRule()]);
+    const { status, body } = await call(createHandler(pool), "POST", "rounds", { body: { round } });
+    expect(status).toBe(422);
+    expect(body.error).toBe("Scores do not match the round's rules");
+  });
+
+  it("rejects a custom rule set the rules editor wouldn't accept", async () => {
+    const rules = { ...STANDARD_RULES, id: "custom-1", name: "House", teamShares: { ...STANDARD_RULES.teamShares, 1: [2, 2] } };
+    const pool = stubPool([memberRule()]);
+    const { status, body } = await call(createHandler(pool), "POST", "rounds", { body: { round: scoredRound({ rules }) } });
+    expect(status).toBe(422);
+    expect(body.error).toBe("Round's rule set is not valid");
+    expect(body.details).toEqual(["Split for 1 friend(s) adds up to 400%, not 100%."]);
+  });
+
+  it("scores a valid custom rule set with its snapshot", async () => {
+    const rules = { ...STANDARD_RULES, id: "custom-1", name: "House", total: 300 };
+    const input = { mode: "Normal", players: PLAYERS, hostIdx: 0, friendIdxs: [1], bid: 120, opponentScore: 50 };
+    const round = scoredRound({ rules, ...calculateScores(rules, input) });
+    const pool = stubPool([memberRule(), [/INSERT INTO rounds/, [{ id: "r-1" }]]]);
+    expect((await call(createHandler(pool), "PUT", "rounds/r-1", { body: { round } })).status).not.toBe(422);
+    expect(pool.calls.some((c) => /INSERT INTO rounds/.test(c.sql))).toBe(true);
+  });
+
+  it("rejects a table that can't be scored", async () => {
+    const pool = stubPool([memberRule()]);
+    const round = scoredRound({ friends: ["a"] });
+    const { status, body } = await call(createHandler(pool), "POST", "rounds", { body: { round } });
+    expect(status).toBe(422);
+    expect(body.details).toContain("the host cannot be their own friend");
+  });
+});
+
+describe("GET /rounds paging", () => {
+  const list = (query) => {
+    const pool = stubPool([memberRule(), [/^SELECT COUNT/, [{ count: "3" }]]]);
+    return call(createHandler(pool), "GET", "rounds", { query }).then((res) => ({ ...res, pool }));
+  };
+
+  it.each([
+    [{ limit: "0" }, "limit must be an integer between 1 and 200"],
+    [{ limit: "201" }, "limit must be an integer between 1 and 200"],
+    [{ limit: "2.5" }, "limit must be an integer between 1 and 200"],
+    [{ offset: "-1" }, "offset must be a non-negative integer"],
+    [{ offset: "x" }, "offset must be a non-negative integer"],
+  ])("rejects %o", async (query, error) => {
+    const { status, body, pool } = await list(query);
+    expect(status).toBe(400);
+    expect(body.error).toBe(error);
+    expect(pool.calls.some((c) => /FROM rounds/.test(c.sql))).toBe(false);
+  });
+
+  it("defaults to 50 from the start and accepts the bounds", async () => {
+    expect((await list({})).body.page).toEqual({ limit: 50, offset: 0, total: 3 });
+    const { body, pool } = await list({ limit: "200", offset: "0" });
+    expect(body.page).toEqual({ limit: 200, offset: 0, total: 3 });
+    expect(pool.calls.find((c) => /ORDER BY/.test(c.sql)).sql).toMatch(/LIMIT 200 OFFSET 0;/);
+  });
+});
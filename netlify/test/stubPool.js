@@ -0,0 +1,38 @@
+// A pg Pool stand-in for exercising the handlers without a database. Each
+// query is answered by the first [pattern, rows] rule whose pattern matches
+// its SQL (rows may be a function of the params); anything else gets no rows.
+// Every query is recorded in `calls`, transactions included.
+
+export function stubPool(rules) {
+  const calls = [];
+  const query = async (sql, params = []) => {
+    calls.push({ sql, params });
+    const rule = rules.find(([pattern]) => pattern.test(sql));
+    const rows = !rule ? [] : typeof rule[1] === "function" ? rule[1](params) : rule[1];
+    return { rows, rowCount: rows.length };
+  };
+  return { calls, query, connect: async () => ({ query, release() {} }) };
+}
+
+export const WORKSPACE = "w-1";
+export const STAMP = "2026-01-01T20:00:00.000Z";
+
+// authenticate() looks the token up in members; every token is this member
+export function memberRule(role = "member") {
+  return [/FROM members WHERE token_hash/, [{ id: `m-${role}`, workspace_id: WORKSPACE, name: role, role, created_at: STAMP }]];
+}
+
+export function event(httpMethod, path, { body, query } = {}) {
+  return {
+    httpMethod,
+    path: `/.netlify/functions/${path}`,
+    headers: { authorization: "Bearer token" },
+    queryStringParameters: query ?? null,
+    body: body === undefined ? null : JSON.stringify(body),
+  };
+}
+
+export async function call(handler, ...args) {
+  const response = await handler(event(...args));
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+}
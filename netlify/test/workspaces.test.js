@@ -0,0 +1,142 @@
+import { createRequire } from "node:module";
+import { describe, expect, it } from "vitest";
+import { call, memberRule, STAMP, stubPool, WORKSPACE } from "./stubPool.js";
+
+const require = createRequire(import.meta.url);
+const { createHandler } = require("../functions/workspaces.js");
+
+const member = (id, role) => ({ id, workspace_id: WORKSPACE, name: id, role, created_at: STAMP });
+
+// Inserted members come back as the row the INSERT would return
+const insertMember = [
+  /INSERT INTO members/,
+  ([id, workspaceId, name, role]) => [{ id, workspace_id: workspaceId, name, role, created_at: STAMP }],
+];
+
+const admins = (count) => [/AND role = 'admin'/, [{ count: String(count) }]];
+const others = (count) => [/AND id <> \$2/, [{ count: String(count) }]];
+const target = (role) => [/FROM members WHERE workspace_id = \$1 AND id = \$2/, [member("m-2", role)]];
+
+const sql = (pool) => pool.calls.map((c) => c.sql);
+
+describe("POST /workspaces/join", () => {
+  const workspaceRule = [/FROM workspaces WHERE join_code/, [{ id: WORKSPACE, name: "Friday", join_code: "ABC234" }]];
+
+  it("joins by a loosely typed code as a member", async () => {
+    const pool = stubPool([workspaceRule, admins(1), insertMember]);
+    const { status, body } = await call(createHandler(pool), "POST", "workspaces/join", {
+      body: { code: " abc-234 ", memberName: " Bea " },
+    });
+    expect(status).toBe(200);
+    expect(body.workspace).toEqual({ id: WORKSPACE, name: "Friday", code: "ABC234" });
+    expect(body.member).toMatchObject({ name: "Bea", role: "member" });
+    expect(body.token).toEqual(expect.any(String));
+    expect(pool.calls.find((c) => /join_code/.test(c.sql)).params).toEqual(["ABC234"]);
+    const insert = pool.calls.find((c) => /INSERT INTO members/.test(c.sql));
+    expect(insert.params[4]).not.toBe(body.token);
+  });
+
+  it("makes the first member of a workspace without admins its admin", async () => {
+    const pool = stubPool([workspaceRule, admins(0), insertMember]);
+    const { body } = await call(createHandler(pool), "POST", "workspaces/join", { body: { code: "ABC234", memberName: "Ann" } });
+    expect(body.member.role).toBe("admin");
+  });
+
+  it("answers 404 for an unknown code and 400 without a name", async () => {
+    const unknown = await call(createHandler(stubPool([])), "POST", "workspaces/join", {
+      body: { code: "ZZZ999", memberName: "Ann" },
+    });
+    expect(unknown).toEqual({ status: 404, body: { error: "No workspace has the code ZZZ999" } });
+    const nameless = await call(createHandler(stubPool([workspaceRule])), "POST", "workspaces/join", { body: { code: "ABC234" } });
+    expect(nameless.status).toBe(400);
+  });
+});
+
+describe("PUT /workspaces/members/:id", () => {
+  const setRole = (pool, role) => call(createHandler(pool), "PUT", "workspaces/members/m-2", { body: { role } });
+  const updateRule = [/UPDATE members SET role/, ([, id, role]) => [member(id, role)]];
+
+  it("lets an admin change a member's role", async () => {
+    const pool = stubPool([memberRule("admin"), target("member"), updateRule]);
+    const { status, body } = await setRole(pool, "admin");
+    expect(status).toBe(200);
+    expect(body.member).toMatchObject({ id: "m-2", role: "admin" });
+    expect(sql(pool)).toContain("COMMIT");
+  });
+
+  it("is for admins only", async () => {
+    const pool = stubPool([memberRule("member"), target("member")]);
+    const { status, body } = await setRole(pool, "admin");
+    expect(status).toBe(403);
+    expect(body.error).toBe("Only workspace admins can change roles");
+    expect(sql(pool).some((s) => /UPDATE members/.test(s))).toBe(false);
+  });
+
+  it("rejects unknown roles", async () => {
+    const { status, body } = await setRole(stubPool([memberRule("admin")]), "owner");
+    expect(status).toBe(400);
+    expect(body.error).toBe("role must be one of admin, member");
+  });
+
+  it("won't demote the last admin", async () => {
+    const pool = stubPool([memberRule("admin"), target("admin"), admins(1), updateRule]);
+    const { status, body } = await setRole(pool, "member");
+    expect(status).toBe(409);
+    expect(body.error).toBe("A workspace needs at least one admin");
+    expect(sql(pool)).toContain("ROLLBACK");
+    expect(sql(pool).some((s) => /UPDATE members/.test(s))).toBe(false);
+  });
+
+  it("demotes an admin while another remains", async () => {
+    const pool = stubPool([memberRule("admin"), target("admin"), admins(2), updateRule]);
+    const { status, body } = await setRole(pool, "member");
+    expect(status).toBe(200);
+    expect(body.member.role).toBe("member");
+  });
+});
+
+describe("DELETE /workspaces/members/:id", () => {
+  const remove = (pool, id = "m-2") => call(createHandler(pool), "DELETE", `workspaces/members/${id}`);
+  const deleted = (pool) => sql(pool).some((s) => /DELETE FROM members/.test(s));
+
+  it("lets an admin remove a member", async () => {
+    const pool = stubPool([memberRule("admin"), target("member"), others(2), admins(1)]);
+    const { status, body } = await remove(pool);
+    expect(status).toBe(200);
+    expect(body.member.id).toBe("m-2");
+    expect(pool.calls.find((c) => /DELETE FROM members/.test(c.sql)).params).toEqual([WORKSPACE, "m-2"]);
+  });
+
+  it("lets members leave but not remove others", async () => {
+    const self = stubPool([memberRule("member"), [/AND id = \$2/, [member("m-member", "member")]], others(2)]);
+    expect((await remove(self, "m-member")).status).toBe(200);
+    expect(deleted(self)).toBe(true);
+
+    const other = stubPool([memberRule("member"), target("member")]);
+    const { status, body } = await remove(other);
+    expect(status).toBe(403);
+    expect(body.error).toBe("Only workspace admins can remove other members");
+    expect(deleted(other)).toBe(false);
+  });
+
+  it("won't remove the last admin while others are left", async () => {
+    const pool = stubPool([memberRule("admin"), target("admin"), others(2), admins(1)]);
+    const { status, body } = await remove(pool);
+    expect(status).toBe(409);
+    expect(body.error).toBe("Make someone else an admin first");
+    expect(deleted(pool)).toBe(false);
+  });
+
+  it("lets the last admin leave once nobody else is in the workspace", async () => {
+    const pool = stubPool([memberRule("admin"), [/AND id = \$2/, [member("m-admin", "admin")]], others(0), admins(1)]);
+    expect((await remove(pool, "m-admin")).status).toBe(200);
+    expect(deleted(pool)).toBe(true);
+  });
+
+  it("answers 404 for someone not in the workspace", async () => {
+    const pool = stubPool([memberRule("admin")]);
+    const { status, body } = await remove(pool, "m-9");
+    expect(status).toBe(404);
+    expect(body.error).toMatch(/m-9/);
+  });
+});
@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   Users,
   Trophy,
@@ -11,84 +11,451 @@ import {
   Target,
   History,
   ListChecks,
-  Clock
+  Clock,
+  AlertTriangle,
+  X,
+  Cloud,
+  CloudOff,
+  CloudUpload,
+  RefreshCw,
+  Settings,
+  Undo2,
+  Redo2,
+  Trash2,
+  FileClock,
+  TrendingUp,
+  Crown
 } from "lucide-react";
+import { loadAppState, loadWorkspaces, saveAppState, saveWorkspaces, workspaceStorageKey } from "./lib/storage.js";
+import {
+  calculateScores,
+  findRuleSet,
+  friendsAllowed as friendsForTable,
+  levelPassLine,
+  MAX_TABLE_SIZE,
+  MIN_TABLE_SIZE,
+  modeLabel,
+  PRESET_RULE_SETS,
+  withDefaults,
+} from "./lib/scoring.js";
+import { addPlayer, mergePlayers, nameIndex, newPlayerId, renamePlayer, roundCounts } from "./lib/roster.js";
+import { deleteRound, describeAuditEntry, editRound, replaceRound, restoreSnapshot } from "./lib/roundEdits.js";
+import { playerSeries, sessionSeries } from "./lib/charts.js";
+import { rankName, sessionLevels } from "./lib/levels.js";
+import { cardLabel, friendsFromCalls } from "./lib/calls.js";
+import { auctionResult, bestBid } from "./lib/auction.js";
+import { computeRatings } from "./lib/ratings.js";
+import { bestPerformers, DEFAULT_STATS_FILTERS, filterGameData, playerRankings } from "./lib/stats.js";
+import { closeSeason, reopenSeason, seasonsToClose } from "./lib/seasons.js";
+import { achievements } from "./lib/achievements.js";
+import { downloadFile } from "./lib/exchange.js";
+import { createSession, isToday, latestSession, newRoundId, sessionTitle, sortSessions, todayLabel } from "./lib/sessions.js";
+import classNames from "./lib/classNames.js";
+import SessionBar from "./components/SessionBar.jsx";
+import RoundEditor from "./components/RoundEditor.jsx";
+import RulesSettings from "./components/RulesSettings.jsx";
+import RosterSettings from "./components/RosterSettings.jsx";
+import DataSettings from "./components/DataSettings.jsx";
+import LineChart from "./components/LineChart.jsx";
+import PartnershipMatrix from "./components/PartnershipMatrix.jsx";
+import BidAnalytics from "./components/BidAnalytics.jsx";
+import CallsEditor from "./components/CallsEditor.jsx";
+import CallStats from "./components/CallStats.jsx";
+import StatsFilters from "./components/StatsFilters.jsx";
+import SeasonStandings from "./components/SeasonStandings.jsx";
+import HallOfFame from "./components/HallOfFame.jsx";
+import Records from "./components/Records.jsx";
+import AchievementToast from "./components/AchievementToast.jsx";
+import PlayerProfile from "./components/PlayerProfile.jsx";
+import SettleUp from "./components/SettleUp.jsx";
+import AuctionLog from "./components/AuctionLog.jsx";
+import AuctionStats from "./components/AuctionStats.jsx";
+import PointCounter from "./components/PointCounter.jsx";
+import WorkspaceSwitcher from "./components/WorkspaceSwitcher.jsx";
+import WorkspaceSettings from "./components/WorkspaceSettings.jsx";
+import LiveShare from "./components/LiveShare.jsx";
+import LiveScoreboard from "./components/LiveScoreboard.jsx";
+import {
+  adoptRemotePlayers,
+  dropTombstones,
+  applyRemoteRenames,
+  fetchGames,
+  markPlayersSynced,
+  markUnsynced,
+  mergeRemoteRounds,
+  pendingPlayers,
+  pendingRounds,
+  pushRenames,
+  removeMember,
+  roundPayload,
+} from "./lib/cloudSync.js";
+import { clearQueue, flushQueue, queuedWrites, queueRounds } from "./lib/syncQueue.js";
+import {
+  activeMembership,
+  isAdmin,
+  readJoinCode,
+  toMembership,
+  updateMembership,
+  withMembership,
+  withoutMembership,
+} from "./lib/workspaces.js";
+import { LIVE_SYNC_INTERVAL, POLL_INTERVAL, readLiveCode, usePolling } from "./lib/live.js";
 
 /**
  * Finding Friends Score Tracker
  * Single-file React component as requested.
- * - Tabs: New Game, Statistics, Details, Past Games
- * - Session data keyed by date string (e.g., Mon Oct 28 2024)
- * - In-memory only (no localStorage), easy to wire up later
+ * - Tabs: New Game, Statistics, Details, Past Games, Settings
+ * - Scoring rules live in lib/scoring.js; each session picks a rule set
+ * - Sessions are first-class (lib/sessions.js): gameData is keyed by session id,
+ *   and any number of sessions can share a date
+ * - Players are roster IDs (lib/roster.js); names are looked up for display
+ * - Persisted to localStorage (see lib/storage.js for schema + migrations)
+ * - Rounds synced to the Netlify functions when available (lib/cloudSync.js),
+ *   scoped to the active workspace; each workspace has its own local copy and
+ *   switching remounts the tracker on it (lib/workspaces.js)
+ * - Unsent rounds wait in an IndexedDB outbox (lib/syncQueue.js), retried with
+ *   backoff until they reach the server
+ * - A ?live=CODE link opens the read-only live scoreboard instead (lib/live.js)
  * - Tailwind for styling
  */
 
-function classNames(...arr) {
-  return arr.filter(Boolean).join(" ");
+function defaultRoster() {
+  return ["Player 1", "Player 2", "Player 3", "Player 4", "Player 5", "Player 6"].map((name) => ({
+    id: newPlayerId(),
+    name,
+  }));
 }
 
-function todayLabel() {
-  return new Date().toDateString();
+// New sessions start with the table from the most recent session
+function carryOverPlayers(gameData) {
+  return [...latestSession(gameData).players];
 }
 
-function defaultPlayers() {
-  return ["Player 1", "Player 2", "Player 3", "Player 4", "Player 5", "Player 6"];
+// Opens today's latest session, creating one if today has none yet
+function loadInitialState(key) {
+  const loaded = loadAppState({ key });
+  const roster = loaded.state?.roster ?? defaultRoster();
+  const saved = loaded.state?.gameData ?? {};
+  const today =
+    sortSessions(Object.values(saved)).find(isToday) ??
+    createSession({ players: Object.keys(saved).length ? carryOverPlayers(saved) : roster.map((p) => p.id) });
+  return { ...loaded, roster, gameData: { ...saved, [today.id]: today }, sessionId: today.id };
 }
 
 const START_BID = 150;
-const NO_BIDS_VALUE = 160;
+const HISTORY_LIMIT = 50;
 
 export default function FindingFriendsTracker() {
+  const [workspaces, setWorkspaces] = useState(loadWorkspaces);
+  const [joinCode] = useState(readJoinCode);
+  const [liveCode] = useState(readLiveCode);
+
+  useEffect(() => {
+    saveWorkspaces(workspaces);
+  }, [workspaces]);
+
+  // A ?join= link is only used once
+  useEffect(() => {
+    if (joinCode) window.history.replaceState(null, "", window.location.pathname);
+  }, [joinCode]);
+
+  if (liveCode) return <LiveScoreboard code={liveCode} />;
+
+  return (
+    <Tracker
+      key={workspaces.activeId ?? "local"}
+      workspaces={workspaces}
+      joinCode={joinCode}
+      onWorkspacesChange={setWorkspaces}
+    />
+  );
+}
+
+function Tracker({ workspaces, joinCode, onWorkspacesChange }) {
+  const membership = activeMembership(workspaces);
+  const storageKey = workspaceStorageKey(membership?.id);
+  const canManage = isAdmin(membership);
   const [activeTab, setActiveTab] = useState("New Game");
-  const [selectedDate, setSelectedDate] = useState(todayLabel());
-  const [gameData, setGameData] = useState(() => ({
-    [todayLabel()]: {
-      players: defaultPlayers(),
-      rounds: [],
-      currentRound: 1,
-    },
-  }));
+  const [initialLoad] = useState(() => loadInitialState(storageKey));
+  const [selectedId, setSelectedId] = useState(initialLoad.sessionId);
+  const [roster, setRoster] = useState(initialLoad.roster);
+  const [gameData, setGameData] = useState(initialLoad.gameData);
+  const [customRuleSets, setCustomRuleSets] = useState(() => initialLoad.state?.ruleSets ?? []);
+  const [seasons, setSeasons] = useState(() => initialLoad.state?.seasons ?? []);
+  const [storageError, setStorageError] = useState(initialLoad.error);
+  // Unreadable data that couldn't be copied aside stays put until the user decides
+  const [savingBlocked, setSavingBlocked] = useState(Boolean(initialLoad.error?.blocksSaving));
 
-  // --- Helpers to get/update current session ---
-  const getCurrent = () => {
-    if (!gameData[selectedDate]) {
-      // create lazily with default players
-      setGameData((prev) => ({
-        ...prev,
-        [selectedDate]: { players: defaultPlayers(), rounds: [], currentRound: 1 },
-      }));
-      return { players: defaultPlayers(), rounds: [], currentRound: 1 };
+  // --- Persistence ---
+  useEffect(() => {
+    if (savingBlocked) return;
+    const err = saveAppState({ gameData, ruleSets: customRuleSets, roster, seasons }, { key: storageKey });
+    if (err) setStorageError(err);
+  }, [gameData, customRuleSets, roster, seasons, storageKey, savingBlocked]);
+
+  const onDownloadUnreadable = () =>
+    downloadFile(`finding-friends-unreadable-${Date.now()}.json`, localStorage.getItem(storageKey) ?? "", "application/json");
+
+  const onDiscardUnreadable = () => {
+    if (!window.confirm("Overwrite the unreadable saved data? Download it first if you want to keep it.")) return;
+    setSavingBlocked(false);
+    setStorageError(null);
+  };
+
+  // --- Workspaces ---
+  const workspaceId = membership?.id;
+  const onRefreshWorkspace = useCallback(
+    (changes) => onWorkspacesChange((ws) => updateMembership(ws, workspaceId, changes)),
+    [workspaceId, onWorkspacesChange]
+  );
+
+  const onJoinedWorkspace = (result, { copyGames }) => {
+    const next = toMembership(result);
+    if (copyGames) {
+      const err = saveAppState(
+        { gameData: markUnsynced(gameData), ruleSets: customRuleSets, roster, seasons },
+        { key: workspaceStorageKey(next.id) }
+      );
+      if (err) setStorageError(err);
     }
-    return gameData[selectedDate];
+    onWorkspacesChange((ws) => withMembership(ws, next));
   };
 
+  // --- Cloud sync ---
+  const [sync, setSync] = useState({ status: "idle", message: "" });
+  const gameDataRef = useRef(gameData);
+  const rosterRef = useRef(roster);
+  const syncingRef = useRef(false);
+  const resyncRef = useRef(false);
+  useEffect(() => {
+    gameDataRef.current = gameData;
+    rosterRef.current = roster;
+  }, [gameData, roster]);
+
+  // --- Outbox: pending round writes, kept in IndexedDB until the server has them ---
+  const [outbox, setOutbox] = useState([]);
+  const queuePending = useCallback(async () => {
+    if (!workspaceId) return;
+    const data = gameDataRef.current;
+    await queueRounds(
+      workspaceId,
+      pendingRounds(data).map((r) => roundPayload(r, { roster: rosterRef.current, session: data[r.sessionId] }))
+    );
+    setOutbox(await queuedWrites(workspaceId));
+  }, [workspaceId]);
+  useEffect(() => {
+    queuePending().catch((err) => setSync({ status: "error", message: `Couldn't queue rounds: ${err.message}` }));
+  }, [gameData, queuePending]);
+
+  const token = membership?.token;
+  const syncNow = useCallback(async () => {
+    if (!token) {
+      setSync({ status: "local", message: "Create or join a workspace to sync" });
+      return false;
+    }
+    if (syncingRef.current) {
+      resyncRef.current = true;
+      return true;
+    }
+    syncingRef.current = true;
+    setSync({ status: "syncing", message: "" });
+    try {
+      await queuePending();
+      const { results, failed } = await flushQueue(workspaceId, token);
+      setOutbox(await queuedWrites(workspaceId));
+      if (failed) throw failed;
+      const rejected = results.filter((r) => r.conflict).length;
+      const denied = results.filter((r) => r.denied).map((r) => r.roundId);
+      const renames = await pushRenames(token, pendingPlayers(rosterRef.current));
+      if (renames.settled.length) setRoster((prev) => markPlayersSynced(prev, renames.settled));
+      const games = await fetchGames(token);
+      const { added, renamed, rounds: remote } = adoptRemotePlayers(rosterRef.current, games.rounds, games.players);
+      if (added.length || renamed.length) {
+        setRoster((prev) => [...applyRemoteRenames(prev, renamed), ...added.filter((a) => !prev.some((p) => p.id === a.id))]);
+      }
+      const { conflicts } = mergeRemoteRounds(dropTombstones(gameDataRef.current, denied), remote);
+      setGameData((prev) => mergeRemoteRounds(dropTombstones(prev, denied), remote).gameData);
+
+      const notes = [];
+      if (conflicts.length) {
+        const titles = conflicts.map((id) => (gameDataRef.current[id] ? sessionTitle(gameDataRef.current[id]) : id));
+        notes.push(`Rounds from another device were merged into ${titles.join(", ")} and renumbered.`);
+      }
+      if (rejected) notes.push(`${rejected} round(s) were replaced by a newer copy from another device.`);
+      if (denied.length) notes.push(`${denied.length} deleted round(s) were restored: only workspace admins can delete rounds.`);
+      if (renames.denied.length) {
+        const names = renames.denied.map((p) => p.name).join(", ");
+        notes.push(`Only workspace admins can rename players; ${names} keep their new names on this device only.`);
+      }
+      setSync({
+        status: notes.length ? "conflict" : "synced",
+        message: notes.length ? notes.join(" ") : `Synced ${new Date().toLocaleTimeString()}`,
+      });
+      return true;
+    } catch (err) {
+      setSync({ status: err.offline ? "offline" : "error", message: err.message });
+      return false;
+    } finally {
+      syncingRef.current = false;
+      if (resyncRef.current) {
+        resyncRef.current = false;
+        syncNow();
+      }
+    }
+  }, [token, workspaceId, queuePending]);
+
+  // One last push before leaving; whatever the server still hasn't taken is
+  // dropped with the queue. Errors surface in WorkspaceSettings, which stays
+  // mounted until the switch at the end.
+  const onLeaveWorkspace = async () => {
+    await syncNow();
+    await clearQueue(membership.id);
+    await removeMember(membership.token, membership.memberId);
+    onWorkspacesChange((ws) => withoutMembership(ws, membership.id));
+  };
+
+  const pendingCount = pendingRounds(gameData).length + pendingPlayers(roster).length;
+  useEffect(() => {
+    syncNow();
+  }, [syncNow]);
+  useEffect(() => {
+    if (pendingCount > 0) syncNow();
+  }, [pendingCount, syncNow]);
+
+  // --- Live sharing: keep pulling co-editors' rounds while the session is live ---
+  const [live, setLive] = useState(null);
+  // Polls while live, and retries with backoff while the outbox has rounds to send
+  const retrying = outbox.some((e) => !e.rejected);
+  usePolling(syncNow, {
+    enabled: Boolean(token && (live || retrying)),
+    interval: live ? LIVE_SYNC_INTERVAL : POLL_INTERVAL,
+  });
+
+  // --- Helpers to get/update current session ---
+  const getCurrent = () => gameData[selectedId] ?? latestSession(gameData);
+
   const updateCurrent = (updater) => {
-    setGameData((prev) => {
-      const existing = prev[selectedDate] ?? { players: defaultPlayers(), rounds: [], currentRound: 1 };
-      return { ...prev, [selectedDate]: updater(existing) };
-    });
+    const id = getCurrent().id;
+    setGameData((prev) => (prev[id] ? { ...prev, [id]: updater(prev[id]) } : prev));
+  };
+
+  // --- Sessions ---
+  const [unlocked, setUnlocked] = useState(() => new Set()); // past sessions opened for new rounds
+
+  const onCreateSession = ({ date, label, startedAt }) => {
+    const fresh = createSession({ date, label, startedAt, players: carryOverPlayers(gameData), rulesId: session.rulesId });
+    setGameData((prev) => ({ ...prev, [fresh.id]: fresh }));
+    setSelectedId(fresh.id);
+  };
+
+  const onUpdateSession = (changes) => updateCurrent((s) => ({ ...s, ...changes }));
+
+  const onJumpToToday = () => {
+    const today = sortSessions(Object.values(gameData)).find(isToday);
+    if (today) setSelectedId(today.id);
+    else onCreateSession({ date: todayLabel() });
+  };
+
+  const onUnlockSession = () => {
+    if (!window.confirm(`Allow adding rounds to ${sessionTitle(session)}? It isn't today's session.`)) return;
+    setUnlocked((prev) => new Set(prev).add(session.id));
   };
 
   // --- Player editing ---
+  const names = useMemo(() => nameIndex(roster), [roster]);
+  const nameOf = (id) => names[id] ?? "Unknown player";
+
+  // In a workspace, members may name new players but not rename anyone who has played
+  const counts = useMemo(() => roundCounts(gameData), [gameData]);
+  const canRename = (id) => canManage || !counts[id];
+
   const onRename = (idx, name) => {
+    setRoster((prev) => renamePlayer(prev, players[idx], name));
+  };
+
+  // Seats a different roster player at idx; if they already sit elsewhere, the two swap
+  const onSeat = (idx, id) => {
+    let seatId = id;
+    if (id === "new") {
+      const { roster: next, player } = addPlayer(roster, `Player ${roster.length + 1}`);
+      setRoster(next);
+      seatId = player.id;
+    }
     updateCurrent((s) => {
-      const players = [...s.players];
-      players[idx] = name;
-      return { ...s, players };
+      const next = [...s.players];
+      const other = next.indexOf(seatId);
+      if (other !== -1) next[other] = next[idx];
+      next[idx] = seatId;
+      return { ...s, players: next };
     });
   };
 
+  // Table size: new seats take the first unseated roster player (or a new one)
+  const onAddSeat = () => {
+    if (players.length >= MAX_TABLE_SIZE) return;
+    let seatId = roster.find((p) => !players.includes(p.id))?.id;
+    if (!seatId) {
+      const { roster: next, player } = addPlayer(roster, `Player ${roster.length + 1}`);
+      setRoster(next);
+      seatId = player.id;
+    }
+    updateCurrent((s) => ({ ...s, players: [...s.players, seatId] }));
+  };
+
+  const onRemoveSeat = () => {
+    if (players.length <= MIN_TABLE_SIZE) return;
+    const last = players.length - 1;
+    updateCurrent((s) => ({ ...s, players: s.players.slice(0, -1) }));
+    if (host === last) setHost(0);
+    const allowed = friendsForTable(rules, mode, last);
+    setFriends((prev) => prev.filter((i) => i !== last).slice(0, allowed));
+  };
+
+  const onMergePlayers = (fromId, intoId) => {
+    const merged = mergePlayers(gameData, roster, fromId, intoId);
+    setGameData(merged.gameData);
+    setRoster(merged.roster);
+  };
+
+  const onImport = (imported) => {
+    setGameData(imported.gameData);
+    setRoster(imported.roster);
+    setCustomRuleSets(imported.ruleSets);
+    setSeasons(imported.seasons);
+  };
+
+  // --- Seasons (lib/seasons.js): archived as soon as their end date has passed ---
+  useEffect(() => {
+    const due = new Set(seasonsToClose(seasons).map((s) => s.id));
+    if (due.size) setSeasons((prev) => prev.map((s) => (due.has(s.id) ? closeSeason(s, gameData, names) : s)));
+  }, [seasons, gameData, names]);
+
+  const replaceSeason = (season) => setSeasons((prev) => prev.map((s) => (s.id === season.id ? season : s)));
+
   // --- New Game page state ---
-  const [mode, setMode] = useState("Normal"); // Normal | 1v5
+  const [mode, setMode] = useState("Normal"); // Normal | 1v5 | Levels
   const [host, setHost] = useState(0); // index in players
   const [friends, setFriends] = useState([]); // player indexes
+  const [calls, setCalls] = useState([]); // called cards, see lib/calls.js
+  const [auction, setAuction] = useState([]); // bid-by-bid log, see lib/auction.js
   const [bid, setBid] = useState(START_BID);
   const [opponentScore, setOpponentScore] = useState(0);
+  const [counting, setCounting] = useState(false); // live point counter feeds opponentScore
+  const [roundError, setRoundError] = useState(""); // why the last Add was refused
 
   const session = getCurrent();
   const { players, rounds, currentRound } = session;
+  const ruleSets = [...PRESET_RULE_SETS, ...customRuleSets].map(withDefaults);
+  const rules = findRuleSet(ruleSets, session.rulesId);
+  const canAddRounds = isToday(session) || unlocked.has(session.id);
 
-  const friendsAllowed = mode === "Normal" ? 2 : 0;
+  const friendsAllowed = friendsForTable(rules, mode, players.length);
+  // Once cards are recorded, whoever held them are the friends
+  const chosenFriends = calls.length
+    ? friendsFromCalls(calls, players[host]).map((id) => players.indexOf(id)).filter((i) => i >= 0)
+    : friends;
+  const levelState = useMemo(() => sessionLevels(session), [session]);
+  const lastGame = levelState.games[levelState.games.length - 1];
 
   const toggleFriend = (i) => {
     if (i === host) return; // host can't be friend
@@ -101,148 +468,89 @@ export default function FindingFriendsTracker() {
     });
   };
 
-  const resetNewGameForm = () => {
-    setMode("Normal");
+  // The auction decides host and bid once anyone has called
+  const onAuctionChange = (entries) => {
+    setAuction(entries);
+    if (entries.length === 0) {
+      setBid(START_BID);
+      return;
+    }
+    const result = auctionResult(entries, rules);
+    setBid(result.bid);
+    if (result.host) {
+      const idx = players.indexOf(result.host);
+      setHost(idx);
+      setFriends((prev) => prev.filter((i) => i !== idx));
+    }
+  };
+
+  // Level-up games run over many rounds, so that mode sticks after adding one
+  const resetNewGameForm = (nextMode = "Normal") => {
+    setMode(nextMode);
     setHost(0);
     setFriends([]);
-    setBid(START_BID);
+    setCalls([]);
+    setAuction([]);
+    setBid(nextMode === "Levels" ? levelPassLine(rules) : START_BID);
     setOpponentScore(0);
+    setRoundError("");
   };
 
-  // --- Enhanced Stats ---
-  const enhancedStats = useMemo(() => {
-    const allRounds = Object.values(gameData).flatMap(s => s.rounds);
-    const totalRounds = allRounds.length;
-    
-    // Player stats
-    const playerStats = players.reduce((acc, p) => {
-      acc[p] = { 
-        totalScore: 0, 
-        gamesPlayed: 0, 
-        hosted: 0, 
-        hostWins: 0, 
-        friendGames: 0, 
-        friendWins: 0 
-      };
-      return acc;
-    }, {});
-
-    allRounds.forEach(round => {
-      // Count games played
-      round.players.forEach(p => {
-        if (playerStats[p]) playerStats[p].gamesPlayed += 1;
-      });
-      
-      // Add scores
-      Object.entries(round.scores).forEach(([name, score]) => {
-        if (playerStats[name]) playerStats[name].totalScore += score;
-      });
-      
-      // Host stats
-      if (playerStats[round.host]) {
-        playerStats[round.host].hosted += 1;
-        if (round.winner === "Host" || round.winner === "Host Team") {
-          playerStats[round.host].hostWins += 1;
-        }
-      }
-      
-      // Friend stats
-      round.friends.forEach(friend => {
-        if (playerStats[friend]) {
-          playerStats[friend].friendGames += 1;
-          if (round.winner === "Host" || round.winner === "Host Team") {
-            playerStats[friend].friendWins += 1;
-          }
-        }
-      });
-    });
-
-    // Convert to array and calculate rates
-    const playerRankings = Object.entries(playerStats)
-      .map(([name, stats]) => ({
-        name,
-        totalScore: Math.round(stats.totalScore),
-        gamesPlayed: stats.gamesPlayed,
-        hosted: stats.hosted,
-        hostWins: stats.hostWins,
-        hostRate: stats.hosted > 0 ? Math.round((stats.hostWins / stats.hosted) * 100) : 0,
-        friendGames: stats.friendGames,
-        friendWins: stats.friendWins,
-        friendRate: stats.friendGames > 0 ? Math.round((stats.friendWins / stats.friendGames) * 100) : 0
-      }))
-      .sort((a, b) => b.totalScore - a.totalScore);
-
-    // Best performers
-    const bestHost = playerRankings.filter(p => p.hosted >= 3).sort((a, b) => b.hostRate - a.hostRate)[0];
-    const bestFriend = playerRankings.filter(p => p.friendGames >= 3).sort((a, b) => b.friendRate - a.friendRate)[0];
-    const mostGamesPlayed = playerRankings.sort((a, b) => b.gamesPlayed - a.gamesPlayed)[0];
+  // --- Enhanced Stats (lib/stats.js), over the rounds the Statistics filters let through ---
+  const [statsFilters, setStatsFilters] = useState(DEFAULT_STATS_FILTERS);
+  const statsData = useMemo(
+    () => filterGameData(gameData, statsFilters, session.id),
+    [gameData, statsFilters, session.id]
+  );
+  // Ratings always replay the full history; the filters only pick which rows show
+  const ratings = useMemo(() => computeRatings(gameData), [gameData]);
+  const [rankBy, setRankBy] = useState("rating"); // rating | totalScore
+  const [chartPlayerId, setChartPlayerId] = useState(null);
+  const [profileId, setProfileId] = useState(null);
+  const closeProfile = useCallback(() => setProfileId(null), []);
 
+  const enhancedStats = useMemo(() => {
+    const rankings = playerRankings(statsData, { names, ratings, rankBy });
     return {
-      totalRounds,
-      playerRankings,
-      bestHost,
-      bestFriend,
-      mostGamesPlayed
+      totalRounds: Object.values(statsData).reduce((n, s) => n + s.rounds.length, 0),
+      playerRankings: rankings,
+      ...bestPerformers(rankings, statsFilters),
     };
-  }, [gameData, players]);
-
-  // --- Scoring Logic ---
-  function calculateScores({ mode, players, hostIdx, friendIdxs, bid, opponentScore }) {
-    const n = players.length; // expected 6
-    const scores = Object.fromEntries(players.map((p) => [p, 0]));
-
-    const hostName = players[hostIdx];
-    const friendNames = friendIdxs.map((i) => players[i]);
-    const teamSet = new Set([hostName, ...friendNames]);
-
-    const opponents = players.filter((p) => !teamSet.has(p));
-    const winHostTeam = opponentScore < bid;
-
-    if (mode === "1v5") {
-      if (winHostTeam) {
-        scores[hostName] = 400;
-        return { scores, winner: "Host", distribution: "1v5 host win: +400" };
-      } else {
-        const each = (opponentScore * 1.5) / 5;
-        opponents.forEach((p) => (scores[p] = each));
-        return { scores, winner: "Opponents", distribution: `1v5 opponents: each +${each.toFixed(0)}` };
-      }
-    }
+  }, [statsData, statsFilters, names, ratings, rankBy]);
 
-    // Normal mode
-    if (winHostTeam) {
-      const distributable = 400 - opponentScore;
-      if (friendNames.length === 0) {
-        scores[hostName] = distributable;
-      } else if (friendNames.length === 1) {
-        scores[hostName] = Math.round(distributable * 0.75);
-        scores[friendNames[0]] = distributable - scores[hostName];
-      } else {
-        const hostShare = Math.round(distributable * 0.5);
-        const friendShare = Math.round((distributable - hostShare) / 2);
-        scores[hostName] = hostShare;
-        scores[friendNames[0]] = friendShare;
-        scores[friendNames[1]] = distributable - hostShare - friendShare;
-      }
-      return { scores, winner: "Host Team", distribution: `Host team split of ${400 - opponentScore}` };
-    } else {
-      const each = (opponentScore * 1.5) / opponents.length;
-      opponents.forEach((p) => (scores[p] = each));
-      return { scores, winner: "Opponents", distribution: `Opponents each +${each.toFixed(0)}` };
-    }
-  }
+  // --- Records and badges (lib/achievements.js); badges always use every round ---
+  const badges = useMemo(() => achievements(gameData).unlocks, [gameData]);
+  const records = useMemo(() => achievements(statsData).records, [statsData]);
+  const celebrateRef = useRef(null); // id of the round addRound just added
+  const [celebration, setCelebration] = useState(null);
+  const endCelebration = useCallback(() => setCelebration(null), []);
+
+  useEffect(() => {
+    const roundId = celebrateRef.current;
+    if (!roundId) return;
+    celebrateRef.current = null;
+    const fresh = badges.filter((u) => u.roundId === roundId);
+    if (fresh.length) setCelebration(fresh);
+  }, [badges]);
 
   const addRound = () => {
-    // Only allow adding on today's date
-    if (selectedDate !== todayLabel()) return;
+    // Only today's sessions, or past ones explicitly unlocked
+    if (!canAddRounds) return;
 
-    const friendIdxs = friends.filter((i) => i !== host);
-    // quick validation
-    if (mode === "Normal" && friendIdxs.length > 2) return;
-    if (bid < 80 && bid !== NO_BIDS_VALUE) return;
-    if (opponentScore < 0 || opponentScore > 400) return;
+    const friendIdxs = chosenFriends.filter((i) => i !== host);
+    // The live counter's kitty bonus (up to ×8) can add up past the points in the deck
+    const problem =
+      friendIdxs.length > friendsAllowed
+        ? `At most ${friendsAllowed} friend(s) can be called at this table.`
+        : bid < 80 && bid !== rules.noBidValue
+        ? "Bids go from 80 to 150."
+        : !Number.isFinite(opponentScore) || opponentScore < 0 || opponentScore > rules.total
+        ? `Opponent score must be between 0 and ${rules.total}; ${opponentScore} is out of range.`
+        : null;
+    setRoundError(problem ?? "");
+    if (problem) return;
 
-    const { scores, winner, distribution } = calculateScores({
+    const result = calculateScores(rules, {
       mode,
       players,
       hostIdx: host,
@@ -251,12 +559,14 @@ export default function FindingFriendsTracker() {
       opponentScore,
     });
 
-    updateCurrent((s) => ({
+    const roundId = newRoundId();
+    celebrateRef.current = roundId;
+    commitSession((s) => ({
       ...s,
       rounds: [
         ...s.rounds,
         {
-          id: `${Date.now()}`,
+          id: roundId,
           round: s.currentRound,
           mode,
           players: [...players],
@@ -264,16 +574,65 @@ export default function FindingFriendsTracker() {
           friends: friendIdxs.map((i) => players[i]),
           bid,
           opponentScore,
-          scores,
-          winner,
-          distribution,
-          date: selectedDate,
+          ...result,
+          ...(calls.length ? { calls } : {}),
+          ...(auction.length ? { auction } : {}),
+          rules,
+          date: s.date,
+          sessionId: s.id,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
         },
       ],
       currentRound: s.currentRound + 1,
     }));
 
-    resetNewGameForm();
+    resetNewGameForm(mode === "Levels" ? "Levels" : "Normal");
+  };
+
+  // --- Round edits + undo/redo (per session, kept in memory) ---
+  const [history, setHistory] = useState({}); // { [sessionId]: { past: [session], future: [session] } }
+  const [editingId, setEditingId] = useState(null);
+  const [editorId, setEditorId] = useState(null);
+  const editor = editorId ?? players[0];
+  const sessionHistory = history[session.id] ?? { past: [], future: [] };
+
+  const commitSession = (updater) => {
+    const before = session;
+    setHistory((h) => ({
+      ...h,
+      [session.id]: { past: [...(h[session.id]?.past ?? []), before].slice(-HISTORY_LIMIT), future: [] },
+    }));
+    updateCurrent(updater);
+  };
+
+  const undo = () => {
+    const { past, future } = sessionHistory;
+    if (!past.length) return;
+    const target = past[past.length - 1];
+    setHistory((h) => ({ ...h, [session.id]: { past: past.slice(0, -1), future: [session, ...future] } }));
+    updateCurrent((s) => restoreSnapshot(s, target));
+    setEditingId(null);
+  };
+
+  const redo = () => {
+    const { past, future } = sessionHistory;
+    if (!future.length) return;
+    const [target, ...rest] = future;
+    setHistory((h) => ({ ...h, [session.id]: { past: [...past, session], future: rest } }));
+    updateCurrent((s) => restoreSnapshot(s, target));
+    setEditingId(null);
+  };
+
+  const saveRoundEdit = (round, edits) => {
+    const edited = editRound(round, edits, editor);
+    if (edited !== round) commitSession((s) => replaceRound(s, edited));
+    setEditingId(null);
+  };
+
+  const removeRound = (round) => {
+    if (!window.confirm(`Delete round ${round.round} (host ${nameOf(round.host)}, bid ${round.bid})?`)) return;
+    commitSession((s) => deleteRound(s, round.id, editor));
   };
 
   // --- Derived stats ---
@@ -289,30 +648,7 @@ export default function FindingFriendsTracker() {
       .sort((a, b) => b.total - a.total);
   }, [rounds]);
 
-  const roleStats = useMemo(() => {
-    const rs = players.reduce((acc, p) => {
-      acc[p] = { hosted: 0, hostWins: 0, friendGames: 0, friendWins: 0, played: 0 };
-      return acc;
-    }, {});
-
-    rounds.forEach((r) => {
-      const team = new Set([r.host, ...r.friends]);
-      r.players.forEach((p) => (rs[p].played += 1));
-      rs[r.host].hosted += 1;
-      if (r.winner === "Host" || r.winner === "Host Team") {
-        rs[r.host].hostWins += 1;
-      }
-      r.friends.forEach((f) => {
-        rs[f].friendGames += 1;
-        if (r.winner === "Host" || r.winner === "Host Team") rs[f].friendWins += 1;
-      });
-    });
-    return rs;
-  }, [rounds, players]);
-
-  const allDates = Object.keys(gameData).sort(
-    (a, b) => new Date(b).getTime() - new Date(a).getTime()
-  );
+  const allSessions = sortSessions(Object.values(gameData));
 
   // --- UI Components ---
   const Tab = ({ icon: Icon, label }) => (
@@ -330,6 +666,55 @@ export default function FindingFriendsTracker() {
     </button>
   );
 
+  const SyncIndicator = () => {
+    const { status, message } = sync;
+    const Icon = status === "offline" || status === "error" || status === "local" ? CloudOff : status === "syncing" ? RefreshCw : Cloud;
+    const label = {
+      local: "Local only",
+      idle: "Not synced",
+      syncing: "Syncing…",
+      synced: "Synced",
+      conflict: "Merged changes",
+      offline: "Offline",
+      error: "Sync error",
+    }[status];
+    return (
+      <button
+        onClick={syncNow}
+        title={message || "Sync now"}
+        className={classNames(
+          "flex items-center gap-2 px-3 py-2 rounded-2xl border text-sm shadow-sm",
+          status === "synced" && "bg-emerald-50 border-emerald-200 text-emerald-700",
+          status === "conflict" && "bg-amber-50 border-amber-200 text-amber-700",
+          (status === "offline" || status === "error") && "bg-rose-50 border-rose-200 text-rose-700",
+          (status === "idle" || status === "syncing" || status === "local") && "bg-white/80 text-slate-600"
+        )}
+      >
+        <Icon className={classNames("w-4 h-4", status === "syncing" && "animate-spin")} />
+        <span>{label}</span>
+      </button>
+    );
+  };
+
+  const PendingBadge = () => {
+    const refused = outbox.filter((e) => e.rejected);
+    const title = refused.length
+      ? refused.map((e) => `Round ${e.payload.round}: ${e.lastError}`).join("\n")
+      : "Sent automatically when the connection is back";
+    return (
+      <span
+        title={title}
+        className={classNames(
+          "flex items-center gap-2 px-3 py-2 rounded-2xl border text-sm shadow-sm",
+          refused.length ? "bg-rose-50 border-rose-200 text-rose-700" : "bg-amber-50 border-amber-200 text-amber-700"
+        )}
+      >
+        <CloudUpload className="w-4 h-4" />
+        {outbox.length} {outbox.length === 1 ? "round" : "rounds"} pending sync
+      </span>
+    );
+  };
+
   const Pill = ({ children }) => (
     <span className="px-2 py-1 rounded-full text-xs bg-slate-100 border border-slate-200">{children}</span>
   );
@@ -352,25 +737,130 @@ export default function FindingFriendsTracker() {
               <Tab icon={Trophy} label="Statistics" />
               <Tab icon={History} label="Details" />
               <Tab icon={Award} label="Past Games" />
+              <Tab icon={Settings} label="Settings" />
             </div>
+            <WorkspaceSwitcher
+              workspaces={workspaces}
+              joinCode={joinCode}
+              onSwitch={(id) => onWorkspacesChange((ws) => ({ ...ws, activeId: id }))}
+              onJoined={onJoinedWorkspace}
+            />
+            <SyncIndicator />
+            {outbox.length > 0 && <PendingBadge />}
           </div>
         </header>
 
+        {sync.status === "conflict" && (
+          <div className="flex items-start gap-2 bg-amber-50 border border-amber-200 text-amber-800 rounded-2xl px-4 py-3 mb-6 text-sm">
+            <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+            <div className="flex-1">{sync.message}</div>
+            <button onClick={() => setSync((s) => ({ ...s, status: "synced" }))} title="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {storageError && (
+          <div className="flex items-start gap-2 bg-rose-50 border border-rose-200 text-rose-700 rounded-2xl px-4 py-3 mb-6 text-sm">
+            <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+            <div className="flex-1">
+              <div>{storageError.message}</div>
+              {storageError.quarantineKey && (
+                <div className="text-xs mt-1">
+                  The unreadable copy was kept in localStorage under <code>{storageError.quarantineKey}</code>.
+                </div>
+              )}
+              {savingBlocked && (
+                <>
+                  <div className="text-xs mt-1">
+                    It couldn't be copied aside, so it's still saved under <code>{storageError.key}</code>. Nothing you
+                    record is saved until you choose to overwrite it; download it first to keep a copy.
+                  </div>
+                  <div className="flex gap-2 mt-2">
+                    <button className="px-2 py-1 rounded-lg border border-rose-300 bg-white hover:bg-rose-100 text-xs" onClick={onDownloadUnreadable}>
+                      Download it
+                    </button>
+                    <button className="px-2 py-1 rounded-lg border border-rose-300 bg-white hover:bg-rose-100 text-xs" onClick={onDiscardUnreadable}>
+                      Overwrite and start saving
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+            {!savingBlocked && (
+              <button onClick={() => setStorageError(null)} title="Dismiss">
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        )}
+
+        <SessionBar
+          session={session}
+          sessions={allSessions}
+          locked={!canAddRounds}
+          onSelect={setSelectedId}
+          onCreate={onCreateSession}
+          onUpdate={onUpdateSession}
+          onUnlock={onUnlockSession}
+        />
+
+        {token && (
+          <LiveShare
+            token={token}
+            session={session}
+            code={live?.sessionId === session.id ? live.code : null}
+            onChange={(code) => setLive(code ? { sessionId: session.id, code } : null)}
+          />
+        )}
+
         {/* Players editor */}
         <section className="bg-white rounded-2xl shadow-sm border p-4 mb-6">
           <div className="flex items-center justify-between mb-3">
             <h2 className="font-semibold flex items-center gap-2"><Users className="w-4 h-4" /> Players</h2>
-            <div className="text-xs text-slate-500">Edit names inline (6 players)</div>
+            <div className="flex items-center gap-2 text-xs text-slate-500">
+              <span>Edit names inline or swap in a roster player</span>
+              <button
+                disabled={players.length <= MIN_TABLE_SIZE}
+                className="p-1 rounded-lg border hover:bg-slate-50 disabled:bg-slate-50 disabled:cursor-not-allowed"
+                onClick={onRemoveSeat}
+                title="Remove last seat"
+              >
+                <Minus className="w-3 h-3" />
+              </button>
+              <span>{players.length} players</span>
+              <button
+                disabled={players.length >= MAX_TABLE_SIZE}
+                className="p-1 rounded-lg border hover:bg-slate-50 disabled:bg-slate-50 disabled:cursor-not-allowed"
+                onClick={onAddSeat}
+                title="Add a seat"
+              >
+                <Plus className="w-3 h-3" />
+              </button>
+            </div>
           </div>
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
             {players.map((p, i) => (
               <div key={i} className="flex items-center gap-2 bg-slate-50 border rounded-xl px-3 py-2">
                 <Edit2 className="w-4 h-4 text-slate-500" />
                 <input
-                  className="bg-transparent outline-none flex-1 text-sm"
-                  value={p}
+                  className="bg-transparent outline-none flex-1 text-sm min-w-0 read-only:text-slate-500"
+                  value={nameOf(p)}
+                  readOnly={!canRename(p)}
+                  title={canRename(p) ? undefined : "Only workspace admins can rename players who have played"}
                   onChange={(e) => onRename(i, e.target.value)}
                 />
+                <select
+                  className="bg-transparent outline-none text-xs text-slate-500 w-5"
+                  title="Seat a different player"
+                  value={p}
+                  onChange={(e) => onSeat(i, e.target.value)}
+                >
+                  {roster.map((r) => (
+                    <option key={r.id} value={r.id}>{r.name}</option>
+                  ))}
+                  <option value="new">+ New player</option>
+                </select>
               </div>
             ))}
           </div>
@@ -382,8 +872,13 @@ export default function FindingFriendsTracker() {
             <div className="flex items-center justify-between mb-4">
               <h2 className="font-semibold flex items-center gap-2"><Target className="w-4 h-4" /> New Round</h2>
               <div className="text-xs">
-                {selectedDate !== todayLabel() ? (
-                  <span className="text-rose-600 font-medium">Adding rounds is locked for non-today sessions.</span>
+                {!canAddRounds ? (
+                  <span className="flex items-center gap-2">
+                    <span className="text-rose-600 font-medium">Adding rounds is locked for past sessions.</span>
+                    <button className="px-2 py-1 rounded-full border hover:bg-slate-50" onClick={onUnlockSession}>
+                      Unlock
+                    </button>
+                  </span>
                 ) : (
                   <span className="text-slate-500">Round #{currentRound}</span>
                 )}
@@ -401,18 +896,24 @@ export default function FindingFriendsTracker() {
                     onChange={(e) => {
                       setMode(e.target.value);
                       setFriends([]);
-                      setBid(e.target.value === "1v5" ? 200 : START_BID);
+                      setCalls([]);
+                      setAuction([]);
+                      setBid(
+                        e.target.value === "1v5" ? rules.soloBid : e.target.value === "Levels" ? levelPassLine(rules) : START_BID
+                      );
                     }}
                   >
                     <option value="Normal">Normal</option>
-                    <option value="1v5">1v5</option>
+                    <option value="1v5">{modeLabel("1v5", players.length)}</option>
+                    <option value="Levels">{modeLabel("Levels")}</option>
                   </select>
                 </div>
 
                 <div>
                   <label className="text-sm font-medium">Host</label>
                   <select
-                    className="mt-1 w-full border rounded-xl px-3 py-2"
+                    className="mt-1 w-full border rounded-xl px-3 py-2 disabled:bg-slate-50"
+                    disabled={Boolean(bestBid(auction))}
                     value={host}
                     onChange={(e) => {
                       const v = parseInt(e.target.value, 10);
@@ -421,36 +922,60 @@ export default function FindingFriendsTracker() {
                     }}
                   >
                     {players.map((p, i) => (
-                      <option key={i} value={i}>{p}</option>
+                      <option key={i} value={i}>{nameOf(p)}</option>
                     ))}
                   </select>
+                  {mode === "Levels" && (
+                    <p className="text-xs text-slate-500 mt-1">
+                      Trump rank: <b className="text-indigo-600">{rankName(levelState.levels[players[host]] ?? 0)}</b> (host's level)
+                    </p>
+                  )}
                 </div>
 
                 <div>
                   <div className="flex items-center justify-between">
-                    <label className="text-sm font-medium">Friends {mode === "Normal" ? `(${friends.length}/${friendsAllowed})` : "(—)"}</label>
-                    {mode === "Normal" && <span className="text-xs text-slate-500">Select up to 2 (not host)</span>}
+                    <label className="text-sm font-medium">Friends {mode !== "1v5" ? `(${chosenFriends.length}/${friendsAllowed})` : "(—)"}</label>
+                    {mode !== "1v5" && <span className="text-xs text-slate-500">Select up to {friendsAllowed} (not host)</span>}
                   </div>
                   <div className="mt-2 grid grid-cols-2 gap-2">
                     {players.map((p, i) => (
                       <button
                         key={i}
-                        disabled={i === host || friendsAllowed === 0}
+                        disabled={i === host || friendsAllowed === 0 || calls.length > 0}
                         onClick={() => toggleFriend(i)}
                         className={classNames(
                           "px-3 py-2 rounded-xl border text-sm",
                           i === host || friendsAllowed === 0
                             ? "bg-slate-50 text-slate-400 cursor-not-allowed"
-                            : friends.includes(i)
+                            : chosenFriends.includes(i)
                             ? "bg-emerald-50 border-emerald-300"
+                            : calls.length > 0
+                            ? "bg-white text-slate-400 cursor-not-allowed"
                             : "bg-white hover:bg-slate-50"
                         )}
                       >
-                        {p}
+                        {nameOf(p)}
                       </button>
                     ))}
                   </div>
                 </div>
+
+                {friendsAllowed > 0 && (
+                  <div>
+                    <label className="text-sm font-medium">Called cards</label>
+                    {calls.length > 0 && <p className="text-xs text-slate-500">Friends come from who held the called cards.</p>}
+                    <div className="mt-2">
+                      <CallsEditor
+                        calls={calls}
+                        players={players}
+                        hostId={players[host]}
+                        maxCalls={friendsAllowed}
+                        nameOf={nameOf}
+                        onChange={setCalls}
+                      />
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Middle: bidding */}
@@ -459,7 +984,7 @@ export default function FindingFriendsTracker() {
                   <label className="text-sm font-medium">Bid</label>
                   <div className="mt-1 flex items-center gap-2">
                     <button
-                      disabled={mode === "1v5" || bid <= 80}
+                      disabled={mode !== "Normal" || auction.length > 0 || bid <= 80}
                       className="p-2 rounded-xl border hover:bg-slate-50 disabled:bg-slate-50 disabled:cursor-not-allowed"
                       onClick={() => setBid((b) => Math.max(80, b - 5))}
                     >
@@ -467,21 +992,21 @@ export default function FindingFriendsTracker() {
                     </button>
                     <div className="flex-1 text-center text-lg font-semibold">{bid}</div>
                     <button
-                      disabled={mode === "1v5" || bid >= 150}
+                      disabled={mode !== "Normal" || auction.length > 0 || bid >= 150}
                       className="p-2 rounded-xl border hover:bg-slate-50 disabled:bg-slate-50 disabled:cursor-not-allowed"
                       onClick={() => setBid((b) => Math.min(150, b + 5))}
                     >
                       <Plus className="w-4 h-4" />
                     </button>
                     <button
-                      disabled={mode === "1v5"}
+                      disabled={mode !== "Normal" || auction.length > 0}
                       className="px-3 py-2 rounded-xl border hover:bg-slate-50 disabled:bg-slate-50 disabled:cursor-not-allowed"
-                      onClick={() => setBid(NO_BIDS_VALUE)}
+                      onClick={() => setBid(rules.noBidValue)}
                     >
                       No Bids
                     </button>
                     <button
-                      disabled={mode === "1v5"}
+                      disabled={mode !== "Normal" || auction.length > 0}
                       className="px-3 py-2 rounded-xl border hover:bg-slate-50 disabled:bg-slate-50 disabled:cursor-not-allowed"
                       onClick={() => setBid(START_BID)}
                     >
@@ -489,21 +1014,63 @@ export default function FindingFriendsTracker() {
                     </button>
                   </div>
                   <p className="text-xs text-slate-500 mt-1">
-                    {mode === "1v5" ? "Fixed at 200 for 1v5 mode" : "Range: 80-150, step 5. 'No Bids' = 160."}
+                    {mode === "1v5"
+                      ? `Fixed at ${rules.soloBid} for ${modeLabel(mode, players.length)} mode`
+                      : mode === "Levels"
+                      ? `Not used in Level-up mode; the host team climbs while opponents stay under ${levelPassLine(rules)}.`
+                      : `Range: 80-150, step 5. 'No Bids' = ${rules.noBidValue}.`}
                   </p>
                 </div>
 
+                {mode === "Normal" && (
+                  <div>
+                    <label className="text-sm font-medium">Auction (optional)</label>
+                    <p className="text-xs text-slate-500 mb-2">
+                      {auction.length
+                        ? "The last bidder hosts at their bid; if everyone passes it's No Bids."
+                        : "Log each call in order to record who bid what."}
+                    </p>
+                    <AuctionLog key={`${session.id}-${currentRound}`} entries={auction} players={players} nameOf={nameOf} onChange={onAuctionChange} />
+                  </div>
+                )}
+
                 <div>
-                  <label className="text-sm font-medium">Opponent Score</label>
+                  <div className="flex items-center justify-between">
+                    <label className="text-sm font-medium">Opponent Score</label>
+                    <button
+                      className={classNames(
+                        "text-xs px-2 py-1 rounded-full border",
+                        counting ? "bg-indigo-600 text-white border-indigo-600" : "hover:bg-slate-50"
+                      )}
+                      onClick={() => setCounting((c) => !c)}
+                    >
+                      Live counter
+                    </button>
+                  </div>
                   <input
                     type="number"
                     min={0}
-                    max={400}
-                    className="mt-1 w-full border rounded-xl px-3 py-2"
+                    max={rules.total}
+                    disabled={counting}
+                    className="mt-1 w-full border rounded-xl px-3 py-2 disabled:bg-slate-50"
                     value={opponentScore}
                     onChange={(e) => setOpponentScore(parseInt(e.target.value || "0", 10))}
                   />
-                  <p className="text-xs text-slate-500 mt-1">0–400. Host team wins if Opponent &lt; Bid.</p>
+                  {opponentScore > rules.total && (
+                    <p className="text-xs text-rose-600 mt-1">
+                      {opponentScore} is more than the {rules.total} points in play; check the kitty multiplier.
+                    </p>
+                  )}
+                  <p className="text-xs text-slate-500 mt-1">
+                    {mode === "Levels"
+                      ? `0–${rules.total}. Every ${rules.levelStep} points moves the result one level.`
+                      : <>0–{rules.total}. Host team wins if Opponent &lt; Bid.</>}
+                  </p>
+                  {counting && (
+                    <div className="mt-2">
+                      <PointCounter key={`${session.id}-${currentRound}`} bid={bid} onTotal={setOpponentScore} />
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -512,38 +1079,67 @@ export default function FindingFriendsTracker() {
                 <div className="bg-slate-50 border rounded-2xl p-3">
                   <div className="text-sm font-medium mb-2">Summary</div>
                   <ul className="text-sm space-y-1">
-                    <li>Mode: <b>{mode}</b></li>
-                    <li>Host: <b>{players[host]}</b></li>
+                    <li>Mode: <b>{modeLabel(mode, players.length)}</b></li>
+                    <li>Rules: <b>{rules.name}</b></li>
+                    <li>Host: <b>{nameOf(players[host])}</b></li>
                     <li>
-                      Friends: {mode === "Normal" ? (
-                        friends.length ? friends.map((i) => players[i]).join(", ") : <span className="text-slate-500">None</span>
+                      Friends: {mode !== "1v5" ? (
+                        chosenFriends.length ? chosenFriends.map((i) => nameOf(players[i])).join(", ") : <span className="text-slate-500">None</span>
                       ) : (
                         <span className="text-slate-500">Not applicable</span>
                       )}
                     </li>
-                    <li>Bid: <b>{bid}</b></li>
+                    {mode === "Levels" ? (
+                      <li>Trump rank: <b>{rankName(levelState.levels[players[host]] ?? 0)}</b></li>
+                    ) : (
+                      <li>Bid: <b>{bid}</b></li>
+                    )}
                     <li>Opponent Score: <b>{opponentScore}</b></li>
                   </ul>
                 </div>
 
+                {(mode === "Levels" || rounds.some((r) => r.mode === "Levels")) && (
+                  <div className="bg-slate-50 border rounded-2xl p-3">
+                    <div className="text-sm font-medium mb-2">Levels</div>
+                    {lastGame && (
+                      <div className="mb-2 flex items-center gap-2 text-sm bg-amber-50 border border-amber-200 rounded-xl px-3 py-2">
+                        <Crown className="w-4 h-4 text-amber-600" />
+                        <span>
+                          <b>{lastGame.winners.map(nameOf).join(" & ")}</b> passed Ace in round {lastGame.round}
+                          {levelState.games.length > 1 ? ` (game ${levelState.games.length})` : ""}
+                        </span>
+                      </div>
+                    )}
+                    <ul className="grid grid-cols-2 gap-1 text-sm">
+                      {players.map((p) => (
+                        <li key={p} className="flex items-center justify-between bg-white border rounded-xl px-2 py-1">
+                          <span>{nameOf(p)}</span>
+                          <b>{rankName(levelState.levels[p] ?? 0)}</b>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 <div className="flex items-center gap-2">
                   <button
-                    disabled={selectedDate !== todayLabel()}
+                    disabled={!canAddRounds}
                     onClick={addRound}
                     className={classNames(
                       "flex-1 px-4 py-2 rounded-2xl text-white font-medium shadow",
-                      selectedDate === todayLabel() ? "bg-indigo-600 hover:bg-indigo-700" : "bg-slate-400 cursor-not-allowed"
+                      canAddRounds ? "bg-indigo-600 hover:bg-indigo-700" : "bg-slate-400 cursor-not-allowed"
                     )}
                   >
                     Add Game & Calculate Scores
                   </button>
                   <button
-                    onClick={resetNewGameForm}
+                    onClick={() => resetNewGameForm()}
                     className="px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50"
                   >
                     <RotateCcw className="w-4 h-4" />
                   </button>
                 </div>
+                {roundError && <div className="text-xs text-rose-600">{roundError}</div>}
               </div>
             </div>
           </section>
@@ -552,7 +1148,17 @@ export default function FindingFriendsTracker() {
         {activeTab === "Statistics" && (
           <section className="bg-white rounded-2xl shadow-sm border p-4">
             <h2 className="font-semibold mb-4 flex items-center gap-2"><Trophy className="w-4 h-4" /> Statistical Analysis</h2>
-            
+
+            <StatsFilters
+              filters={statsFilters}
+              onChange={setStatsFilters}
+              players={roster.filter((p) => counts[p.id]).map((p) => p.id)}
+              nameOf={nameOf}
+              sessionLabel={sessionTitle(session)}
+              shownRounds={enhancedStats.totalRounds}
+              totalRounds={Object.values(gameData).reduce((n, s) => n + s.rounds.length, 0)}
+            />
+
             {/* Overview Stats */}
             <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
               <div className="bg-slate-50 rounded-xl p-3 text-center">
@@ -575,13 +1181,32 @@ export default function FindingFriendsTracker() {
 
             {/* Player Rankings */}
             <div className="border rounded-2xl p-4">
-              <h3 className="font-medium mb-3">Player Rankings</h3>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-medium">Player Rankings</h3>
+                <div className="flex gap-1 text-xs">
+                  {[["rating", "Rating"], ["totalScore", "Total Score"]].map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setRankBy(key)}
+                      className={classNames(
+                        "px-2 py-1 rounded-full border",
+                        rankBy === key ? "bg-indigo-600 text-white border-indigo-600" : "hover:bg-slate-50"
+                      )}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
               <div className="overflow-x-auto">
                 <table className="w-full text-sm">
                   <thead>
                     <tr className="border-b bg-slate-50">
                       <th className="text-left p-2">Rank</th>
                       <th className="text-left p-2">Player</th>
+                      <th className="text-left p-2">Rating</th>
+                      <th className="text-left p-2">Last Session</th>
+                      <th className="text-left p-2">Confidence</th>
                       <th className="text-left p-2">Total Score</th>
                       <th className="text-left p-2">Games</th>
                       <th className="text-left p-2">Host W/L</th>
@@ -592,15 +1217,33 @@ export default function FindingFriendsTracker() {
                   </thead>
                   <tbody>
                     {enhancedStats.playerRankings.map((player, i) => (
-                      <tr key={player.name} className="border-b hover:bg-slate-50">
+                      <tr key={player.id} className="border-b hover:bg-slate-50">
                         <td className="p-2">
                           <span className={classNames(
                             "w-6 h-6 rounded-full text-xs grid place-items-center",
                             i === 0 ? "bg-amber-100" : i === 1 ? "bg-slate-100" : i === 2 ? "bg-orange-100" : "bg-slate-50"
                           )}>{i + 1}</span>
                         </td>
-                        <td className="p-2 font-medium">{player.name || `Player ${players.indexOf(player.name) + 1}`}</td>
-                        <td className="p-2 font-semibold">{player.totalScore}</td>
+                        <td className="p-2 font-medium">
+                          <button className="hover:underline text-left" onClick={() => setProfileId(player.id)}>
+                            {player.name || `Player ${players.indexOf(player.id) + 1}`}
+                          </button>
+                        </td>
+                        <td className="p-2 font-semibold" title={`±${player.ratingRd * 2} (95% range)`}>{player.rating}</td>
+                        <td
+                          className={classNames(
+                            "p-2",
+                            player.lastDelta > 0 ? "text-green-600" : player.lastDelta < 0 ? "text-rose-600" : "text-slate-500"
+                          )}
+                          title={player.ratingSessions
+                            .slice(-5)
+                            .map((s) => `${s.date}: ${Math.round(s.before)} → ${Math.round(s.after)}`)
+                            .join("\n")}
+                        >
+                          {player.lastDelta > 0 ? "+" : ""}{player.lastDelta}
+                        </td>
+                        <td className="p-2">{player.confidence}%</td>
+                        <td className="p-2">{player.totalScore}</td>
                         <td className="p-2">{player.gamesPlayed}</td>
                         <td className="p-2">{player.hostWins}/{player.hosted}</td>
                         <td className="p-2">{player.hostRate}%</td>
@@ -610,13 +1253,55 @@ export default function FindingFriendsTracker() {
                     ))}
                     {enhancedStats.playerRankings.length === 0 && (
                       <tr>
-                        <td colSpan={8} className="p-4 text-center text-slate-500">No data yet.</td>
+                        <td colSpan={11} className="p-4 text-center text-slate-500">No data yet.</td>
                       </tr>
                     )}
                   </tbody>
                 </table>
               </div>
             </div>
+
+            {/* Player score across sessions */}
+            {(() => {
+              const chartId = chartPlayerId ?? enhancedStats.playerRankings[0]?.id;
+              if (!chartId) return null;
+              const series = playerSeries(statsData, chartId);
+              const points = series[0].points;
+              return (
+                <div className="border rounded-2xl p-4 mt-6">
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="font-medium flex items-center gap-2"><TrendingUp className="w-4 h-4" /> Score by Session</h3>
+                    <select className="border rounded-xl px-2 py-1 text-sm" value={chartId} onChange={(e) => setChartPlayerId(e.target.value)}>
+                      {roster.map((p) => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <LineChart
+                    series={series}
+                    xLabel={(x) => points[x]?.session.date.slice(4, 10) ?? ""}
+                    tooltip={(p) => (
+                      <>
+                        <div className="font-medium">{p.title}</div>
+                        <div>Total: {Math.round(p.total)} over {p.rounds} rounds</div>
+                        <div>Average: {Math.round(p.average * 10) / 10}</div>
+                      </>
+                    )}
+                  />
+                </div>
+              );
+            })()}
+
+            <PartnershipMatrix gameData={statsData} nameOf={nameOf} />
+            <BidAnalytics gameData={statsData} nameOf={nameOf} />
+            <AuctionStats gameData={statsData} nameOf={nameOf} />
+            <CallStats gameData={statsData} nameOf={nameOf} />
+            <Records
+              records={records}
+              unlocks={badges}
+              players={enhancedStats.playerRankings.map((p) => p.id)}
+              nameOf={nameOf}
+            />
           </section>
         )}
 
@@ -624,26 +1309,56 @@ export default function FindingFriendsTracker() {
           <section className="bg-white rounded-2xl shadow-sm border p-4">
             <div className="flex items-center justify-between mb-4">
               <h2 className="font-semibold flex items-center gap-2"><History className="w-4 h-4" /> Round History</h2>
-              <div className="flex items-center gap-2 bg-white rounded-2xl px-3 py-2 shadow-sm border">
-                <Clock className="w-4 h-4" />
-                <select
-                  className="outline-none bg-transparent text-sm"
-                  value={selectedDate}
-                  onChange={(e) => setSelectedDate(e.target.value)}
-                >
-                  {allDates.map((d) => (
-                    <option key={d} value={d}>
-                      {d}
-                    </option>
-                  ))}
-                </select>
-                <button
-                  className="text-xs px-2 py-1 rounded-full border hover:bg-slate-50"
-                  onClick={() => setSelectedDate(todayLabel())}
-                  title="Jump to today"
-                >
-                  Today
-                </button>
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-xs text-slate-500">Editing as</span>
+                  <select
+                    className="border rounded-xl px-2 py-1 text-sm"
+                    value={editor}
+                    onChange={(e) => setEditorId(e.target.value)}
+                  >
+                    {roster.map((p) => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    disabled={!sessionHistory.past.length}
+                    onClick={undo}
+                    title="Undo"
+                    className="p-2 rounded-xl border hover:bg-slate-50 disabled:bg-slate-50 disabled:text-slate-300 disabled:cursor-not-allowed"
+                  >
+                    <Undo2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    disabled={!sessionHistory.future.length}
+                    onClick={redo}
+                    title="Redo"
+                    className="p-2 rounded-xl border hover:bg-slate-50 disabled:bg-slate-50 disabled:text-slate-300 disabled:cursor-not-allowed"
+                  >
+                    <Redo2 className="w-4 h-4" />
+                  </button>
+                </div>
+                <div className="flex items-center gap-2 bg-white rounded-2xl px-3 py-2 shadow-sm border">
+                  <Clock className="w-4 h-4" />
+                  <select
+                    className="outline-none bg-transparent text-sm"
+                    value={session.id}
+                    onChange={(e) => setSelectedId(e.target.value)}
+                  >
+                    {allSessions.map((s) => (
+                      <option key={s.id} value={s.id}>
+                        {sessionTitle(s)}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    className="text-xs px-2 py-1 rounded-full border hover:bg-slate-50"
+                    onClick={onJumpToToday}
+                    title="Jump to today"
+                  >
+                    Today
+                  </button>
+                </div>
               </div>
             </div>
             <div className="overflow-x-auto">
@@ -657,36 +1372,133 @@ export default function FindingFriendsTracker() {
                     <th className="text-left p-2">Opponent Score</th>
                     <th className="text-left p-2">Winner</th>
                     <th className="text-left p-2">Scores</th>
+                    <th className="p-2"></th>
                   </tr>
                 </thead>
                 <tbody>
                   {rounds.map((r) => (
-                    <tr key={r.id} className="border-b hover:bg-slate-50">
-                      <td className="p-2">{r.round}</td>
-                      <td className="p-2">{r.host}</td>
-                      <td className="p-2">{r.friends.join(", ") || "—"}</td>
-                      <td className="p-2">{r.bid}</td>
-                      <td className="p-2">{r.opponentScore}</td>
-                      <td className="p-2">{r.winner}</td>
-                      <td className="p-2">
-                        <div className="flex flex-wrap gap-1">
-                          {Object.entries(r.scores).map(([name, pts]) => (
-                            <span key={name} className="px-2 py-1 rounded-full bg-slate-100 border text-xs">
-                              {name}: <b>{Math.round(pts)}</b>
-                            </span>
-                          ))}
-                        </div>
-                      </td>
-                    </tr>
+                    <React.Fragment key={r.id}>
+                      <tr className="border-b hover:bg-slate-50">
+                        <td className="p-2">{r.round}</td>
+                        <td className="p-2">{nameOf(r.host)}</td>
+                        <td className="p-2">
+                          {r.friends.map(nameOf).join(", ") || "—"}
+                          {r.calls?.length > 0 && (
+                            <div className="text-xs text-slate-500">
+                              {r.calls.map((c) => `${cardLabel(c.card)}${c.trick ? ` @${c.trick}` : ""}`).join(", ")}
+                            </div>
+                          )}
+                        </td>
+                        <td className="p-2">
+                          {r.bid}
+                          {r.auction?.length > 0 && (
+                            <div className="text-xs text-slate-500" title={r.auction.map((e) => `${nameOf(e.player)} ${e.bid ?? "pass"}`).join(" → ")}>
+                              {r.auction.filter((e) => e.bid !== null).length} bids · {r.auction.filter((e) => e.bid === null).length} passes
+                            </div>
+                          )}
+                        </td>
+                        <td className="p-2">{r.opponentScore}</td>
+                        <td className="p-2">
+                          {r.winner}
+                          <div className="text-xs text-slate-500">{r.rules?.name}</div>
+                        </td>
+                        <td className="p-2">
+                          <div className="flex flex-wrap gap-1">
+                            {r.mode === "Levels"
+                              ? Object.entries(r.levelChanges ?? {})
+                                  .filter(([, n]) => n > 0)
+                                  .map(([id, n]) => (
+                                    <span key={id} className="px-2 py-1 rounded-full bg-indigo-50 border border-indigo-200 text-xs">
+                                      {nameOf(id)}: <b>+{n} lv</b>
+                                    </span>
+                                  ))
+                              : Object.entries(r.scores).map(([id, pts]) => (
+                                  <span key={id} className="px-2 py-1 rounded-full bg-slate-100 border text-xs">
+                                    {nameOf(id)}: <b>{Math.round(pts)}</b>
+                                  </span>
+                                ))}
+                          </div>
+                        </td>
+                        <td className="p-2">
+                          <div className="flex items-center gap-1 justify-end">
+                            {r.audit?.length > 0 && (
+                              <span
+                                className="p-1 text-slate-400"
+                                title={r.audit.map((a) => describeAuditEntry(a, nameOf)).join("\n")}
+                              >
+                                <FileClock className="w-4 h-4" />
+                              </span>
+                            )}
+                            <button
+                              className="p-1 rounded-lg border hover:bg-white"
+                              title="Edit round"
+                              onClick={() => setEditingId(editingId === r.id ? null : r.id)}
+                            >
+                              <Edit2 className="w-4 h-4" />
+                            </button>
+                            <button
+                              className="p-1 rounded-lg border hover:bg-rose-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                              title={canManage ? "Delete round" : "Only workspace admins can delete rounds"}
+                              disabled={!canManage}
+                              onClick={() => removeRound(r)}
+                            >
+                              <Trash2 className="w-4 h-4 text-rose-600" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                      {editingId === r.id && (
+                        <tr className="border-b">
+                          <td colSpan={8} className="p-2">
+                            <RoundEditor
+                              round={r}
+                              nameOf={nameOf}
+                              onSave={(edits) => saveRoundEdit(r, edits)}
+                              onCancel={() => setEditingId(null)}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                   {rounds.length === 0 && (
                     <tr>
-                      <td colSpan={7} className="p-4 text-center text-slate-500">No rounds yet for {selectedDate}.</td>
+                      <td colSpan={8} className="p-4 text-center text-slate-500">No rounds yet for {sessionTitle(session)}.</td>
                     </tr>
                   )}
                 </tbody>
               </table>
             </div>
+
+            {rounds.length > 0 && (
+              <div className="border rounded-2xl p-4 mt-6">
+                <h3 className="font-medium mb-3 flex items-center gap-2"><TrendingUp className="w-4 h-4" /> Cumulative Score</h3>
+                <LineChart
+                  series={sessionSeries(session).map((s) => ({ ...s, label: nameOf(s.id) }))}
+                  xLabel={(x) => (x === 0 ? "Start" : `R${x}`)}
+                  tooltip={(p, s) =>
+                    p.round ? (
+                      <>
+                        <div className="font-medium">Round {p.round.round} · {nameOf(s.id)}: {p.points >= 0 ? "+" : ""}{Math.round(p.points)} (total {Math.round(p.y)})</div>
+                        <div>Host: {nameOf(p.round.host)}</div>
+                        <div>Friends: {p.round.friends.map(nameOf).join(", ") || "—"}</div>
+                        <div>Bid: {p.round.bid} · Opponent score: {p.round.opponentScore}</div>
+                      </>
+                    ) : (
+                      <div>{nameOf(s.id)}: start</div>
+                    )
+                  }
+                />
+              </div>
+            )}
+
+            <SettleUp
+              session={session}
+              sessions={sortSessions(Object.values(gameData))}
+              nameOf={nameOf}
+              onChange={(settlement) => onUpdateSession({ settlement })}
+              onOpenSession={setSelectedId}
+            />
           </section>
         )}
 
@@ -698,8 +1510,7 @@ export default function FindingFriendsTracker() {
               <div className="lg:col-span-2 border rounded-2xl p-3">
                 <h3 className="font-medium mb-2 flex items-center gap-2"><Clock className="w-4 h-4" /> Sessions</h3>
                 <ul className="divide-y">
-                  {allDates.map((d) => {
-                    const s = gameData[d];
+                  {allSessions.map((s) => {
                     const totals = (() => {
                       const map = new Map();
                       s.rounds.forEach((r) => {
@@ -712,14 +1523,22 @@ export default function FindingFriendsTracker() {
                         .sort((a, b) => b.total - a.total);
                     })();
                     return (
-                      <li key={d} className="py-3 flex items-center justify-between">
+                      <li key={s.id} className="py-3 flex items-center justify-between">
                         <div>
-                          <div className="font-medium">{d}</div>
+                          <button
+                            className="font-medium hover:underline text-left"
+                            onClick={() => {
+                              setSelectedId(s.id);
+                              setActiveTab("Details");
+                            }}
+                          >
+                            {sessionTitle(s)}
+                          </button>
                           <div className="text-xs text-slate-600">Rounds: {s.rounds.length}</div>
                         </div>
                         <div className="flex gap-2 flex-wrap">
                           {totals.slice(0, 3).map((t, i) => (
-                            <Pill key={i}>{t.player}: {Math.round(t.total)}</Pill>
+                            <Pill key={i}>{nameOf(t.player)}: {Math.round(t.total)}</Pill>
                           ))}
                         </div>
                       </li>
@@ -751,7 +1570,9 @@ export default function FindingFriendsTracker() {
                               "w-6 h-6 rounded-full text-xs grid place-items-center",
                               i === 0 ? "bg-amber-100" : i === 1 ? "bg-slate-100" : i === 2 ? "bg-orange-100" : "bg-slate-50"
                             )}>{i + 1}</span>
-                            <span>{r.player}</span>
+                            <button className="hover:underline text-left" onClick={() => setProfileId(r.player)}>
+                              {nameOf(r.player)}
+                            </button>
                           </div>
                           <b>{Math.round(r.total)}</b>
                         </li>
@@ -763,9 +1584,80 @@ export default function FindingFriendsTracker() {
                 })()}
               </div>
             </div>
+
+            <SeasonStandings
+              seasons={seasons}
+              gameData={gameData}
+              nameOf={nameOf}
+              onAdd={(season) => setSeasons((prev) => [...prev, season])}
+              onUpdate={replaceSeason}
+              onClose={(season) => replaceSeason(closeSeason(season, gameData, names))}
+              onReopen={(season) => replaceSeason(reopenSeason(season))}
+              onDelete={(season) => setSeasons((prev) => prev.filter((s) => s.id !== season.id))}
+            />
+            <HallOfFame seasons={seasons} names={names} />
           </section>
         )}
+
+        {activeTab === "Settings" && (
+          <RulesSettings
+            ruleSets={ruleSets}
+            customIds={customRuleSets.map((r) => r.id)}
+            selectedId={rules.id}
+            sessionLabel={sessionTitle(session)}
+            onSelect={(id) => updateCurrent((s) => ({ ...s, rulesId: id }))}
+            onSave={(ruleSet) =>
+              setCustomRuleSets((prev) => [...prev.filter((r) => r.id !== ruleSet.id), ruleSet])
+            }
+            onDelete={(id) => setCustomRuleSets((prev) => prev.filter((r) => r.id !== id))}
+          />
+        )}
+
+        {activeTab === "Settings" && (
+          <RosterSettings
+            roster={roster}
+            roundCounts={counts}
+            canManage={canManage}
+            onRename={(id, name) => setRoster((prev) => renamePlayer(prev, id, name))}
+            onMerge={onMergePlayers}
+          />
+        )}
+
+        {activeTab === "Settings" && (
+          <WorkspaceSettings
+            membership={membership}
+            onRefresh={onRefreshWorkspace}
+            pending={outbox.length}
+            onLeave={onLeaveWorkspace}
+          />
+        )}
+
+        {activeTab === "Settings" && (
+          <DataSettings
+            gameData={gameData}
+            roster={roster}
+            seasons={seasons}
+            ruleSets={ruleSets}
+            customRuleSets={customRuleSets}
+            onImport={onImport}
+          />
+        )}
       </div>
+
+      {profileId && (
+        <PlayerProfile
+          playerId={profileId}
+          gameData={gameData}
+          nameOf={nameOf}
+          onOpenSession={(id) => {
+            setSelectedId(id);
+            setActiveTab("Details");
+            setProfileId(null);
+          }}
+          onClose={closeProfile}
+        />
+      )}
+      {celebration && <AchievementToast unlocks={celebration} nameOf={nameOf} onDone={endCelebration} />}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,44 @@
+import React, { useEffect } from "react";
+import { PartyPopper, X } from "lucide-react";
+import { badgeById, earnedLabel } from "../lib/achievements.js";
+import { BadgeIcon } from "./Records.jsx";
+
+/**
+ * Celebrates badges the round just added unlocked, then hides itself.
+ */
+
+const SHOW_FOR = 6000;
+
+export default function AchievementToast({ unlocks, nameOf, onDone }) {
+  useEffect(() => {
+    const timer = setTimeout(onDone, SHOW_FOR);
+    return () => clearTimeout(timer);
+  }, [unlocks, onDone]);
+
+  return (
+    <div role="status" className="fixed bottom-4 right-4 z-50 w-72 bg-white border border-amber-300 rounded-2xl shadow-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-medium flex items-center gap-2 text-amber-700">
+          <PartyPopper className="w-4 h-4" /> {unlocks.length > 1 ? "Badges unlocked!" : "Badge unlocked!"}
+        </span>
+        <button onClick={onDone} className="p-1 rounded-lg hover:bg-slate-100" title="Dismiss">
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+      <ul className="space-y-1 text-sm">
+        {unlocks.map((u) => {
+          const badge = badgeById(u.badge);
+          return (
+            <li key={`${u.badge}:${u.playerId}`} className="flex items-center gap-2" title={earnedLabel(u)}>
+              <BadgeIcon badge={u.badge} className="w-4 h-4 text-amber-600" />
+              <span>
+                <span className="font-medium">{nameOf(u.playerId)}</span> · {badge.name}
+                <span className="block text-xs text-slate-500">{badge.description}</span>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { Minus, Plus, Undo2 } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { BID_STEP, MAX_BID, MIN_BID } from "../lib/bids.js";
+import { bestBid, isValidBid, nextBid } from "../lib/auction.js";
+
+/**
+ * Bid-by-bid auction entry for the New Round form. The caller derives host
+ * and final bid from the entries (see auctionResult).
+ */
+export default function AuctionLog({ entries, players, nameOf, onChange }) {
+  const seatAfter = (id) => players[(players.indexOf(id) + 1) % players.length];
+  const [bidder, setBidder] = useState(players[0]);
+  const [amount, setAmount] = useState(() => nextBid(entries) ?? MIN_BID);
+  const best = bestBid(entries);
+  const current = players.includes(bidder) ? bidder : players[0];
+
+  const record = (bid) => {
+    const next = [...entries, { player: current, bid }];
+    onChange(next);
+    setBidder(seatAfter(current));
+    setAmount(nextBid(next) ?? MIN_BID);
+  };
+
+  const undo = () => {
+    const next = entries.slice(0, -1);
+    onChange(next);
+    if (entries.length) setBidder(entries[entries.length - 1].player);
+    setAmount(nextBid(next) ?? MIN_BID);
+  };
+
+  return (
+    <div className="space-y-2">
+      {entries.length > 0 && (
+        <ol className="flex flex-wrap gap-1 text-xs">
+          {entries.map((e, i) => (
+            <li
+              key={i}
+              className={classNames(
+                "px-2 py-1 rounded-full border",
+                e === best ? "bg-indigo-50 border-indigo-300 font-medium" : e.bid === null ? "bg-slate-50 text-slate-500" : "bg-white"
+              )}
+            >
+              {nameOf(e.player)} {e.bid === null ? "pass" : e.bid}
+            </li>
+          ))}
+        </ol>
+      )}
+      <div className="flex flex-wrap items-center gap-1 text-sm">
+        <select className="border rounded-xl px-2 py-1" value={current} onChange={(e) => setBidder(e.target.value)}>
+          {players.map((p) => (
+            <option key={p} value={p}>{nameOf(p)}</option>
+          ))}
+        </select>
+        <button
+          className="p-1 rounded-lg border hover:bg-slate-50 disabled:text-slate-300"
+          disabled={amount <= MIN_BID}
+          onClick={() => setAmount((a) => Math.max(MIN_BID, a - BID_STEP))}
+        >
+          <Minus className="w-3 h-3" />
+        </button>
+        <span className="w-10 text-center font-semibold">{amount}</span>
+        <button
+          className="p-1 rounded-lg border hover:bg-slate-50 disabled:text-slate-300"
+          disabled={amount >= MAX_BID}
+          onClick={() => setAmount((a) => Math.min(MAX_BID, a + BID_STEP))}
+        >
+          <Plus className="w-3 h-3" />
+        </button>
+        <button
+          disabled={!isValidBid(entries, amount)}
+          onClick={() => record(amount)}
+          className="px-2 py-1 rounded-xl border bg-white hover:bg-slate-50 disabled:text-slate-300 disabled:cursor-not-allowed"
+        >
+          Bid
+        </button>
+        <button onClick={() => record(null)} className="px-2 py-1 rounded-xl border bg-white hover:bg-slate-50">
+          Pass
+        </button>
+        <button
+          disabled={entries.length === 0}
+          onClick={undo}
+          title="Undo last call"
+          className="p-1 rounded-lg border hover:bg-slate-50 disabled:text-slate-300"
+        >
+          <Undo2 className="w-3 h-3" />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useMemo } from "react";
+import { Gavel } from "lucide-react";
+import { auctionStats } from "../lib/auction.js";
+
+/**
+ * Auction statistics from rounds with a logged auction: the most contested
+ * rounds and how often the first player to bid ends up hosting.
+ */
+export default function AuctionStats({ gameData, nameOf }) {
+  const stats = useMemo(() => auctionStats(gameData), [gameData]);
+
+  return (
+    <div className="border rounded-2xl p-4 mt-6">
+      <h3 className="font-medium mb-3 flex items-center gap-2"><Gavel className="w-4 h-4" /> Auctions</h3>
+      {stats.rounds === 0 ? (
+        <div className="text-sm text-slate-500 p-4 text-center">No auctions logged yet.</div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
+          <div className="space-y-2">
+            <div className="bg-slate-50 rounded-xl p-3">
+              <div className="text-lg font-bold text-indigo-600">{stats.rounds}</div>
+              <div className="text-xs text-slate-600">Rounds with a logged auction</div>
+            </div>
+            <div className="bg-slate-50 rounded-xl p-3">
+              <div className="text-lg font-bold text-green-600">
+                {stats.firstBidderRounds ? `${Math.round((stats.firstBidderHosted / stats.firstBidderRounds) * 100)}%` : "—"}
+              </div>
+              <div className="text-xs text-slate-600">
+                First bidder ended up hosting ({stats.firstBidderHosted}/{stats.firstBidderRounds})
+              </div>
+            </div>
+          </div>
+
+          <div className="lg:col-span-2 overflow-x-auto">
+            <div className="text-xs font-medium text-slate-600 mb-2">Most contested rounds</div>
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-slate-50">
+                  <th className="text-left p-2">Round</th>
+                  <th className="text-left p-2">Bids</th>
+                  <th className="text-left p-2">Bidders</th>
+                  <th className="text-left p-2">Won by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.contested.map((r) => (
+                  <tr key={r.id} className="border-b">
+                    <td className="p-2">{r.title}</td>
+                    <td className="p-2">{r.bids}</td>
+                    <td className="p-2">{r.bidders}</td>
+                    <td className="p-2">{nameOf(r.host)} at {r.finalBid}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
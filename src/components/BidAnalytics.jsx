@@ -0,0 +1,108 @@
+import React, { useMemo } from "react";
+import { Gauge } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { computeBidStats } from "../lib/bids.js";
+
+/**
+ * Bidding analysis: how each bid level pays off for the host, and each
+ * player's bidding style. Normal-mode rounds only.
+ */
+
+const STYLE_CLASSES = {
+  Aggressive: "bg-rose-50 text-rose-700 border-rose-200",
+  Conservative: "bg-sky-50 text-sky-700 border-sky-200",
+  Balanced: "bg-slate-50 text-slate-700 border-slate-200",
+};
+
+function signed(n) {
+  const v = Math.round(n);
+  return v > 0 ? `+${v}` : String(v);
+}
+
+export default function BidAnalytics({ gameData, nameOf }) {
+  const { buckets, profiles, tableAvgBid } = useMemo(() => computeBidStats(gameData), [gameData]);
+
+  return (
+    <div className="border rounded-2xl p-4 mt-6">
+      <h3 className="font-medium mb-1 flex items-center gap-2"><Gauge className="w-4 h-4" /> Bidding</h3>
+      <p className="text-xs text-slate-500 mb-3">
+        Margin is bid minus opponent score (positive: the host team made it).
+        {tableAvgBid !== null && ` Table average bid: ${Math.round(tableAvgBid)}.`}
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b bg-slate-50">
+                <th className="text-left p-2">Bid</th>
+                <th className="text-left p-2">Rounds</th>
+                <th className="text-left p-2">Host Win Rate</th>
+                <th className="text-left p-2">Avg Margin</th>
+                <th className="text-left p-2">Avg Host Pts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {buckets.map((b) => (
+                <tr key={b.key} className={classNames("border-b", b.rounds === 0 && "text-slate-400")}>
+                  <td className="p-2 font-medium">{b.label}</td>
+                  <td className="p-2">{b.rounds}</td>
+                  <td className="p-2">
+                    {b.rounds > 0 ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-20 h-2 rounded-full bg-slate-100 overflow-hidden">
+                          <div className="h-full bg-indigo-500" style={{ width: `${b.winRate * 100}%` }} />
+                        </div>
+                        <span>{Math.round(b.winRate * 100)}%</span>
+                      </div>
+                    ) : "—"}
+                  </td>
+                  <td className="p-2">{b.rounds > 0 ? signed(b.avgMargin) : "—"}</td>
+                  <td className="p-2">{b.rounds > 0 ? Math.round(b.avgHostPoints) : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b bg-slate-50">
+                <th className="text-left p-2">Host</th>
+                <th className="text-left p-2">Hosted</th>
+                <th className="text-left p-2">Avg Bid</th>
+                <th className="text-left p-2">No Bids</th>
+                <th className="text-left p-2">Win Rate</th>
+                <th className="text-left p-2">Avg Pts</th>
+                <th className="text-left p-2">Style</th>
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map((p) => (
+                <tr key={p.id} className="border-b hover:bg-slate-50">
+                  <td className="p-2 font-medium">{nameOf(p.id)}</td>
+                  <td className="p-2">{p.rounds}</td>
+                  <td className="p-2">{p.avgBid !== null ? Math.round(p.avgBid) : "—"}</td>
+                  <td className="p-2">{p.noBids}</td>
+                  <td className="p-2">{Math.round(p.winRate * 100)}%</td>
+                  <td className="p-2">{Math.round(p.avgHostPoints)}</td>
+                  <td className="p-2">
+                    {STYLE_CLASSES[p.style] ? (
+                      <span className={classNames("text-xs px-2 py-0.5 rounded-full border", STYLE_CLASSES[p.style])}>{p.style}</span>
+                    ) : p.style}
+                  </td>
+                </tr>
+              ))}
+              {profiles.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="p-4 text-center text-slate-500">No data yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useMemo } from "react";
+import { Spade } from "lucide-react";
+import { callStats } from "../lib/calls.js";
+
+/**
+ * Called-card statistics: the most popular calls, how often the card was in
+ * the host's own hand or never showed, and how early each friend reveals.
+ * Only rounds recorded with called cards count.
+ */
+export default function CallStats({ gameData, nameOf }) {
+  const stats = useMemo(() => callStats(gameData), [gameData]);
+
+  return (
+    <div className="border rounded-2xl p-4 mt-6">
+      <h3 className="font-medium mb-3 flex items-center gap-2"><Spade className="w-4 h-4" /> Called Cards</h3>
+      {stats.totalCalls === 0 ? (
+        <div className="text-sm text-slate-500 p-4 text-center">No called cards recorded yet.</div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
+          <div>
+            <div className="text-xs font-medium text-slate-600 mb-2">Most called</div>
+            <ul className="space-y-1">
+              {stats.cards.slice(0, 8).map((c) => (
+                <li key={c.label} className="flex items-center justify-between bg-slate-50 rounded-xl px-3 py-1">
+                  <span className="font-medium">{c.label}</span>
+                  <span className="text-slate-600">{c.count}× ({Math.round((c.count / stats.totalCalls) * 100)}%)</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="space-y-2">
+            <div className="text-xs font-medium text-slate-600">Outcomes</div>
+            <div className="bg-slate-50 rounded-xl p-3">
+              <div className="text-lg font-bold text-indigo-600">{stats.avgTrick !== null ? stats.avgTrick.toFixed(1) : "—"}</div>
+              <div className="text-xs text-slate-600">Average reveal trick</div>
+            </div>
+            <div className="bg-slate-50 rounded-xl p-3">
+              <div className="text-lg font-bold text-amber-600">{stats.withHost}</div>
+              <div className="text-xs text-slate-600">Called card was in the host's hand</div>
+            </div>
+            <div className="bg-slate-50 rounded-xl p-3">
+              <div className="text-lg font-bold text-rose-600">{stats.neverRevealed}</div>
+              <div className="text-xs text-slate-600">Friend never revealed</div>
+            </div>
+          </div>
+
+          <div>
+            <div className="text-xs font-medium text-slate-600 mb-2">Reveal timing by friend (earliest first)</div>
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-slate-50">
+                  <th className="text-left p-2">Player</th>
+                  <th className="text-left p-2">Reveals</th>
+                  <th className="text-left p-2">Avg Trick</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.byPlayer.map((p) => (
+                  <tr key={p.id} className="border-b">
+                    <td className="p-2 font-medium">{nameOf(p.id)}</td>
+                    <td className="p-2">{p.reveals}</td>
+                    <td className="p-2">{p.avgTrick !== null ? p.avgTrick.toFixed(1) : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React from "react";
+import { Plus, X } from "lucide-react";
+import { CARD_RANKS, emptyCall, HOLDER_HOST, HOLDER_NONE, isJoker, ORDINALS, SUITS } from "../lib/calls.js";
+
+/**
+ * Called-card rows for the New Round form: which card the host called, who
+ * turned out to hold it, and on which trick they revealed themselves.
+ */
+export default function CallsEditor({ calls, players, hostId, maxCalls, nameOf, onChange }) {
+  const update = (i, changes) => onChange(calls.map((c, j) => (j === i ? { ...c, ...changes } : c)));
+  const updateCard = (i, changes) => update(i, { card: { ...calls[i].card, ...changes } });
+
+  return (
+    <div className="space-y-2">
+      {calls.map((call, i) => (
+        <div key={i} className="flex flex-wrap items-center gap-1 bg-slate-50 border rounded-xl p-2 text-sm">
+          <select className="border rounded-lg px-1 py-1 bg-white" value={call.card.nth} onChange={(e) => updateCard(i, { nth: Number(e.target.value) })}>
+            {ORDINALS.map((label, n) => (
+              <option key={n} value={n + 1}>{label}</option>
+            ))}
+          </select>
+          <select className="border rounded-lg px-1 py-1 bg-white" value={call.card.rank} onChange={(e) => updateCard(i, { rank: e.target.value })}>
+            {CARD_RANKS.map((r) => <option key={r} value={r}>{r}</option>)}
+          </select>
+          {!isJoker(call.card.rank) && (
+            <select className="border rounded-lg px-1 py-1 bg-white" value={call.card.suit} onChange={(e) => updateCard(i, { suit: e.target.value })}>
+              {SUITS.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          )}
+          <span className="text-xs text-slate-500">held by</span>
+          <select
+            className="border rounded-lg px-1 py-1 bg-white"
+            value={call.holder}
+            onChange={(e) => update(i, { holder: e.target.value, trick: e.target.value === HOLDER_NONE ? null : call.trick })}
+          >
+            <option value={HOLDER_NONE}>Never revealed</option>
+            <option value={HOLDER_HOST}>Host's own hand</option>
+            {players.filter((p) => p !== hostId).map((p) => (
+              <option key={p} value={p}>{nameOf(p)}</option>
+            ))}
+          </select>
+          <span className="text-xs text-slate-500">trick</span>
+          <input
+            type="number"
+            min={1}
+            disabled={call.holder === HOLDER_NONE}
+            className="w-14 border rounded-lg px-1 py-1 bg-white disabled:bg-slate-100"
+            value={call.trick ?? ""}
+            onChange={(e) => update(i, { trick: e.target.value === "" ? null : parseInt(e.target.value, 10) })}
+          />
+          <button className="p-1 rounded-lg hover:bg-slate-200" title="Remove call" onClick={() => onChange(calls.filter((_, j) => j !== i))}>
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      ))}
+      {calls.length < maxCalls && (
+        <button
+          className="flex items-center gap-1 text-xs px-2 py-1 rounded-full border hover:bg-slate-50"
+          onClick={() => onChange([...calls, emptyCall()])}
+        >
+          <Plus className="w-3 h-3" /> {calls.length ? "Add another call" : "Record called card"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import { Download, Upload, AlertTriangle } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { applyImport, downloadFile, exportCsv, exportJson, planImport } from "../lib/exchange.js";
+
+/**
+ * Export everything as JSON or a per-round CSV, and import either back in.
+ * Imports are previewed first: rejected rows, score mismatches (the recomputed
+ * scores win) and duplicate round IDs are listed before anything is merged.
+ */
+
+function fileStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export default function DataSettings({ gameData, roster, ruleSets, customRuleSets, seasons, onImport }) {
+  const [plan, setPlan] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  const [done, setDone] = useState("");
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setDone("");
+    setError("");
+    setFileName(file.name);
+    try {
+      setPlan(planImport(await file.text(), file.name, { gameData, roster, ruleSets }));
+    } catch (err) {
+      setPlan(null);
+      setError(err.message);
+    }
+  };
+
+  const count = plan ? `${plan.accepted.length} round${plan.accepted.length === 1 ? "" : "s"}` : "";
+
+  const confirm = () => {
+    onImport(applyImport(plan, { gameData, roster, ruleSets: customRuleSets, seasons }));
+    setDone(`Imported ${count} from ${fileName}.`);
+    setPlan(null);
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-4 mt-6">
+      <h2 className="font-semibold mb-4 flex items-center gap-2"><Download className="w-4 h-4" /> Import & Export</h2>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          className="flex items-center gap-1 px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50"
+          onClick={() => downloadFile(`finding-friends-${fileStamp()}.json`, exportJson({ gameData, roster, ruleSets: customRuleSets, seasons }), "application/json")}
+        >
+          <Download className="w-4 h-4" /> Export JSON
+        </button>
+        <button
+          className="flex items-center gap-1 px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50"
+          onClick={() => downloadFile(`finding-friends-${fileStamp()}.csv`, exportCsv({ gameData, roster }), "text/csv")}
+        >
+          <Download className="w-4 h-4" /> Export CSV
+        </button>
+        <label className="flex items-center gap-1 px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50 cursor-pointer">
+          <Upload className="w-4 h-4" /> Import JSON or CSV…
+          <input type="file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={onFile} />
+        </label>
+      </div>
+      <p className="text-xs text-slate-500 mt-2">
+        CSV needs at least Date, Players, Host, Bid and Opponent Score columns. Lists use "; " and scores look like "Alice: 150; Bob: -50".
+      </p>
+
+      {error && <div className="mt-3 text-sm text-rose-700 bg-rose-50 border border-rose-200 rounded-xl px-3 py-2">{error}</div>}
+      {done && <div className="mt-3 text-sm text-emerald-700 bg-emerald-50 border border-emerald-200 rounded-xl px-3 py-2">{done}</div>}
+
+      {plan && (
+        <div className="mt-4 border rounded-2xl p-3 space-y-3 text-sm">
+          <div className="font-medium">{fileName}</div>
+          <ul className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            <li className="bg-slate-50 rounded-xl px-3 py-2"><b>{plan.accepted.length}</b> to import</li>
+            <li className="bg-slate-50 rounded-xl px-3 py-2"><b>{plan.mismatches.length}</b> rescored</li>
+            <li className="bg-slate-50 rounded-xl px-3 py-2"><b>{plan.duplicates.length}</b> duplicates skipped</li>
+            <li className="bg-slate-50 rounded-xl px-3 py-2"><b>{plan.errors.length}</b> rejected</li>
+          </ul>
+          {plan.newPlayers.length > 0 && (
+            <div className="text-xs text-slate-600">New players: {plan.newPlayers.map((p) => p.name).join(", ")}</div>
+          )}
+
+          {plan.errors.length > 0 && (
+            <div>
+              <div className="text-xs font-medium text-rose-700 mb-1">Rejected rows</div>
+              <ul className="space-y-1 max-h-40 overflow-auto">
+                {plan.errors.map((e) => (
+                  <li key={e.rowNo} className="bg-rose-50 border border-rose-200 rounded-xl px-3 py-1">Row {e.rowNo}: {e.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {plan.mismatches.length > 0 && (
+            <div>
+              <div className="text-xs font-medium text-amber-700 mb-1 flex items-center gap-1">
+                <AlertTriangle className="w-3 h-3" /> Recorded scores that don't match the rules (recomputed scores will be used)
+              </div>
+              <ul className="space-y-1 max-h-40 overflow-auto">
+                {plan.mismatches.map((m) => (
+                  <li key={m.rowNo} className="bg-amber-50 border border-amber-200 rounded-xl px-3 py-1">
+                    Row {m.rowNo}: {m.diffs.map((d) => `${d.name} ${d.recorded} → ${Math.round(d.computed * 100) / 100}`).join(", ")}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              disabled={plan.accepted.length === 0}
+              onClick={confirm}
+              className={classNames(
+                "px-4 py-2 rounded-2xl text-white font-medium shadow",
+                plan.accepted.length ? "bg-indigo-600 hover:bg-indigo-700" : "bg-slate-400 cursor-not-allowed"
+              )}
+            >
+              Import {count}
+            </button>
+            <button className="px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50" onClick={() => setPlan(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
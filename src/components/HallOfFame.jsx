@@ -0,0 +1,52 @@
+import React from "react";
+import { Crown, Medal } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { hallOfFame } from "../lib/seasons.js";
+
+/**
+ * Champions and podiums of closed seasons, as archived when each one closed.
+ * Names follow later renames; the archived name is the fallback for players
+ * no longer on the roster.
+ */
+
+const PLACE_STYLES = ["bg-amber-100 border-amber-300", "bg-slate-100 border-slate-300", "bg-orange-100 border-orange-300"];
+
+export default function HallOfFame({ seasons, names }) {
+  const closed = hallOfFame(seasons);
+  if (closed.length === 0) return null;
+
+  return (
+    <div className="border rounded-2xl p-3 mt-4">
+      <h3 className="font-medium mb-3 flex items-center gap-2"><Crown className="w-4 h-4" /> Hall of Fame</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {closed.map((s) => (
+          <div key={s.id} className="bg-slate-50 border rounded-xl p-3 text-sm">
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-semibold">{s.name}</span>
+              <span className="text-xs text-slate-500">
+                {s.start} → {s.end} · {s.archive.sessions} sessions
+              </span>
+            </div>
+            {s.archive.podium.length === 0 ? (
+              <div className="text-xs text-slate-500">Nobody reached {s.minSessions} sessions.</div>
+            ) : (
+              <ol className="space-y-1">
+                {s.archive.podium.map((p, i) => (
+                  <li key={p.id} className={classNames("flex items-center justify-between border rounded-lg px-2 py-1", PLACE_STYLES[i])}>
+                    <span className="flex items-center gap-2 font-medium">
+                      {i === 0 ? <Crown className="w-4 h-4 text-amber-600" /> : <Medal className="w-4 h-4 text-slate-500" />}
+                      {names[p.id] ?? p.name}
+                    </span>
+                    <span className="text-xs text-slate-600">
+                      {s.rankBy === "average" ? `${p.average} / round` : `${p.points} pts`} · {p.rounds} rounds
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { niceTicks } from "../lib/charts.js";
+
+/**
+ * Small dependency-free SVG line chart.
+ * - series: [{ id, label, color, points: [{ x, y, ... }] }]
+ * - xLabel(x) labels the x axis; tooltip(point, series) renders the hover box
+ */
+
+const WIDTH = 640;
+const PAD = { top: 12, right: 12, bottom: 24, left: 44 };
+
+export default function LineChart({ series, height = 240, xLabel = String, tooltip }) {
+  const [hover, setHover] = useState(null); // { series, point }
+  const points = series.flatMap((s) => s.points);
+  if (points.length === 0) return <div className="text-sm text-slate-500 p-4 text-center">No data yet.</div>;
+
+  const xs = points.map((p) => p.x);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs, minX + 1);
+  const ticks = niceTicks(Math.min(...points.map((p) => p.y)), Math.max(...points.map((p) => p.y)));
+  const minY = ticks[0];
+  const maxY = ticks[ticks.length - 1];
+
+  const sx = (x) => PAD.left + ((x - minX) / (maxX - minX)) * (WIDTH - PAD.left - PAD.right);
+  const sy = (y) => PAD.top + ((maxY - y) / (maxY - minY || 1)) * (height - PAD.top - PAD.bottom);
+  const xTicks = [...new Set(xs)].sort((a, b) => a - b);
+  const labelEvery = Math.ceil(xTicks.length / 12);
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" onMouseLeave={() => setHover(null)}>
+        {ticks.map((t) => (
+          <g key={t}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={sy(t)} y2={sy(t)} stroke={t === 0 ? "#94a3b8" : "#e2e8f0"} />
+            <text x={PAD.left - 6} y={sy(t) + 4} textAnchor="end" fontSize="10" fill="#64748b">{t}</text>
+          </g>
+        ))}
+        {xTicks.filter((_, i) => i % labelEvery === 0).map((x) => (
+          <text key={x} x={sx(x)} y={height - 6} textAnchor="middle" fontSize="10" fill="#64748b">{xLabel(x)}</text>
+        ))}
+        {series.map((s) => (
+          <g key={s.id}>
+            <polyline
+              fill="none"
+              stroke={s.color}
+              strokeWidth={hover && hover.series.id !== s.id ? 1 : 2}
+              strokeOpacity={hover && hover.series.id !== s.id ? 0.35 : 1}
+              points={s.points.map((p) => `${sx(p.x)},${sy(p.y)}`).join(" ")}
+            />
+            {s.points.map((p) => (
+              <circle
+                key={p.x}
+                cx={sx(p.x)}
+                cy={sy(p.y)}
+                r={hover?.point === p ? 5 : 3}
+                fill={s.color}
+                onMouseEnter={() => setHover({ series: s, point: p })}
+              />
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      {hover && tooltip && (
+        <div
+          className="absolute pointer-events-none bg-white border shadow-sm rounded-xl px-3 py-2 text-xs whitespace-nowrap"
+          style={{
+            left: `${(sx(hover.point.x) / WIDTH) * 100}%`,
+            top: `${(sy(hover.point.y) / height) * 100}%`,
+            transform: `translate(${sx(hover.point.x) > WIDTH / 2 ? "-105%" : "5%"}, -50%)`,
+          }}
+        >
+          {tooltip(hover.point, hover.series)}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        {series.map((s) => (
+          <span key={s.id} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-1 rounded-full" style={{ background: s.color }} />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
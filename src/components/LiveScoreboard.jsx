@@ -0,0 +1,140 @@
+import React, { useCallback, useRef, useState } from "react";
+import { Radio, Trophy, WifiOff } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { fetchLive } from "../lib/cloudSync.js";
+import { liveStandings, mergeLiveRounds, usePolling } from "../lib/live.js";
+import { rankName, sessionLevels } from "../lib/levels.js";
+import { isHostWin, modeLabel } from "../lib/scoring.js";
+import { sessionTitle } from "../lib/sessions.js";
+
+/**
+ * Read-only scoreboard opened from a ?live=CODE link. Polls the live function
+ * for rounds written since the last poll; keeps showing the last scores while
+ * it reconnects.
+ */
+export default function LiveScoreboard({ code }) {
+  const [session, setSession] = useState(null);
+  const [names, setNames] = useState({});
+  const [rounds, setRounds] = useState([]);
+  const [gone, setGone] = useState("");
+  const cursorRef = useRef(null);
+
+  const poll = useCallback(async () => {
+    try {
+      const res = await fetchLive(code, cursorRef.current);
+      cursorRef.current = res.cursor;
+      setSession(res.session);
+      setNames((prev) => ({ ...prev, ...res.names, ...Object.assign({}, ...res.rounds.map((r) => r.names ?? {})) }));
+      setRounds((prev) => mergeLiveRounds(prev, res.rounds));
+    } catch (err) {
+      if (err.status === 404 && !err.offline) setGone(err.message);
+      throw err;
+    }
+  }, [code]);
+
+  const status = usePolling(poll, { enabled: !gone });
+  const nameOf = (id) => names[id] ?? "Unknown player";
+  const standings = session ? liveStandings(session.players, rounds) : [];
+  const hasLevels = rounds.some((r) => r.mode === "Levels");
+  const levels = hasLevels ? sessionLevels({ players: session.players, rounds }).levels : {};
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 p-4 sm:p-6">
+      <div className="mx-auto max-w-3xl space-y-4">
+        <header className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h1 className="text-2xl font-bold tracking-tight flex items-center gap-2">
+              <Radio className="w-6 h-6 text-rose-600" /> Live Scoreboard
+            </h1>
+            <p className="text-slate-600 text-sm mt-1">{session ? sessionTitle(session) : "Connecting…"}</p>
+          </div>
+          <div
+            className={classNames(
+              "flex items-center gap-2 px-3 py-2 rounded-2xl border text-sm shadow-sm",
+              gone || status.failures ? "bg-rose-50 border-rose-200 text-rose-700" : "bg-emerald-50 border-emerald-200 text-emerald-700"
+            )}
+          >
+            {gone || status.failures ? <WifiOff className="w-4 h-4" /> : <Radio className="w-4 h-4" />}
+            <span>
+              {gone
+                ? "Stopped"
+                : status.failures
+                  ? `Reconnecting (try ${status.failures + 1})…`
+                  : status.lastSuccess
+                    ? `Live · ${status.lastSuccess.toLocaleTimeString()}`
+                    : "Connecting…"}
+            </span>
+          </div>
+        </header>
+
+        {gone && (
+          <div className="bg-rose-50 border border-rose-200 text-rose-700 rounded-2xl px-4 py-3 text-sm">
+            This scoreboard isn't shared any more ({gone}).
+          </div>
+        )}
+
+        {session && (
+          <section className="bg-white rounded-2xl shadow-sm border p-4">
+            <h2 className="font-semibold mb-3 flex items-center gap-2"><Trophy className="w-4 h-4" /> Standings</h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b bg-slate-50">
+                  <th className="text-left p-2">#</th>
+                  <th className="text-left p-2">Player</th>
+                  <th className="text-right p-2">Total</th>
+                  {hasLevels && <th className="text-right p-2">Level</th>}
+                  <th className="text-right p-2">Rounds</th>
+                </tr>
+              </thead>
+              <tbody>
+                {standings.map((p, i) => (
+                  <tr key={p.id} className="border-b">
+                    <td className="p-2 text-slate-500">{i + 1}</td>
+                    <td className="p-2 font-medium">{nameOf(p.id)}</td>
+                    <td className="p-2 text-right font-semibold text-indigo-600">{p.total.toFixed(0)}</td>
+                    {hasLevels && <td className="p-2 text-right">{rankName(levels[p.id] ?? 0)}</td>}
+                    <td className="p-2 text-right text-slate-500">{p.rounds}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        {session && (
+          <section className="bg-white rounded-2xl shadow-sm border p-4">
+            <h2 className="font-semibold mb-3">Rounds</h2>
+            {rounds.length === 0 ? (
+              <div className="text-sm text-slate-500 p-4 text-center">No rounds yet — scores appear here as they're entered.</div>
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {[...rounds].reverse().map((r) => (
+                  <li key={r.id} className="bg-slate-50 border rounded-xl px-3 py-2">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <span className="font-medium">
+                        Round {r.round} · {modeLabel(r.mode, r.players.length)} · host {nameOf(r.host)}
+                        {r.friends.length > 0 && ` with ${r.friends.map(nameOf).join(", ")}`}
+                      </span>
+                      <span className={classNames("text-xs font-medium", isHostWin(r.winner) ? "text-emerald-700" : "text-rose-700")}>
+                        {r.winner} · bid {r.bid}, opponents {r.opponentScore}
+                      </span>
+                    </div>
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {r.players
+                        .filter((id) => r.scores[id])
+                        .map((id) => (
+                          <span key={id} className="px-2 py-0.5 rounded-full text-xs bg-white border">
+                            {nameOf(id)} +{Number(r.scores[id]).toFixed(0)}
+                          </span>
+                        ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
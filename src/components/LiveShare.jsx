@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { Copy, Radio, Square } from "lucide-react";
+import { shareLiveSession, stopLiveSession } from "../lib/cloudSync.js";
+import { liveLink } from "../lib/live.js";
+
+/**
+ * Shares the current session as a live scoreboard. `code` is set while this
+ * device is sharing it; any other member who shares the same session gets the
+ * same code.
+ */
+export default function LiveShare({ token, session, code, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const start = () => run(async () => onChange(await shareLiveSession(token, session)));
+  const stop = () =>
+    run(async () => {
+      await stopLiveSession(token, code);
+      onChange(null);
+      setCopied(false);
+    });
+
+  const copyLink = async () => {
+    await navigator.clipboard?.writeText(liveLink(code));
+    setCopied(true);
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <Radio className={code ? "w-4 h-4 text-rose-600" : "w-4 h-4 text-slate-500"} />
+        {code ? (
+          <>
+            <span className="font-medium">Live</span>
+            <input
+              readOnly
+              className="border rounded-xl px-3 py-1 flex-1 min-w-[12rem] bg-slate-50 text-slate-700"
+              value={liveLink(code)}
+              onFocus={(e) => e.target.select()}
+            />
+            <button className="flex items-center gap-1 px-3 py-1 rounded-xl border hover:bg-slate-50" onClick={copyLink}>
+              <Copy className="w-4 h-4" /> {copied ? "Copied" : "Copy link"}
+            </button>
+            <button
+              disabled={busy}
+              className="flex items-center gap-1 px-3 py-1 rounded-xl border text-rose-600 hover:bg-rose-50 disabled:text-slate-400"
+              onClick={stop}
+            >
+              <Square className="w-4 h-4" /> Stop
+            </button>
+          </>
+        ) : (
+          <>
+            <span className="text-slate-600 flex-1">Let everyone at the table follow the score on their own phone.</span>
+            <button
+              disabled={busy}
+              className="px-3 py-1 rounded-xl bg-indigo-600 hover:bg-indigo-700 disabled:bg-slate-400 text-white"
+              onClick={start}
+            >
+              Go live
+            </button>
+          </>
+        )}
+      </div>
+      {error && <div className="text-xs text-rose-600 mt-2">{error}</div>}
+    </section>
+  );
+}
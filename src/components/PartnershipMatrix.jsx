@@ -0,0 +1,109 @@
+import React, { useMemo, useState } from "react";
+import { Handshake } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { computePartnerships } from "../lib/partnerships.js";
+
+/**
+ * Player × player matrix with three views:
+ * - Calls: how often the row host called the column player as a friend
+ * - Pair win rate: how those host–friend pairings did
+ * - Head-to-head: row player's win rate against the column player when on
+ *   opposite sides
+ */
+
+const VIEWS = [
+  ["calls", "Calls"],
+  ["pairs", "Pair win rate"],
+  ["h2h", "Head-to-head"],
+];
+
+// Green above 50%, red below, stronger the further from even
+function rateColor(rate) {
+  const strength = Math.min(1, Math.abs(rate - 0.5) * 2) * 0.5;
+  return rate >= 0.5 ? `rgba(22, 163, 74, ${strength})` : `rgba(225, 29, 72, ${strength})`;
+}
+
+function pct(n, d) {
+  return `${Math.round((n / d) * 100)}%`;
+}
+
+export default function PartnershipMatrix({ gameData, nameOf }) {
+  const [view, setView] = useState("calls");
+  const { players, calls, headToHead, hosted } = useMemo(() => computePartnerships(gameData), [gameData]);
+
+  const render = (row, col) => {
+    if (row === col) return { text: "", bg: "#f1f5f9" };
+    if (view === "h2h") {
+      const c = headToHead[row]?.[col];
+      if (!c) return { text: "—" };
+      return { text: pct(c.wins, c.games), sub: `${c.wins}/${c.games}`, bg: rateColor(c.wins / c.games) };
+    }
+    const c = calls[row]?.[col];
+    if (!c) return { text: "—" };
+    if (view === "pairs") return { text: pct(c.wins, c.count), sub: `${c.wins}/${c.count}`, bg: rateColor(c.wins / c.count) };
+    const share = c.count / hosted[row];
+    return { text: c.count, sub: pct(c.count, hosted[row]), bg: `rgba(79, 70, 229, ${share * 0.6})` };
+  };
+
+  const caption = {
+    calls: "Rows are hosts, columns the friend they called (count and share of that host's rounds).",
+    pairs: "Host win rate when the row host called the column player.",
+    h2h: "Row player's win rate against the column player when they were on opposite sides.",
+  }[view];
+
+  return (
+    <div className="border rounded-2xl p-4 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+        <h3 className="font-medium flex items-center gap-2"><Handshake className="w-4 h-4" /> Partnerships</h3>
+        <div className="flex gap-1 text-xs">
+          {VIEWS.map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={classNames(
+                "px-2 py-1 rounded-full border",
+                view === key ? "bg-indigo-600 text-white border-indigo-600" : "hover:bg-slate-50"
+              )}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">{caption}</p>
+
+      {players.length === 0 ? (
+        <div className="text-sm text-slate-500 p-4 text-center">No data yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="p-2 text-left text-xs text-slate-500">{view === "h2h" ? "Player \\ vs" : "Host \\ Friend"}</th>
+                {players.map((id) => (
+                  <th key={id} className="p-2 text-xs font-medium">{nameOf(id)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {players.map((row) => (
+                <tr key={row}>
+                  <th className="p-2 text-left text-xs font-medium whitespace-nowrap">{nameOf(row)}</th>
+                  {players.map((col) => {
+                    const c = render(row, col);
+                    return (
+                      <td key={col} className="p-2 text-center border border-white rounded" style={{ background: c.bg }}>
+                        <div className="font-medium">{c.text}</div>
+                        {c.sub && <div className="text-[10px] text-slate-600">{c.sub}</div>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { CalendarDays, Handshake, History, PieChart, TrendingUp, User, X } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { playerProfile, profileTrend, ROLES } from "../lib/profile.js";
+import LineChart from "./LineChart.jsx";
+
+/**
+ * Profile overlay for one player, opened from Player Rankings or All-time Top.
+ * Covers every session regardless of the Statistics filters.
+ */
+
+const HISTORY_PAGE = 20;
+
+const ROLE_STYLES = {
+  host: "bg-indigo-500",
+  friend: "bg-sky-400",
+  opponent: "bg-slate-400",
+};
+
+function pct(n, d) {
+  return d ? `${Math.round((n / d) * 100)}%` : "—";
+}
+
+export default function PlayerProfile({ playerId, gameData, nameOf, onOpenSession, onClose }) {
+  const [showAll, setShowAll] = useState(false);
+  const profile = useMemo(() => playerProfile(gameData, playerId), [gameData, playerId]);
+  const trend = useMemo(() => profileTrend(profile.sessions), [profile]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const { history, roles, total, partners, bestSession, worstSession, solo } = profile;
+  const wins = history.filter((h) => h.won).length;
+  const shown = showAll ? history : history.slice(0, HISTORY_PAGE);
+  // Bars are scaled by each role's share of the points earned, ignoring losses
+  const earned = Object.values(roles).reduce((sum, r) => sum + Math.max(0, r.points), 0);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-slate-900/40 overflow-y-auto" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label={`${nameOf(playerId)} profile`}
+        className="max-w-4xl mx-auto my-6 bg-white rounded-2xl shadow-sm border p-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold flex items-center gap-2"><User className="w-5 h-5" /> {nameOf(playerId)}</h2>
+          <button onClick={onClose} className="p-1 rounded-lg border hover:bg-slate-50" title="Close">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          <div className="bg-slate-50 border rounded-xl p-3 text-center">
+            <div className="text-2xl font-bold text-indigo-600">{total}</div>
+            <div className="text-sm text-slate-600">Total points</div>
+          </div>
+          <div className="bg-slate-50 border rounded-xl p-3 text-center">
+            <div className="text-2xl font-bold">{history.length}</div>
+            <div className="text-sm text-slate-600">Rounds ({pct(wins, history.length)} won)</div>
+          </div>
+          <div className="bg-slate-50 border rounded-xl p-3 text-center">
+            <div className="text-2xl font-bold">{solo.won}/{solo.played}</div>
+            <div className="text-sm text-slate-600">1vN wins as soloist</div>
+          </div>
+          <div className="bg-slate-50 border rounded-xl p-3 text-center">
+            <div className="text-2xl font-bold">{solo.beaten}/{solo.against}</div>
+            <div className="text-sm text-slate-600">1vN soloists beaten</div>
+          </div>
+        </div>
+
+        <div className="border rounded-2xl p-4">
+          <h3 className="font-medium mb-3 flex items-center gap-2"><TrendingUp className="w-4 h-4" /> Score trend</h3>
+          <LineChart
+            series={trend}
+            height={200}
+            xLabel={(x) => trend[0].points[x]?.session.date.slice(4, 10) ?? ""}
+            tooltip={(p) => (
+              <>
+                <div className="font-medium">{p.title}</div>
+                <div>Session: {p.total} over {p.rounds} rounds</div>
+                <div>Running total: {p.running}</div>
+              </>
+            )}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          <div className="border rounded-2xl p-4">
+            <h3 className="font-medium mb-3 flex items-center gap-2"><PieChart className="w-4 h-4" /> Points by role</h3>
+            <div className="flex h-3 rounded-full overflow-hidden bg-slate-100 mb-3">
+              {ROLES.map(([role]) => (
+                <div key={role} className={ROLE_STYLES[role]} style={{ width: pct(Math.max(0, roles[role].points), earned) }} />
+              ))}
+            </div>
+            <table className="w-full text-sm">
+              <tbody>
+                {ROLES.map(([role, label]) => (
+                  <tr key={role} className="border-b">
+                    <td className="p-2">
+                      <span className="flex items-center gap-2">
+                        <span className={classNames("w-3 h-3 rounded-full", ROLE_STYLES[role])} /> {label}
+                      </span>
+                    </td>
+                    <td className="p-2 text-right font-semibold">{roles[role].points}</td>
+                    <td className="p-2 text-right text-slate-500">{roles[role].wins}/{roles[role].rounds} won</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="border rounded-2xl p-4 space-y-4 text-sm">
+            <div>
+              <h3 className="font-medium mb-2 flex items-center gap-2"><Handshake className="w-4 h-4" /> Favorite partners</h3>
+              {partners.length === 0 ? (
+                <div className="text-slate-500">No teammates yet.</div>
+              ) : (
+                <ul className="space-y-1">
+                  {partners.map((p) => (
+                    <li key={p.id} className="flex items-center justify-between">
+                      <span>{nameOf(p.id)}</span>
+                      <span className="text-slate-500">{p.games} together · {pct(p.wins, p.games)} won</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div>
+              <h3 className="font-medium mb-2 flex items-center gap-2"><CalendarDays className="w-4 h-4" /> Sessions</h3>
+              {[["Best", bestSession], ["Worst", worstSession]].map(([label, s]) => s && (
+                <div key={label} className="flex items-center justify-between">
+                  <span>{label}: <button className="hover:underline" onClick={() => onOpenSession(s.session.id)}>{s.title}</button></span>
+                  <b className={s.total < 0 ? "text-rose-600" : "text-green-600"}>{s.total}</b>
+                </div>
+              ))}
+              {!bestSession && <div className="text-slate-500">No sessions yet.</div>}
+            </div>
+          </div>
+        </div>
+
+        <div className="border rounded-2xl p-4 mt-4">
+          <h3 className="font-medium mb-3 flex items-center gap-2"><History className="w-4 h-4" /> Round history</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b bg-slate-50">
+                  <th className="text-left p-2">Session</th>
+                  <th className="text-left p-2">Round</th>
+                  <th className="text-left p-2">Mode</th>
+                  <th className="text-left p-2">Role</th>
+                  <th className="text-left p-2">Host</th>
+                  <th className="text-left p-2">Bid / Opp.</th>
+                  <th className="text-left p-2">Result</th>
+                  <th className="text-right p-2">Points</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(({ session, round, role, won, points }) => (
+                  <tr key={round.id} className="border-b">
+                    <td className="p-2">
+                      <button className="hover:underline text-left" onClick={() => onOpenSession(session.id)}>{session.date}</button>
+                    </td>
+                    <td className="p-2">{round.round}</td>
+                    <td className="p-2">{round.mode}</td>
+                    <td className="p-2">{ROLES.find(([r]) => r === role)[1]}</td>
+                    <td className="p-2">{nameOf(round.host)}</td>
+                    <td className="p-2">{round.bid} / {round.opponentScore}</td>
+                    <td className={classNames("p-2", won ? "text-green-600" : "text-rose-600")}>{won ? "Won" : "Lost"}</td>
+                    <td className="p-2 text-right font-semibold">{Math.round(points)}</td>
+                  </tr>
+                ))}
+                {history.length === 0 && (
+                  <tr>
+                    <td colSpan={8} className="p-4 text-center text-slate-500">No rounds yet.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          {history.length > HISTORY_PAGE && (
+            <button className="mt-2 text-sm text-indigo-600 hover:underline" onClick={() => setShowAll(!showAll)}>
+              {showAll ? "Show fewer" : `Show all ${history.length} rounds`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
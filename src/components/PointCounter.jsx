@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { Undo2 } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { counterSummary, KITTY_MULTIPLIERS, POINT_CARDS } from "../lib/pointCounter.js";
+
+/**
+ * Tap-to-count opponent points during a hand. Every change reports the new
+ * total through onTotal so it lands in the round's opponent score.
+ */
+export default function PointCounter({ bid, onTotal }) {
+  const [events, setEvents] = useState([]);
+  const [multiplier, setMultiplier] = useState(KITTY_MULTIPLIERS[0]);
+  const [lastTrick, setLastTrick] = useState(false);
+  const [kittyMode, setKittyMode] = useState(false);
+
+  const summary = counterSummary(events, { multiplier, lastTrick });
+  const needed = bid - summary.total;
+
+  const apply = (nextEvents, opts = {}) => {
+    const next = { multiplier, lastTrick, ...opts };
+    setEvents(nextEvents);
+    if (opts.multiplier !== undefined) setMultiplier(opts.multiplier);
+    if (opts.lastTrick !== undefined) setLastTrick(opts.lastTrick);
+    onTotal(counterSummary(nextEvents, next).total);
+  };
+
+  return (
+    <div className="bg-slate-50 border rounded-2xl p-3 space-y-3 text-sm">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-2xl font-bold text-indigo-600">{summary.total}</div>
+          <div className="text-xs text-slate-500">
+            Trick {summary.trick} · captured {summary.captured}
+            {summary.kittyBonus > 0 && ` + kitty ${summary.kitty}×${multiplier}`}
+          </div>
+        </div>
+        <div className={classNames("text-right", needed > 0 ? "text-slate-700" : "text-rose-600")}>
+          <div className="text-lg font-semibold">{needed > 0 ? needed : "Broken"}</div>
+          <div className="text-xs text-slate-500">{needed > 0 ? "points needed to break the bid" : `reached the bid of ${bid}`}</div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.keys(POINT_CARDS).map((card) => (
+          <button
+            key={card}
+            onClick={() => apply([...events, { kind: "card", card, kitty: kittyMode }])}
+            className={classNames(
+              "w-14 py-2 rounded-xl border font-semibold",
+              kittyMode ? "bg-amber-50 border-amber-300 hover:bg-amber-100" : "bg-white hover:bg-slate-100"
+            )}
+          >
+            {card}
+          </button>
+        ))}
+        <button className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-100" onClick={() => apply([...events, { kind: "trick" }])}>
+          Next trick
+        </button>
+        <button
+          disabled={events.length === 0}
+          onClick={() => apply(events.slice(0, -1))}
+          title="Undo last tap"
+          className="p-2 rounded-xl border bg-white hover:bg-slate-100 disabled:text-slate-300 disabled:cursor-not-allowed"
+        >
+          <Undo2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-xs">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={kittyMode} onChange={(e) => setKittyMode(e.target.checked)} />
+          Tapping kitty cards ({summary.kitty} pts)
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={lastTrick} onChange={(e) => apply(events, { lastTrick: e.target.checked })} />
+          Opponents took the last trick
+        </label>
+        <label className="flex items-center gap-1">
+          Kitty ×
+          <select className="border rounded-lg px-1 py-0.5 bg-white" value={multiplier} onChange={(e) => apply(events, { multiplier: Number(e.target.value) })}>
+            {KITTY_MULTIPLIERS.map((m) => <option key={m} value={m}>{m}</option>)}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useMemo } from "react";
+import { Flame, Gem, Handshake, Medal, Shield, Sparkles, Trophy, User, Zap } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { BADGES, earnedLabel, RECORDS, unlocksByPlayer } from "../lib/achievements.js";
+
+/**
+ * Statistics-tab panel: records for the filtered rounds and each
+ * player's badges. Badges always come from the full history, so filtering
+ * never takes one away.
+ */
+
+const BADGE_ICONS = {
+  "hot-streak": Flame,
+  unstoppable: Zap,
+  "lone-wolf": User,
+  "solo-specialist": Trophy,
+  jackpot: Gem,
+  "low-baller": Sparkles,
+  "loyal-friend": Handshake,
+  "clean-sheet": Shield,
+};
+
+export function BadgeIcon({ badge, className }) {
+  const Icon = BADGE_ICONS[badge] ?? Medal;
+  return <Icon className={className} />;
+}
+
+export default function Records({ records, unlocks, players, nameOf }) {
+  const earned = useMemo(() => unlocksByPlayer(unlocks), [unlocks]);
+
+  return (
+    <div className="border rounded-2xl p-4 mt-6">
+      <h3 className="font-medium mb-3 flex items-center gap-2"><Medal className="w-4 h-4" /> Records &amp; Badges</h3>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        {RECORDS.map(({ id, label, unit }) => {
+          const record = records[id];
+          return (
+            <div key={id} className="bg-slate-50 border rounded-xl p-3 text-center">
+              <div className="text-xs text-slate-500">{label}</div>
+              {record ? (
+                <>
+                  <div className="text-lg font-bold text-indigo-600">{record.value}</div>
+                  <div className="text-xs text-slate-500">{unit}</div>
+                  <div className="text-sm font-medium mt-1">{nameOf(record.playerId)}</div>
+                  <div className="text-xs text-slate-400">{record.date} · Round {record.round}</div>
+                </>
+              ) : (
+                <div className="text-lg font-bold text-slate-300 mt-2">—</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <table className="w-full text-sm">
+        <tbody>
+          {players.map((id) => {
+            const mine = Object.fromEntries((earned[id] ?? []).map((u) => [u.badge, u]));
+            return (
+              <tr key={id} className="border-b">
+                <td className="p-2 font-medium whitespace-nowrap">{nameOf(id)}</td>
+                <td className="p-2">
+                  <div className="flex flex-wrap gap-1">
+                    {BADGES.map((badge) => {
+                      const unlock = mine[badge.id];
+                      return (
+                        <span
+                          key={badge.id}
+                          title={`${badge.description}${unlock ? ` — ${earnedLabel(unlock)}` : ""}`}
+                          className={classNames(
+                            "flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs",
+                            unlock ? "bg-amber-50 text-amber-800 border-amber-300" : "text-slate-300 border-slate-200"
+                          )}
+                        >
+                          <BadgeIcon badge={badge.id} className="w-3 h-3" /> {badge.name}
+                        </span>
+                      );
+                    })}
+                  </div>
+                </td>
+                <td className="p-2 text-right text-xs text-slate-500 whitespace-nowrap">
+                  {(earned[id] ?? []).length}/{BADGES.length}
+                </td>
+              </tr>
+            );
+          })}
+          {players.length === 0 && (
+            <tr>
+              <td className="p-4 text-center text-slate-500">No rounds yet.</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
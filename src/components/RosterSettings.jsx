@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { Users, GitMerge } from "lucide-react";
+import classNames from "../lib/classNames.js";
+
+/**
+ * Roster management: rename players everywhere, and merge two identities
+ * (e.g. "Alex" and "alex") across all past sessions. In a workspace only
+ * admins may rename players who have played, or merge anyone.
+ */
+
+function normalizedName(name) {
+  return name.trim().toLowerCase();
+}
+
+// Groups players whose names only differ by case/whitespace
+function likelyDuplicates(roster) {
+  const groups = new Map();
+  roster.forEach((p) => {
+    const key = normalizedName(p.name);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  });
+  return Array.from(groups.values()).filter((g) => g.length > 1);
+}
+
+export default function RosterSettings({ roster, roundCounts, canManage, onRename, onMerge }) {
+  const [fromId, setFromId] = useState("");
+  const [intoId, setIntoId] = useState("");
+  const nameOf = (id) => roster.find((p) => p.id === id)?.name ?? "";
+
+  const confirmMerge = (from, into) => {
+    const msg = `Merge "${nameOf(from)}" (${roundCounts[from] ?? 0} rounds) into "${nameOf(into)}"? This rewrites every past round and can't be undone.`;
+    if (!window.confirm(msg)) return;
+    onMerge(from, into);
+    setFromId("");
+    setIntoId("");
+  };
+
+  const canMerge = canManage && fromId && intoId && fromId !== intoId;
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-4 mt-6">
+      <h2 className="font-semibold mb-4 flex items-center gap-2"><Users className="w-4 h-4" /> Player Roster</h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="border rounded-2xl p-3">
+          <h3 className="font-medium mb-1">Players</h3>
+          <p className="text-xs text-slate-500 mb-3">Renaming here updates every session and round.</p>
+          <ul className="space-y-2">
+            {roster.map((p) => (
+              <li key={p.id} className="flex items-center gap-2">
+                <input
+                  className="flex-1 border rounded-xl px-3 py-1 text-sm read-only:bg-slate-50 read-only:text-slate-500"
+                  value={p.name}
+                  readOnly={!canManage && (roundCounts[p.id] ?? 0) > 0}
+                  onChange={(e) => onRename(p.id, e.target.value)}
+                />
+                <span className="text-xs text-slate-500 w-20 text-right">{roundCounts[p.id] ?? 0} rounds</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="border rounded-2xl p-3 space-y-3">
+          <h3 className="font-medium flex items-center gap-2"><GitMerge className="w-4 h-4" /> Merge players</h3>
+          {!canManage && <p className="text-xs text-slate-500">Only workspace admins can merge players.</p>}
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <select className="border rounded-xl px-3 py-2" value={fromId} onChange={(e) => setFromId(e.target.value)}>
+              <option value="">Merge…</option>
+              {roster.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <span>into</span>
+            <select className="border rounded-xl px-3 py-2" value={intoId} onChange={(e) => setIntoId(e.target.value)}>
+              <option value="">Keep…</option>
+              {roster.filter((p) => p.id !== fromId).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <button
+              disabled={!canMerge}
+              onClick={() => confirmMerge(fromId, intoId)}
+              className={classNames(
+                "px-4 py-2 rounded-2xl text-white font-medium shadow",
+                canMerge ? "bg-indigo-600 hover:bg-indigo-700" : "bg-slate-400 cursor-not-allowed"
+              )}
+            >
+              Merge
+            </button>
+          </div>
+
+          {likelyDuplicates(roster).length > 0 && (
+            <div>
+              <div className="text-xs font-medium text-slate-600 mb-1">Possible duplicates</div>
+              <ul className="space-y-1 text-sm">
+                {likelyDuplicates(roster).map((group) => (
+                  <li key={group[0].id} className="flex items-center justify-between bg-amber-50 border border-amber-200 rounded-xl px-3 py-1">
+                    <span>{group.map((p) => `"${p.name}"`).join(" / ")}</span>
+                    <button
+                      disabled={!canManage}
+                      className="text-xs px-2 py-1 rounded-full border bg-white hover:bg-slate-50 disabled:text-slate-300 disabled:cursor-not-allowed"
+                      onClick={() => confirmMerge(group[1].id, group[0].id)}
+                    >
+                      Merge
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import { Save, X } from "lucide-react";
+import { friendsAllowed as friendsForTable, levelPassLine, modeLabel, withDefaults } from "../lib/scoring.js";
+import { friendsFromCalls } from "../lib/calls.js";
+import classNames from "../lib/classNames.js";
+import CallsEditor from "./CallsEditor.jsx";
+
+/**
+ * Inline editor for one recorded round (Details tab). Players stay fixed;
+ * everything that feeds the score can change and is rescored on save. As on
+ * the New Round form, once cards are recorded the friends are their holders.
+ */
+export default function RoundEditor({ round, nameOf, onSave, onCancel }) {
+  const rules = withDefaults(round.rules);
+  const [mode, setMode] = useState(round.mode);
+  const [host, setHost] = useState(round.host);
+  const [pickedFriends, setFriends] = useState(round.friends);
+  const [calls, setCalls] = useState(round.calls ?? []);
+  const [bid, setBid] = useState(round.bid);
+  const [opponentScore, setOpponentScore] = useState(round.opponentScore);
+
+  const allowed = friendsForTable(rules, mode, round.players.length);
+  const friends = calls.length ? friendsFromCalls(calls, host) : pickedFriends;
+  const valid =
+    friends.length <= allowed &&
+    (bid >= 80 || bid === rules.noBidValue) &&
+    opponentScore >= 0 &&
+    opponentScore <= rules.total;
+
+  const toggleFriend = (id) => {
+    if (id === host || allowed === 0 || calls.length > 0) return;
+    setFriends((prev) => {
+      const next = prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id];
+      return next.slice(0, allowed);
+    });
+  };
+
+  return (
+    <div className="bg-slate-50 border rounded-2xl p-3 space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <label className="text-xs font-medium">
+          Mode
+          <select
+            className="mt-1 w-full border rounded-xl px-3 py-2 text-sm bg-white"
+            value={mode}
+            onChange={(e) => {
+              setMode(e.target.value);
+              setFriends([]);
+              setCalls([]);
+              if (e.target.value === "1v5") setBid(rules.soloBid);
+              if (e.target.value === "Levels") setBid(levelPassLine(rules));
+            }}
+          >
+            <option value="Normal">Normal</option>
+            <option value="1v5">{modeLabel("1v5", round.players.length)}</option>
+            <option value="Levels">{modeLabel("Levels")}</option>
+          </select>
+        </label>
+        <label className="text-xs font-medium">
+          Host
+          <select
+            className="mt-1 w-full border rounded-xl px-3 py-2 text-sm bg-white"
+            value={host}
+            onChange={(e) => {
+              setHost(e.target.value);
+              setFriends((prev) => prev.filter((id) => id !== e.target.value));
+            }}
+          >
+            {round.players.map((id) => (
+              <option key={id} value={id}>{nameOf(id)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs font-medium">
+          Bid
+          <input
+            type="number"
+            step={5}
+            disabled={mode !== "Normal"}
+            className="mt-1 w-full border rounded-xl px-3 py-2 text-sm"
+            value={bid}
+            onChange={(e) => setBid(parseInt(e.target.value || "0", 10))}
+          />
+        </label>
+        <label className="text-xs font-medium">
+          Opponent Score
+          <input
+            type="number"
+            min={0}
+            max={rules.total}
+            className="mt-1 w-full border rounded-xl px-3 py-2 text-sm"
+            value={opponentScore}
+            onChange={(e) => setOpponentScore(parseInt(e.target.value || "0", 10))}
+          />
+        </label>
+      </div>
+
+      <div>
+        <div className="text-xs font-medium mb-1">Friends ({friends.length}/{allowed})</div>
+        <div className="flex flex-wrap gap-2">
+          {round.players.map((id) => (
+            <button
+              key={id}
+              disabled={id === host || allowed === 0 || calls.length > 0}
+              onClick={() => toggleFriend(id)}
+              className={classNames(
+                "px-3 py-1 rounded-xl border text-sm",
+                id === host || allowed === 0
+                  ? "bg-slate-50 text-slate-400 cursor-not-allowed"
+                  : friends.includes(id)
+                  ? "bg-emerald-50 border-emerald-300"
+                  : calls.length > 0
+                  ? "bg-white text-slate-400 cursor-not-allowed"
+                  : "bg-white hover:bg-slate-50"
+              )}
+            >
+              {nameOf(id)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {allowed > 0 && (
+        <div>
+          <div className="text-xs font-medium mb-1">
+            Called cards{calls.length > 0 && <span className="font-normal text-slate-500"> · friends come from who held them</span>}
+          </div>
+          <CallsEditor calls={calls} players={round.players} hostId={host} maxCalls={allowed} nameOf={nameOf} onChange={setCalls} />
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          disabled={!valid}
+          onClick={() => onSave({ mode, host, friends, bid, opponentScore, ...(round.calls || calls.length ? { calls } : {}) })}
+          className={classNames(
+            "flex items-center gap-2 px-4 py-2 rounded-2xl text-white text-sm font-medium shadow",
+            valid ? "bg-indigo-600 hover:bg-indigo-700" : "bg-slate-400 cursor-not-allowed"
+          )}
+        >
+          <Save className="w-4 h-4" /> Save & Rescore
+        </button>
+        <button onClick={onCancel} className="flex items-center gap-1 px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50 text-sm">
+          <X className="w-4 h-4" /> Cancel
+        </button>
+        <span className="text-xs text-slate-500">Scored with {rules.name} rules.</span>
+      </div>
+    </div>
+  );
+}
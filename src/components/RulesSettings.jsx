@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { Settings, Save, Trash2, Copy } from "lucide-react";
+import { validateRules } from "../lib/scoring.js";
+import classNames from "../lib/classNames.js";
+
+/**
+ * Settings tab: pick the rule set for the current session, and create/edit
+ * custom rule sets. Presets are read-only; "Duplicate" makes an editable copy.
+ */
+
+const NUMBER_FIELDS = [
+  { key: "total", label: "Total points" },
+  { key: "opponentMultiplier", label: "Opponent multiplier", step: 0.1 },
+  { key: "noBidValue", label: "No-bid value" },
+  { key: "soloBid", label: "1v5 bid" },
+  { key: "soloWinPayout", label: "1v5 host win payout" },
+  { key: "soloOpponentMultiplier", label: "1v5 opponent multiplier", step: 0.1 },
+  { key: "levelStep", label: "Level-up score step" },
+];
+
+function toPercent(x) {
+  return Math.round(x * 1000) / 10;
+}
+
+export default function RulesSettings({ ruleSets, customIds, selectedId, sessionLabel, onSelect, onSave, onDelete }) {
+  const [draft, setDraft] = useState(null);
+  const problems = draft ? validateRules(draft) : [];
+
+  const startFrom = (base) => {
+    setDraft({
+      ...base,
+      id: `custom-${Date.now()}`,
+      name: `${base.name} (copy)`,
+      teamShares: { ...base.teamShares },
+      friendCounts: { ...base.friendCounts },
+    });
+  };
+
+  const setShare = (friendCount, i, percent) => {
+    setDraft((d) => {
+      const shares = [...d.teamShares[friendCount]];
+      shares[i] = (parseFloat(percent) || 0) / 100;
+      return { ...d, teamShares: { ...d.teamShares, [friendCount]: shares } };
+    });
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-4">
+      <h2 className="font-semibold mb-4 flex items-center gap-2"><Settings className="w-4 h-4" /> Scoring Rules</h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="border rounded-2xl p-3">
+          <h3 className="font-medium mb-1">Rule set for {sessionLabel}</h3>
+          <p className="text-xs text-slate-500 mb-3">New rounds in this session are scored with the selected rules. Past rounds keep the rules they were scored under.</p>
+          <ul className="space-y-2">
+            {ruleSets.map((r) => (
+              <li key={r.id} className="flex items-center gap-2">
+                <label className="flex-1 flex items-center gap-2 text-sm cursor-pointer">
+                  <input type="radio" name="ruleSet" checked={r.id === selectedId} onChange={() => onSelect(r.id)} />
+                  <span className="font-medium">{r.name}</span>
+                  <span className="text-xs text-slate-500">
+                    {r.total} pts · ×{r.opponentMultiplier} · 1v5 +{r.soloWinPayout}
+                  </span>
+                </label>
+                <button className="p-1 rounded-lg border hover:bg-slate-50" title="Duplicate" onClick={() => startFrom(r)}>
+                  <Copy className="w-4 h-4" />
+                </button>
+                {customIds.includes(r.id) && (
+                  <>
+                    <button className="px-2 py-1 rounded-lg border text-xs hover:bg-slate-50" onClick={() => setDraft(r)}>
+                      Edit
+                    </button>
+                    <button className="p-1 rounded-lg border hover:bg-rose-50" title="Delete" onClick={() => onDelete(r.id)}>
+                      <Trash2 className="w-4 h-4 text-rose-600" />
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="border rounded-2xl p-3">
+          {!draft ? (
+            <div className="text-sm text-slate-500">Duplicate a rule set to define your house variant.</div>
+          ) : (
+            <div className="space-y-3">
+              <div>
+                <label className="text-sm font-medium">Name</label>
+                <input
+                  className="mt-1 w-full border rounded-xl px-3 py-2"
+                  value={draft.name}
+                  onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                {NUMBER_FIELDS.map((f) => (
+                  <div key={f.key}>
+                    <label className="text-xs font-medium">{f.label}</label>
+                    <input
+                      type="number"
+                      step={f.step ?? 1}
+                      className="mt-1 w-full border rounded-xl px-3 py-2 text-sm"
+                      value={draft[f.key]}
+                      onChange={(e) => setDraft((d) => ({ ...d, [f.key]: parseFloat(e.target.value) }))}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Host team splits (%)</div>
+                {Object.entries(draft.teamShares).map(([k, shares]) => (
+                  <div key={k} className="flex items-center gap-2 mb-1 text-sm">
+                    <span className="w-24 text-xs text-slate-600">{k} friend{k === "1" ? "" : "s"}</span>
+                    {shares.map((share, i) => (
+                      <input
+                        key={i}
+                        type="number"
+                        title={i === 0 ? "Host" : `Friend ${i}`}
+                        className="w-20 border rounded-lg px-2 py-1"
+                        value={toPercent(share)}
+                        onChange={(e) => setShare(k, i, e.target.value)}
+                      />
+                    ))}
+                  </div>
+                ))}
+                <p className="text-xs text-slate-500">First box is the host, then each friend.</p>
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Friends called by table size</div>
+                <div className="flex flex-wrap gap-2">
+                  {Object.entries(draft.friendCounts).map(([n, k]) => (
+                    <label key={n} className="flex items-center gap-1 text-xs text-slate-600">
+                      {n}p
+                      <input
+                        type="number"
+                        min={0}
+                        className="w-14 border rounded-lg px-2 py-1 text-sm"
+                        value={k}
+                        onChange={(e) =>
+                          setDraft((d) => ({
+                            ...d,
+                            friendCounts: { ...d.friendCounts, [n]: parseInt(e.target.value || "0", 10) },
+                          }))
+                        }
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+              {problems.length > 0 && (
+                <ul className="text-xs text-rose-600 list-disc pl-4">
+                  {problems.map((p) => <li key={p}>{p}</li>)}
+                </ul>
+              )}
+              <div className="flex gap-2">
+                <button
+                  disabled={problems.length > 0}
+                  onClick={() => {
+                    onSave(draft);
+                    setDraft(null);
+                  }}
+                  className={classNames(
+                    "flex items-center gap-2 px-4 py-2 rounded-2xl text-white font-medium shadow",
+                    problems.length > 0 ? "bg-slate-400 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-700"
+                  )}
+                >
+                  <Save className="w-4 h-4" /> Save rule set
+                </button>
+                <button className="px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50" onClick={() => setDraft(null)}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
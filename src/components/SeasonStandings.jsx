@@ -0,0 +1,209 @@
+import React, { useState } from "react";
+import { CalendarRange, Lock, LockOpen, Plus, RefreshCw, Trash2 } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import {
+  newSeasonId,
+  reopenSeason,
+  SEASON_RANKINGS,
+  seasonStandings,
+  seasonStatus,
+  suggestSeason,
+  validateSeason,
+} from "../lib/seasons.js";
+
+/**
+ * Season picker and league table for the Past Games tab, plus the form for a
+ * new season. Seasons close themselves once their end date has passed (see
+ * the Tracker); closing early or reopening is done here.
+ */
+
+const STATUS_STYLES = {
+  upcoming: "bg-slate-100 text-slate-600",
+  active: "bg-emerald-100 text-emerald-700",
+  ended: "bg-amber-100 text-amber-700",
+  closed: "bg-slate-200 text-slate-700",
+};
+
+export default function SeasonStandings({ seasons, gameData, nameOf, onAdd, onUpdate, onClose, onReopen, onDelete }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+
+  const ordered = [...seasons].sort((a, b) => b.start.localeCompare(a.start));
+  const season = ordered.find((s) => s.id === selectedId) ?? ordered.find((s) => seasonStatus(s) === "active") ?? ordered[0];
+
+  const submit = () => {
+    const next = { ...draft, id: newSeasonId(), name: draft.name.trim(), minSessions: Number(draft.minSessions) || 0 };
+    const invalid = validateSeason(next, seasons);
+    if (invalid) return setError(invalid);
+    onAdd(next);
+    setSelectedId(next.id);
+    setDraft(null);
+    setError("");
+  };
+
+  const field = (key) => ({ value: draft[key], onChange: (e) => setDraft((d) => ({ ...d, [key]: e.target.value })) });
+
+  const standings = season ? seasonStandings(gameData, season) : null;
+  const status = season && seasonStatus(season);
+
+  return (
+    <div className="border rounded-2xl p-3 mt-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-medium flex items-center gap-2"><CalendarRange className="w-4 h-4" /> Seasons</h3>
+        <div className="flex flex-wrap items-center gap-1 text-xs">
+          {ordered.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => setSelectedId(s.id)}
+              className={classNames(
+                "px-2 py-1 rounded-full border",
+                season?.id === s.id ? "bg-indigo-600 text-white border-indigo-600" : "hover:bg-slate-50"
+              )}
+            >
+              {s.name}
+            </button>
+          ))}
+          <button
+            onClick={() => setDraft(draft ? null : suggestSeason())}
+            className="flex items-center gap-1 px-2 py-1 rounded-full border hover:bg-slate-50"
+          >
+            <Plus className="w-3 h-3" /> New season
+          </button>
+        </div>
+      </div>
+
+      {draft && (
+        <div className="bg-slate-50 border rounded-xl p-3 mb-3 text-sm space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <input className="border rounded-lg px-2 py-1 flex-1 min-w-[8rem]" placeholder="Season name (e.g. Fall 2026)" {...field("name")} />
+            <label className="flex items-center gap-1 text-xs text-slate-600">
+              From <input type="date" className="border rounded-lg px-2 py-1" {...field("start")} />
+            </label>
+            <label className="flex items-center gap-1 text-xs text-slate-600">
+              To <input type="date" className="border rounded-lg px-2 py-1" {...field("end")} />
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+            <label className="flex items-center gap-1">
+              Ranked by
+              <select className="border rounded-lg px-2 py-1 bg-white" {...field("rankBy")}>
+                {SEASON_RANKINGS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              Ranked after
+              <input type="number" min={0} className="w-14 border rounded-lg px-2 py-1" {...field("minSessions")} />
+              sessions
+            </label>
+            <button className="ml-auto px-3 py-1 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white" onClick={submit}>
+              Add season
+            </button>
+          </div>
+          {error && <div className="text-xs text-rose-600">{error}</div>}
+        </div>
+      )}
+
+      {!season ? (
+        <div className="text-sm text-slate-500 p-4 text-center">
+          No seasons yet. Add one to get standings that start from zero, e.g. every three months.
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600 mb-2">
+            <span className={classNames("px-2 py-0.5 rounded-full font-medium", STATUS_STYLES[status])}>{status}</span>
+            <span>{season.start} → {season.end}</span>
+            <span>· {standings.sessions} sessions, {standings.rounds} rounds</span>
+            {!season.closedAt && (
+              <>
+                <label className="flex items-center gap-1">
+                  · ranked by
+                  <select
+                    className="border rounded-lg px-1 py-0.5 bg-white"
+                    value={season.rankBy}
+                    onChange={(e) => onUpdate({ ...season, rankBy: e.target.value })}
+                  >
+                    {SEASON_RANKINGS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">
+                  after
+                  <input
+                    type="number"
+                    min={0}
+                    className="w-12 border rounded-lg px-1 py-0.5"
+                    value={season.minSessions}
+                    onChange={(e) => onUpdate({ ...season, minSessions: Math.max(0, Number(e.target.value) || 0) })}
+                  />
+                  sessions
+                </label>
+              </>
+            )}
+            <div className="ml-auto flex gap-1">
+              {season.closedAt ? (
+                // A season past its end date closes again straight away, with fresh numbers
+                seasonStatus(reopenSeason(season)) === "ended" ? (
+                  <button className="flex items-center gap-1 px-2 py-1 rounded-lg border hover:bg-slate-50" onClick={() => onReopen(season)} title="Recompute the archived podium from the rounds as they are now">
+                    <RefreshCw className="w-3 h-3" /> Update archive
+                  </button>
+                ) : (
+                  <button className="flex items-center gap-1 px-2 py-1 rounded-lg border hover:bg-slate-50" onClick={() => onReopen(season)} title="Reopen and drop the archived podium">
+                    <LockOpen className="w-3 h-3" /> Reopen
+                  </button>
+                )
+              ) : (
+                status !== "upcoming" && (
+                  <button className="flex items-center gap-1 px-2 py-1 rounded-lg border hover:bg-slate-50" onClick={() => onClose(season)} title="End the season today and archive its podium">
+                    <Lock className="w-3 h-3" /> Close now
+                  </button>
+                )
+              )}
+              <button
+                className="p-1 rounded-lg border text-rose-600 hover:bg-rose-50"
+                onClick={() => window.confirm(`Delete the season ${season.name}? Rounds aren't affected.`) && onDelete(season)}
+                title="Delete season"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b bg-slate-50">
+                <th className="text-left p-2">#</th>
+                <th className="text-left p-2">Player</th>
+                <th className="text-right p-2">Points</th>
+                <th className="text-right p-2">Avg / Round</th>
+                <th className="text-right p-2">Rounds</th>
+                <th className="text-right p-2">Sessions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.rows.map((p, i) => (
+                <tr key={p.id} className={classNames("border-b", !p.eligible && "text-slate-400")}>
+                  <td className="p-2">{p.eligible ? i + 1 : "—"}</td>
+                  <td className="p-2 font-medium">{nameOf(p.id)}</td>
+                  <td className={classNames("p-2 text-right", season.rankBy === "points" && "font-semibold")}>{p.points}</td>
+                  <td className={classNames("p-2 text-right", season.rankBy === "average" && "font-semibold")}>{p.average}</td>
+                  <td className="p-2 text-right">{p.rounds}</td>
+                  <td className="p-2 text-right">{p.sessions}</td>
+                </tr>
+              ))}
+              {standings.rows.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="p-4 text-center text-slate-500">No rounds in this season yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          {standings.rows.some((p) => !p.eligible) && (
+            <div className="text-xs text-slate-500 mt-2">
+              Greyed-out players need {season.minSessions} sessions to be ranked.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { CalendarPlus, Lock, MapPin } from "lucide-react";
+import { dateInputToLabel, labelToDateInput, sessionTitle, todayLabel } from "../lib/sessions.js";
+
+/**
+ * Session picker shown above the players editor: switch sessions, name the
+ * current one, and start a new session for any date (e.g. last night's game).
+ */
+
+function timeInputNow() {
+  const d = new Date();
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+export default function SessionBar({ session, sessions, locked, onSelect, onCreate, onUpdate, onUnlock }) {
+  const [creating, setCreating] = useState(false);
+  const [date, setDate] = useState(() => labelToDateInput(todayLabel()));
+  const [time, setTime] = useState(timeInputNow);
+  const [label, setLabel] = useState("");
+
+  const submit = () => {
+    if (!date) return;
+    const [y, m, d] = date.split("-").map(Number);
+    const [hh, mm] = (time || "00:00").split(":").map(Number);
+    onCreate({
+      date: dateInputToLabel(date),
+      label: label.trim(),
+      startedAt: new Date(y, m - 1, d, hh, mm).toISOString(),
+    });
+    setCreating(false);
+    setLabel("");
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          className="border rounded-xl px-3 py-2 text-sm"
+          value={session.id}
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          {sessions.map((s) => (
+            <option key={s.id} value={s.id}>{sessionTitle(s)}</option>
+          ))}
+        </select>
+        <div className="flex items-center gap-2 bg-slate-50 border rounded-xl px-3 py-2 flex-1 min-w-[10rem]">
+          <MapPin className="w-4 h-4 text-slate-500" />
+          <input
+            className="bg-transparent outline-none flex-1 text-sm"
+            placeholder="Label or location (e.g. Lunch, Bob's place)"
+            value={session.label}
+            onChange={(e) => onUpdate({ label: e.target.value })}
+          />
+        </div>
+        {locked && (
+          <button
+            className="flex items-center gap-1 px-3 py-2 rounded-xl border text-sm text-rose-600 hover:bg-rose-50"
+            onClick={onUnlock}
+            title="Past sessions are locked; unlock to add rounds"
+          >
+            <Lock className="w-4 h-4" /> Unlock
+          </button>
+        )}
+        <button
+          className="flex items-center gap-1 px-3 py-2 rounded-xl border text-sm hover:bg-slate-50"
+          onClick={() => setCreating((c) => !c)}
+        >
+          <CalendarPlus className="w-4 h-4" /> New session
+        </button>
+      </div>
+
+      {creating && (
+        <div className="mt-3 flex flex-wrap items-end gap-2 bg-slate-50 border rounded-2xl p-3">
+          <label className="text-xs font-medium">
+            Date
+            <input type="date" className="mt-1 block border rounded-xl px-3 py-2 text-sm" value={date} onChange={(e) => setDate(e.target.value)} />
+          </label>
+          <label className="text-xs font-medium">
+            Start time
+            <input type="time" className="mt-1 block border rounded-xl px-3 py-2 text-sm" value={time} onChange={(e) => setTime(e.target.value)} />
+          </label>
+          <label className="text-xs font-medium flex-1 min-w-[10rem]">
+            Label / location
+            <input
+              className="mt-1 block w-full border rounded-xl px-3 py-2 text-sm"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+            />
+          </label>
+          <button
+            disabled={!date}
+            onClick={submit}
+            className="px-4 py-2 rounded-2xl text-white text-sm font-medium shadow bg-indigo-600 hover:bg-indigo-700 disabled:bg-slate-400"
+          >
+            Create
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
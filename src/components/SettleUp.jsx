@@ -0,0 +1,172 @@
+import React from "react";
+import { ArrowRight, Check, RotateCcw, Wallet } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { sessionTitle } from "../lib/sessions.js";
+import {
+  carriedBalances,
+  formatMoney,
+  minimalTransfers,
+  netBalances,
+  outstandingBalances,
+  SETTLE_BASES,
+  sessionTotals,
+  settlementOf,
+} from "../lib/settle.js";
+
+/**
+ * Settle Up panel for the session on the Details tab: who pays whom at the
+ * chosen rate, marking transfers as paid, and what's still open from other
+ * sessions. Changing anything here starts tracking the session's balance.
+ */
+
+function moneyClass(cents) {
+  return cents > 0 ? "text-green-600" : cents < 0 ? "text-rose-600" : "text-slate-400";
+}
+
+export default function SettleUp({ session, sessions, nameOf, onChange, onOpenSession }) {
+  const settlement = settlementOf(session);
+  const set = (changes) => onChange({ ...settlement, ...changes });
+
+  const totals = sessionTotals(session);
+  const net = netBalances(session, settlement);
+  const outstanding = outstandingBalances(session, settlement);
+  const transfers = minimalTransfers(outstanding);
+  const carried = carriedBalances(sessions, session.id);
+  const ids = [...new Set([...Object.keys(totals), ...Object.keys(carried.balances)])].sort(
+    (a, b) => (totals[b] ?? 0) - (totals[a] ?? 0)
+  );
+
+  const markPaid = (t) => set({ paid: [...settlement.paid, { ...t, at: new Date().toISOString() }] });
+
+  const pill = (active) =>
+    classNames("px-2 py-1 rounded-full border", active ? "bg-indigo-600 text-white border-indigo-600" : "hover:bg-slate-50");
+
+  return (
+    <div className="border rounded-2xl p-4 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-medium flex items-center gap-2"><Wallet className="w-4 h-4" /> Settle Up</h3>
+        <div className="flex flex-wrap items-center gap-3 text-xs text-slate-600">
+          <label className="flex items-center gap-1">
+            $
+            <input
+              type="number"
+              min={0}
+              step={0.01}
+              className="w-20 border rounded-lg px-2 py-1"
+              value={settlement.rate}
+              onChange={(e) => set({ rate: Math.max(0, Number(e.target.value) || 0) })}
+            />
+            per point
+          </label>
+          <div className="flex gap-1">
+            {SETTLE_BASES.map(([basis, label]) => (
+              <button key={basis} className={pill(settlement.basis === basis)} onClick={() => set({ basis })}>
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        {settlement.basis === "zero-sum"
+          ? "Every pair of players settles the difference between their points."
+          : "Players above the table average get paid by those below it."}
+      </p>
+
+      {ids.length === 0 ? (
+        <div className="text-sm text-slate-500 p-4 text-center">No rounds to settle yet.</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b bg-slate-50">
+                <th className="text-left p-2">Player</th>
+                <th className="text-right p-2">Points</th>
+                <th className="text-right p-2">Session</th>
+                <th className="text-right p-2">Still open</th>
+                <th className="text-right p-2">Earlier</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ids.map((id) => (
+                <tr key={id} className="border-b">
+                  <td className="p-2 font-medium">{nameOf(id)}</td>
+                  <td className="p-2 text-right">{Math.round(totals[id] ?? 0)}</td>
+                  <td className={classNames("p-2 text-right", moneyClass(net[id] ?? 0))}>{formatMoney(net[id] ?? 0)}</td>
+                  <td className={classNames("p-2 text-right font-semibold", moneyClass(outstanding[id] ?? 0))}>
+                    {formatMoney(outstanding[id] ?? 0)}
+                  </td>
+                  <td className={classNames("p-2 text-right", moneyClass(carried.balances[id] ?? 0))}>
+                    {formatMoney(carried.balances[id] ?? 0)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="text-sm space-y-3">
+            <div>
+              <div className="font-medium mb-1">Transfers</div>
+              {transfers.length === 0 ? (
+                <div className="text-slate-500">All square.</div>
+              ) : (
+                <ul className="space-y-1">
+                  {transfers.map((t) => (
+                    <li key={`${t.from}>${t.to}`} className="flex items-center justify-between gap-2 border rounded-lg px-2 py-1">
+                      <span className="flex items-center gap-1">
+                        {nameOf(t.from)} <ArrowRight className="w-3 h-3 text-slate-400" /> {nameOf(t.to)}
+                        <b className="ml-1">{formatMoney(t.amount)}</b>
+                      </span>
+                      <button
+                        className="flex items-center gap-1 px-2 py-0.5 rounded-lg border text-xs hover:bg-slate-50"
+                        onClick={() => markPaid(t)}
+                      >
+                        <Check className="w-3 h-3" /> Paid
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {settlement.paid.length > 0 && (
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium">Paid</span>
+                  <button
+                    className="p-1 rounded-lg border hover:bg-slate-50"
+                    title="Undo the last payment"
+                    onClick={() => set({ paid: settlement.paid.slice(0, -1) })}
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                  </button>
+                </div>
+                <ul className="space-y-0.5 text-xs text-slate-500">
+                  {settlement.paid.map((p, i) => (
+                    <li key={i}>
+                      {nameOf(p.from)} paid {nameOf(p.to)} {formatMoney(p.amount)} · {new Date(p.at).toLocaleDateString()}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {carried.sessions.length > 0 && (
+              <div>
+                <div className="font-medium mb-1">Still open from other sessions</div>
+                <ul className="space-y-0.5 text-xs">
+                  {carried.sessions.map(({ session: s, owed }) => (
+                    <li key={s.id} className="flex items-center justify-between">
+                      <button className="hover:underline text-left" onClick={() => onOpenSession(s.id)}>{sessionTitle(s)}</button>
+                      <span className="text-rose-600">{formatMoney(owed)} unpaid</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
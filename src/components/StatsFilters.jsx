@@ -0,0 +1,99 @@
+import React from "react";
+import { Filter, RotateCcw } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { DEFAULT_STATS_FILTERS, isFiltered, STATS_MODES } from "../lib/stats.js";
+
+/**
+ * Filter bar for the Statistics tab: session scope, date range, mode, players
+ * who all have to be at the table, and the minimums behind Best Host / Best
+ * Friend. Everything below it works on the filtered rounds.
+ */
+export default function StatsFilters({ filters, onChange, players, nameOf, sessionLabel, shownRounds, totalRounds }) {
+  const set = (changes) => onChange({ ...filters, ...changes });
+  const togglePlayer = (id) =>
+    set({ players: filters.players.includes(id) ? filters.players.filter((p) => p !== id) : [...filters.players, id] });
+
+  const pill = (active) =>
+    classNames("px-2 py-1 rounded-full border", active ? "bg-indigo-600 text-white border-indigo-600" : "hover:bg-slate-50");
+
+  return (
+    <div className="border rounded-2xl p-4 mb-6 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="font-medium flex items-center gap-2"><Filter className="w-4 h-4" /> Filters</h3>
+        <div className="flex items-center gap-2 text-xs text-slate-500">
+          <span>
+            {isFiltered(filters) ? `Showing ${shownRounds} of ${totalRounds} rounds` : `All ${totalRounds} rounds`}
+          </span>
+          <button
+            disabled={!isFiltered(filters)}
+            onClick={() => onChange({ ...DEFAULT_STATS_FILTERS, minHosted: filters.minHosted, minFriendGames: filters.minFriendGames })}
+            title="Clear filters"
+            className="p-1 rounded-lg border hover:bg-slate-50 disabled:text-slate-300 disabled:cursor-not-allowed"
+          >
+            <RotateCcw className="w-3 h-3" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex gap-1 text-xs">
+          <button className={pill(filters.scope === "all")} onClick={() => set({ scope: "all" })}>All time</button>
+          <button className={pill(filters.scope === "session")} onClick={() => set({ scope: "session" })} title={sessionLabel}>
+            This session
+          </button>
+        </div>
+        <label className="flex items-center gap-1 text-xs text-slate-600">
+          From
+          <input type="date" className="border rounded-lg px-2 py-1" value={filters.from} onChange={(e) => set({ from: e.target.value })} />
+        </label>
+        <label className="flex items-center gap-1 text-xs text-slate-600">
+          To
+          <input type="date" className="border rounded-lg px-2 py-1" value={filters.to} onChange={(e) => set({ to: e.target.value })} />
+        </label>
+        <div className="flex gap-1 text-xs">
+          {STATS_MODES.map(([mode, label]) => (
+            <button key={mode} className={pill(filters.mode === mode)} onClick={() => set({ mode })}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="text-xs text-slate-600 mb-1">Only rounds where all of these played</div>
+        <div className="flex flex-wrap gap-1 text-xs">
+          {players.map((id) => (
+            <button key={id} className={pill(filters.players.includes(id))} onClick={() => togglePlayer(id)}>
+              {nameOf(id)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-xs text-slate-600">
+        <label className="flex items-center gap-1">
+          Best Host needs
+          <input
+            type="number"
+            min={1}
+            className="w-14 border rounded-lg px-2 py-1"
+            value={filters.minHosted}
+            onChange={(e) => set({ minHosted: Math.max(1, Number(e.target.value) || 1) })}
+          />
+          hosted rounds
+        </label>
+        <label className="flex items-center gap-1">
+          Best Friend needs
+          <input
+            type="number"
+            min={1}
+            className="w-14 border rounded-lg px-2 py-1"
+            value={filters.minFriendGames}
+            onChange={(e) => set({ minFriendGames: Math.max(1, Number(e.target.value) || 1) })}
+          />
+          rounds as a friend
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import { Copy, LogOut, ShieldCheck, UsersRound } from "lucide-react";
+import { fetchWorkspace, removeMember, setMemberRole } from "../lib/cloudSync.js";
+import { joinLink } from "../lib/workspaces.js";
+
+/**
+ * The active workspace: its join code and link, who's in it, and (for admins)
+ * who else is an admin. Refreshes this device's role from the server, since
+ * another admin may have changed it.
+ */
+export default function WorkspaceSettings({ membership, pending = 0, onRefresh, onLeave }) {
+  const [members, setMembers] = useState([]);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+  const token = membership?.token;
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    fetchWorkspace(token)
+      .then(({ workspace, member, members: list }) => {
+        if (cancelled) return;
+        setMembers(list);
+        setError("");
+        onRefresh({ name: workspace.name, code: workspace.code, role: member.role });
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [token, onRefresh]);
+
+  if (!membership) {
+    return (
+      <section className="bg-white rounded-2xl shadow-sm border p-4 mt-6">
+        <h2 className="font-semibold mb-2 flex items-center gap-2"><UsersRound className="w-4 h-4" /> Workspace</h2>
+        <p className="text-sm text-slate-600">
+          Games are kept on this device only. Create or join a workspace from the header to share them with your group.
+        </p>
+      </section>
+    );
+  }
+
+  const admin = membership.role === "admin";
+
+  const copyLink = async () => {
+    await navigator.clipboard?.writeText(joinLink(membership.code));
+    setCopied(true);
+  };
+
+  const changeRole = async (member, role) => {
+    try {
+      const updated = await setMemberRole(token, member.id, role);
+      setMembers((prev) => prev.map((m) => (m.id === updated.id ? updated : m)));
+      if (updated.id === membership.memberId) onRefresh({ role: updated.role });
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = async (member) => {
+    const self = member.id === membership.memberId;
+    const unsent = pending
+      ? ` ${pending} ${pending === 1 ? "round is" : "rounds are"} still waiting to sync; this device tries once more, then discards any the server hasn't taken.`
+      : "";
+    const msg = self
+      ? `Leave ${membership.name}? This device will stop syncing with it.${unsent}`
+      : `Remove ${member.name} from ${membership.name}?`;
+    if (!window.confirm(msg)) return;
+    try {
+      // Leaving flushes and clears the outbox first, then removes this member
+      if (self) await onLeave();
+      else {
+        await removeMember(token, member.id);
+        setMembers((prev) => prev.filter((m) => m.id !== member.id));
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-4 mt-6">
+      <h2 className="font-semibold mb-4 flex items-center gap-2"><UsersRound className="w-4 h-4" /> Workspace: {membership.name}</h2>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm mb-4">
+        <div className="bg-slate-50 border rounded-xl px-3 py-2">
+          Join code <span className="font-mono font-semibold tracking-widest ml-1">{membership.code}</span>
+        </div>
+        <button className="flex items-center gap-1 px-3 py-2 rounded-2xl border bg-white hover:bg-slate-50" onClick={copyLink}>
+          <Copy className="w-4 h-4" /> {copied ? "Link copied" : "Copy join link"}
+        </button>
+        <span className="text-xs text-slate-500">
+          You are {membership.memberName} ({membership.role}).
+          {!admin && " Only admins can delete rounds or rename players."}
+        </span>
+      </div>
+
+      {error && <div className="text-xs text-rose-600 mb-2">{error}</div>}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b bg-slate-50">
+            <th className="text-left p-2">Member</th>
+            <th className="text-left p-2">Role</th>
+            <th className="text-left p-2">Joined</th>
+            <th className="p-2" />
+          </tr>
+        </thead>
+        <tbody>
+          {members.map((m) => (
+            <tr key={m.id} className="border-b">
+              <td className="p-2 font-medium">
+                {m.name}
+                {m.id === membership.memberId && <span className="text-xs text-slate-500"> (this device)</span>}
+              </td>
+              <td className="p-2">
+                <span className="flex items-center gap-1">
+                  {m.role === "admin" && <ShieldCheck className="w-4 h-4 text-indigo-600" />}
+                  {m.role}
+                </span>
+              </td>
+              <td className="p-2 text-slate-500">{new Date(m.joinedAt).toLocaleDateString()}</td>
+              <td className="p-2">
+                <div className="flex items-center gap-1 justify-end">
+                  {admin && (
+                    <button
+                      className="text-xs px-2 py-1 rounded-full border bg-white hover:bg-slate-50"
+                      onClick={() => changeRole(m, m.role === "admin" ? "member" : "admin")}
+                    >
+                      {m.role === "admin" ? "Make member" : "Make admin"}
+                    </button>
+                  )}
+                  {(admin || m.id === membership.memberId) && (
+                    <button
+                      className="p-1 rounded-lg border hover:bg-rose-50"
+                      title={m.id === membership.memberId ? "Leave workspace" : "Remove member"}
+                      onClick={() => remove(m)}
+                    >
+                      <LogOut className="w-4 h-4 text-rose-600" />
+                    </button>
+                  )}
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import { UsersRound } from "lucide-react";
+import classNames from "../lib/classNames.js";
+import { createWorkspace, joinWorkspace } from "../lib/cloudSync.js";
+
+/**
+ * Header control for picking the workspace the tracker syncs with, plus a
+ * small panel to create a workspace or join one by code. A ?join= link opens
+ * the panel with the code filled in.
+ */
+
+const LOCAL = "";
+const ADD = "__add__";
+
+export default function WorkspaceSwitcher({ workspaces, joinCode, onSwitch, onJoined }) {
+  const [open, setOpen] = useState(Boolean(joinCode));
+  const [mode, setMode] = useState(joinCode ? "join" : "create");
+  const [name, setName] = useState("");
+  const [code, setCode] = useState(joinCode);
+  const [memberName, setMemberName] = useState("");
+  const [copyGames, setCopyGames] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const onSelect = (value) => {
+    if (value === ADD) setOpen(true);
+    else onSwitch(value || null);
+  };
+
+  const submit = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const result = mode === "create"
+        ? await createWorkspace({ name: name.trim(), memberName: memberName.trim() })
+        : await joinWorkspace({ code: code.trim(), memberName: memberName.trim() });
+      onJoined(result, { copyGames: mode === "create" && copyGames });
+      setOpen(false);
+      setName("");
+      setCode("");
+    } catch (err) {
+      setError(err.offline ? "Workspaces need the cloud functions; they aren't reachable right now." : err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const ready = memberName.trim() && (mode === "create" ? name.trim() : code.trim());
+
+  return (
+    <div className="relative">
+      <div className="flex items-center gap-2 px-3 py-2 rounded-2xl border bg-white/80 text-sm shadow-sm">
+        <UsersRound className="w-4 h-4 text-slate-500" />
+        <select
+          className="bg-transparent outline-none max-w-[10rem]"
+          title="Workspace"
+          value={workspaces.activeId ?? LOCAL}
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          <option value={LOCAL}>This device only</option>
+          {workspaces.list.map((w) => (
+            <option key={w.id} value={w.id}>{w.name}</option>
+          ))}
+          <option value={ADD}>+ Create or join…</option>
+        </select>
+      </div>
+
+      {open && (
+        <div className="absolute right-0 mt-2 z-20 w-80 bg-white border rounded-2xl shadow-lg p-4 space-y-3 text-sm">
+          <div className="flex gap-1">
+            {["create", "join"].map((m) => (
+              <button
+                key={m}
+                onClick={() => setMode(m)}
+                className={classNames(
+                  "px-2 py-1 rounded-full border text-xs",
+                  mode === m ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-slate-50"
+                )}
+              >
+                {m === "create" ? "Create workspace" : "Join with code"}
+              </button>
+            ))}
+          </div>
+
+          {mode === "create" ? (
+            <label className="block text-xs font-medium">
+              Workspace name
+              <input
+                className="mt-1 block w-full border rounded-xl px-3 py-2 text-sm"
+                placeholder="e.g. Tuesday lunch table"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </label>
+          ) : (
+            <label className="block text-xs font-medium">
+              Join code
+              <input
+                className="mt-1 block w-full border rounded-xl px-3 py-2 text-sm uppercase tracking-widest"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </label>
+          )}
+          <label className="block text-xs font-medium">
+            Your name
+            <input
+              className="mt-1 block w-full border rounded-xl px-3 py-2 text-sm"
+              value={memberName}
+              onChange={(e) => setMemberName(e.target.value)}
+            />
+          </label>
+          {mode === "create" && (
+            <label className="flex items-center gap-2 text-xs">
+              <input type="checkbox" checked={copyGames} onChange={(e) => setCopyGames(e.target.checked)} />
+              Start it with the games on this device
+            </label>
+          )}
+          {error && <div className="text-xs text-rose-600">{error}</div>}
+
+          <div className="flex justify-end gap-2">
+            <button className="px-3 py-2 rounded-2xl border hover:bg-slate-50" onClick={() => setOpen(false)}>
+              Cancel
+            </button>
+            <button
+              disabled={!ready || busy}
+              onClick={submit}
+              className="px-4 py-2 rounded-2xl text-white font-medium shadow bg-indigo-600 hover:bg-indigo-700 disabled:bg-slate-400"
+            >
+              {mode === "create" ? "Create" : "Join"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
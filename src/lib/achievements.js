@@ -0,0 +1,129 @@
+/**
+ * Records and achievements, replayed from round history oldest first.
+ * - Records are all-time bests with who set them and when; a tie keeps the
+ *   first player to reach it
+ * - Badges unlock once per player, at the round that earned them:
+ *   { badge, playerId, sessionId, date, roundId, round }
+ * - Streaks count the rounds a player hosted (or was a friend in), so rounds
+ *   on the other side don't break them; Level-up rounds are skipped
+ */
+
+import { isHostWin } from "./scoring.js";
+import { sortSessions } from "./sessions.js";
+
+export const BADGES = [
+  { id: "hot-streak", name: "Hot Streak", description: "Won 3 hosted rounds in a row" },
+  { id: "unstoppable", name: "Unstoppable", description: "Won 5 hosted rounds in a row" },
+  { id: "lone-wolf", name: "Lone Wolf", description: "Won a 1vN round" },
+  { id: "solo-specialist", name: "Solo Specialist", description: "Won 3 1vN rounds" },
+  { id: "jackpot", name: "Jackpot", description: "Scored 300 or more in one round" },
+  { id: "low-baller", name: "Low Baller", description: "Won a Normal round on a bid of 100 or less" },
+  { id: "loyal-friend", name: "Loyal Friend", description: "Won 5 rounds in a row as a friend" },
+  { id: "clean-sheet", name: "Clean Sheet", description: "Hosted a win with the opponents on 0 points" },
+];
+
+const HOT_STREAK = 3;
+const UNSTOPPABLE = 5;
+const SOLO_SPECIALIST = 3;
+const JACKPOT = 300;
+const LOW_BID = 100;
+const LOYAL_FRIEND = 5;
+
+export const RECORDS = [
+  { id: "hostStreak", label: "Longest host win streak", unit: "wins in a row" },
+  { id: "payout", label: "Biggest single-round payout", unit: "points" },
+  { id: "soloWins", label: "Most 1vN wins", unit: "wins" },
+  { id: "lowestBid", label: "Lowest winning bid", unit: "bid" },
+  { id: "friendStreak", label: "Never lost as friend", unit: "wins in a row" },
+];
+
+/** Rounds oldest first as [{ session, round }]. */
+function history(gameData) {
+  return sortSessions(Object.values(gameData))
+    .reverse()
+    .flatMap((session) => session.rounds.map((round) => ({ session, round })));
+}
+
+/** { records: { [recordId]: { playerId, value, sessionId, date, round } | null }, unlocks } */
+export function achievements(gameData) {
+  const records = Object.fromEntries(RECORDS.map((r) => [r.id, null]));
+  const unlocks = [];
+  const unlocked = new Set();
+  const players = {};
+  const stateFor = (id) => {
+    if (!players[id]) players[id] = { hostStreak: 0, friendStreak: 0, soloWins: 0 };
+    return players[id];
+  };
+
+  history(gameData).forEach(({ session, round }) => {
+    if (round.mode === "Levels") return;
+    const at = { sessionId: session.id, date: session.date, roundId: round.id, round: round.round };
+    const unlock = (badge, playerId) => {
+      const key = `${badge}:${playerId}`;
+      if (unlocked.has(key)) return;
+      unlocked.add(key);
+      unlocks.push({ badge, playerId, ...at });
+    };
+    // Lower is better for lowestBid; everything else is higher
+    const offer = (id, playerId, value) => {
+      const best = records[id];
+      const better = !best || (id === "lowestBid" ? value < best.value : value > best.value);
+      if (better) records[id] = { playerId, value, sessionId: at.sessionId, date: at.date, round: at.round };
+    };
+
+    const won = isHostWin(round.winner);
+    const host = stateFor(round.host);
+    host.hostStreak = won ? host.hostStreak + 1 : 0;
+    offer("hostStreak", round.host, host.hostStreak);
+    if (host.hostStreak >= HOT_STREAK) unlock("hot-streak", round.host);
+    if (host.hostStreak >= UNSTOPPABLE) unlock("unstoppable", round.host);
+
+    if (round.mode === "1v5" && won) {
+      host.soloWins += 1;
+      offer("soloWins", round.host, host.soloWins);
+      unlock("lone-wolf", round.host);
+      if (host.soloWins >= SOLO_SPECIALIST) unlock("solo-specialist", round.host);
+    }
+
+    if (round.mode === "Normal" && won) {
+      offer("lowestBid", round.host, round.bid);
+      if (round.bid <= LOW_BID) unlock("low-baller", round.host);
+    }
+    if (won && round.opponentScore === 0) unlock("clean-sheet", round.host);
+
+    round.friends.forEach((id) => {
+      const friend = stateFor(id);
+      friend.friendStreak = won ? friend.friendStreak + 1 : 0;
+      offer("friendStreak", id, friend.friendStreak);
+      if (friend.friendStreak >= LOYAL_FRIEND) unlock("loyal-friend", id);
+    });
+
+    Object.entries(round.scores).forEach(([id, pts]) => {
+      if (pts <= 0) return;
+      offer("payout", id, Math.round(pts));
+      if (pts >= JACKPOT) unlock("jackpot", id);
+    });
+  });
+
+  // A streak of 0 or a payout nobody earned isn't a record
+  Object.keys(records).forEach((id) => {
+    if (records[id] && records[id].value === 0 && id !== "lowestBid") records[id] = null;
+  });
+  return { records, unlocks };
+}
+
+/** { [playerId]: unlocks } in the order they were earned. */
+export function unlocksByPlayer(unlocks) {
+  return unlocks.reduce((acc, u) => {
+    (acc[u.playerId] = acc[u.playerId] ?? []).push(u);
+    return acc;
+  }, {});
+}
+
+export function badgeById(id) {
+  return BADGES.find((b) => b.id === id);
+}
+
+export function earnedLabel(unlock) {
+  return `Earned ${unlock.date} · Round ${unlock.round}`;
+}
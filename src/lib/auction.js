@@ -0,0 +1,67 @@
+/**
+ * Auction log for a round: round.auction = [{ player, bid }] in the order
+ * called, with bid null for a pass.
+ * - Bids count down from START_BID in steps of 5 to MIN_BID; each bid has to
+ *   undercut the best so far
+ * - The last player to bid wins the auction and hosts; if everyone passed
+ *   the round is played at the rule set's no-bid value
+ */
+
+import { BID_STEP, MAX_BID, MIN_BID } from "./bids.js";
+import { sessionTitle } from "./sessions.js";
+
+export function bestBid(entries) {
+  const bids = entries.filter((e) => e.bid !== null);
+  return bids.length ? bids[bids.length - 1] : null;
+}
+
+/** The next bid a player may call, or null once the auction has hit the minimum. */
+export function nextBid(entries) {
+  const best = bestBid(entries);
+  if (!best) return MAX_BID;
+  return best.bid - BID_STEP >= MIN_BID ? best.bid - BID_STEP : null;
+}
+
+export function isValidBid(entries, bid) {
+  const best = bestBid(entries);
+  return bid >= MIN_BID && bid <= MAX_BID && bid % BID_STEP === 0 && (!best || bid < best.bid);
+}
+
+/** { host, bid } decided by the auction; host is null when everyone passed. */
+export function auctionResult(entries, rules) {
+  const best = bestBid(entries);
+  return best ? { host: best.player, bid: best.bid } : { host: null, bid: rules.noBidValue };
+}
+
+/**
+ * { rounds, firstBidderHosted, firstBidderRounds, contested } over every round
+ * with a recorded auction; contested is [{ id, title, bids, bidders, finalBid, host }],
+ * busiest first.
+ */
+export function auctionStats(gameData, limit = 5) {
+  const logged = Object.values(gameData).flatMap((s) =>
+    s.rounds.filter((r) => r.auction?.length).map((round) => ({ session: s, round }))
+  );
+  let firstBidderHosted = 0;
+  let firstBidderRounds = 0;
+  logged.forEach(({ round }) => {
+    const first = round.auction.find((e) => e.bid !== null);
+    if (!first) return;
+    firstBidderRounds += 1;
+    if (first.player === round.host) firstBidderHosted += 1;
+  });
+
+  const contested = logged
+    .map(({ session, round }) => ({
+      id: round.id,
+      title: `${sessionTitle(session)} · Round ${round.round}`,
+      bids: round.auction.filter((e) => e.bid !== null).length,
+      bidders: new Set(round.auction.filter((e) => e.bid !== null).map((e) => e.player)).size,
+      finalBid: round.bid,
+      host: round.host,
+    }))
+    .sort((a, b) => b.bids - a.bids || b.bidders - a.bidders)
+    .slice(0, limit);
+
+  return { rounds: logged.length, firstBidderHosted, firstBidderRounds, contested };
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { auctionResult, auctionStats, isValidBid, nextBid } from "./auction.js";
+import { STANDARD_RULES } from "./scoring.js";
+
+describe("auction", () => {
+  const log = [
+    { player: "a", bid: 150 },
+    { player: "b", bid: null },
+    { player: "c", bid: 135 },
+    { player: "a", bid: null },
+  ];
+
+  it("makes the last bidder the host at their bid", () => {
+    expect(auctionResult(log, STANDARD_RULES)).toEqual({ host: "c", bid: 135 });
+  });
+
+  it("plays at the no-bid value with no host when everyone passes", () => {
+    const passes = [{ player: "a", bid: null }, { player: "b", bid: null }];
+    expect(auctionResult(passes, STANDARD_RULES)).toEqual({ host: null, bid: STANDARD_RULES.noBidValue });
+  });
+
+  it("only takes bids that undercut the best one in steps", () => {
+    expect(nextBid([])).toBe(150);
+    expect(nextBid(log)).toBe(130);
+    expect(isValidBid(log, 130)).toBe(true);
+    expect(isValidBid(log, 135)).toBe(false);
+    expect(isValidBid(log, 132)).toBe(false);
+    expect(isValidBid(log, 75)).toBe(false);
+    expect(nextBid([{ player: "a", bid: 80 }])).toBeNull();
+  });
+});
+
+describe("auctionStats", () => {
+  const round = (id, auction, host) => ({ id, round: Number(id.slice(1)), host, bid: 120, auction });
+  const gameData = {
+    s1: {
+      id: "s1",
+      date: "Thu Jan 01 2026",
+      rounds: [
+        round("r1", [{ player: "a", bid: 150 }, { player: "b", bid: 140 }, { player: "a", bid: 130 }], "a"),
+        round("r2", [{ player: "b", bid: 150 }, { player: "c", bid: 145 }], "c"),
+        round("r3", [{ player: "a", bid: null }, { player: "b", bid: null }], "a"),
+        round("r4", [], "b"),
+      ],
+    },
+  };
+
+  it("counts rounds with a log and how often the first bidder hosted", () => {
+    const stats = auctionStats(gameData);
+    expect(stats.rounds).toBe(3);
+    expect(stats.firstBidderRounds).toBe(2);
+    expect(stats.firstBidderHosted).toBe(1);
+  });
+
+  it("lists the busiest auctions first", () => {
+    const { contested } = auctionStats(gameData, 2);
+    expect(contested.map((c) => [c.id, c.bids, c.bidders])).toEqual([
+      ["r1", 3, 2],
+      ["r2", 2, 2],
+    ]);
+  });
+});
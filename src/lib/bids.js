@@ -0,0 +1,88 @@
+/**
+ * Bid analytics over Normal-mode rounds (1vN rounds have a fixed bid).
+ * - Buckets: 80–150 in steps of 5, plus the rule set's no-bid value
+ * - Margin is bid − opponent score, so positive means the host team made it
+ * - Lower bids are harder to make; a host whose average bid sits well below
+ *   the table's is "Aggressive", well above is "Conservative"
+ */
+
+import { isHostWin, STANDARD_RULES } from "./scoring.js";
+
+export const MIN_BID = 80;
+export const MAX_BID = 150;
+export const BID_STEP = 5;
+const STYLE_THRESHOLD = 5;
+const MIN_PROFILE_ROUNDS = 3;
+
+function emptyBucket(key, label) {
+  return { key, label, rounds: 0, hostWins: 0, marginSum: 0, hostPointsSum: 0 };
+}
+
+function finish(b) {
+  return {
+    ...b,
+    winRate: b.rounds ? b.hostWins / b.rounds : 0,
+    avgMargin: b.rounds ? b.marginSum / b.rounds : 0,
+    avgHostPoints: b.rounds ? b.hostPointsSum / b.rounds : 0,
+  };
+}
+
+function isNoBid(round) {
+  return round.bid === (round.rules?.noBidValue ?? STANDARD_RULES.noBidValue);
+}
+
+function bucketKey(round) {
+  if (isNoBid(round)) return "none";
+  const clamped = Math.min(MAX_BID, Math.max(MIN_BID, round.bid));
+  return String(Math.floor(clamped / BID_STEP) * BID_STEP);
+}
+
+export function computeBidStats(gameData) {
+  const buckets = new Map();
+  for (let b = MIN_BID; b <= MAX_BID; b += BID_STEP) buckets.set(String(b), emptyBucket(String(b), String(b)));
+  buckets.set("none", emptyBucket("none", "No bids"));
+  const hosts = {};
+  let bidSum = 0;
+  let bidCount = 0;
+
+  Object.values(gameData).forEach((session) =>
+    session.rounds
+      .filter((r) => r.mode === "Normal")
+      .forEach((round) => {
+        const won = isHostWin(round.winner);
+        const margin = round.bid - round.opponentScore;
+        const hostPoints = round.scores[round.host] ?? 0;
+        if (!hosts[round.host]) hosts[round.host] = { ...emptyBucket(round.host, ""), bidSum: 0, bids: 0, noBids: 0 };
+        [buckets.get(bucketKey(round)), hosts[round.host]].forEach((b) => {
+          b.rounds += 1;
+          if (won) b.hostWins += 1;
+          b.marginSum += margin;
+          b.hostPointsSum += hostPoints;
+        });
+        if (isNoBid(round)) {
+          hosts[round.host].noBids += 1;
+        } else {
+          hosts[round.host].bidSum += round.bid;
+          hosts[round.host].bids += 1;
+          bidSum += round.bid;
+          bidCount += 1;
+        }
+      })
+  );
+
+  const tableAvgBid = bidCount ? bidSum / bidCount : null;
+  const profiles = Object.values(hosts)
+    .map((h) => {
+      const avgBid = h.bids ? h.bidSum / h.bids : null;
+      let style = "—";
+      if (avgBid !== null && tableAvgBid !== null && h.bids >= MIN_PROFILE_ROUNDS) {
+        if (avgBid <= tableAvgBid - STYLE_THRESHOLD) style = "Aggressive";
+        else if (avgBid >= tableAvgBid + STYLE_THRESHOLD) style = "Conservative";
+        else style = "Balanced";
+      }
+      return { ...finish(h), id: h.key, avgBid, style };
+    })
+    .sort((a, b) => b.rounds - a.rounds);
+
+  return { buckets: Array.from(buckets.values()).map(finish), profiles, tableAvgBid };
+}
@@ -0,0 +1,79 @@
+/**
+ * Called friend cards.
+ * - round.calls: [{ card: { nth, rank, suit }, holder, trick }]
+ *   holder is a player id, HOLDER_HOST when the card turned up in the host's
+ *   own hand, or HOLDER_NONE when nobody revealed; trick is when it was played
+ * - Friends are whoever held a called card, other than the host
+ */
+
+export const CARD_RANKS = ["A", "K", "Q", "J", "10", "9", "8", "7", "6", "5", "4", "3", "2", "Big Joker", "Small Joker"];
+export const SUITS = ["♠", "♥", "♣", "♦"];
+export const HOLDER_HOST = "host";
+export const HOLDER_NONE = "none";
+export const ORDINALS = ["1st", "2nd", "3rd", "4th"];
+
+export function isJoker(rank) {
+  return rank.endsWith("Joker");
+}
+
+export function emptyCall() {
+  return { card: { nth: 1, rank: "A", suit: "♥" }, holder: HOLDER_NONE, trick: null };
+}
+
+/** "2nd A♥" — the copy number is what makes a call unambiguous with several decks. */
+export function cardLabel(card, { withNth = true } = {}) {
+  const face = isJoker(card.rank) ? card.rank : `${card.rank}${card.suit}`;
+  return withNth ? `${ORDINALS[card.nth - 1] ?? `${card.nth}th`} ${face}` : face;
+}
+
+export function friendsFromCalls(calls, hostId) {
+  const ids = calls.map((c) => c.holder).filter((h) => h && h !== HOLDER_HOST && h !== HOLDER_NONE && h !== hostId);
+  return [...new Set(ids)];
+}
+
+/**
+ * { totalCalls, cards: [{ label, count }], neverRevealed, withHost,
+ *   avgTrick, byPlayer: [{ id, reveals, avgTrick }] } over every round with calls.
+ */
+export function callStats(gameData) {
+  const cards = new Map();
+  const players = {};
+  let totalCalls = 0;
+  let neverRevealed = 0;
+  let withHost = 0;
+  let trickSum = 0;
+  let trickCount = 0;
+
+  Object.values(gameData).forEach((session) =>
+    session.rounds.forEach((round) =>
+      (round.calls ?? []).forEach((call) => {
+        totalCalls += 1;
+        const label = cardLabel(call.card, { withNth: false });
+        cards.set(label, (cards.get(label) ?? 0) + 1);
+        if (call.holder === HOLDER_NONE) neverRevealed += 1;
+        else if (call.holder === HOLDER_HOST || call.holder === round.host) withHost += 1;
+        else {
+          if (!players[call.holder]) players[call.holder] = { id: call.holder, reveals: 0, trickSum: 0, trickCount: 0 };
+          players[call.holder].reveals += 1;
+          if (Number.isFinite(call.trick)) {
+            players[call.holder].trickSum += call.trick;
+            players[call.holder].trickCount += 1;
+            trickSum += call.trick;
+            trickCount += 1;
+          }
+        }
+      })
+    )
+  );
+
+  return {
+    totalCalls,
+    cards: Array.from(cards, ([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count),
+    neverRevealed,
+    withHost,
+    avgTrick: trickCount ? trickSum / trickCount : null,
+    byPlayer: Object.values(players)
+      .map((p) => ({ id: p.id, reveals: p.reveals, avgTrick: p.trickCount ? p.trickSum / p.trickCount : null }))
+      .sort((a, b) => (a.avgTrick ?? Infinity) - (b.avgTrick ?? Infinity)),
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Chart data. Turns sessions into series for LineChart:
+ * - sessionSeries: cumulative score per player, one point per round
+ * - playerSeries: a player's session total and per-round average, one point per session
+ * Each point is { x, y, ...detail } where detail feeds the hover tooltip.
+ */
+
+import { sessionTitle, sortSessions } from "./sessions.js";
+
+export const SERIES_COLORS = ["#4f46e5", "#16a34a", "#e11d48", "#d97706", "#0891b2", "#9333ea", "#64748b", "#ca8a04"];
+
+export function sessionSeries(session) {
+  const ids = [...new Set([...session.players, ...session.rounds.flatMap((r) => r.players)])];
+  const totals = Object.fromEntries(ids.map((id) => [id, 0]));
+  const byPlayer = Object.fromEntries(ids.map((id) => [id, [{ x: 0, y: 0, round: null }]]));
+  session.rounds.forEach((round, i) => {
+    ids.forEach((id) => {
+      const pts = round.scores[id] ?? 0;
+      totals[id] += pts;
+      byPlayer[id].push({ x: i + 1, y: totals[id], round, points: pts, played: round.players.includes(id) });
+    });
+  });
+  return ids.map((id, i) => ({ id, color: SERIES_COLORS[i % SERIES_COLORS.length], points: byPlayer[id] }));
+}
+
+export function playerSeries(gameData, playerId) {
+  const played = sortSessions(Object.values(gameData))
+    .reverse()
+    .map((s) => {
+      const rounds = s.rounds.filter((r) => r.players.includes(playerId));
+      const total = rounds.reduce((sum, r) => sum + (r.scores[playerId] ?? 0), 0);
+      return { session: s, title: sessionTitle(s), rounds: rounds.length, total, average: rounds.length ? total / rounds.length : 0 };
+    })
+    .filter((s) => s.rounds > 0);
+  return [
+    { id: "total", label: "Session total", color: SERIES_COLORS[0], points: played.map((s, i) => ({ x: i, y: s.total, ...s })) },
+    { id: "average", label: "Average per round", color: SERIES_COLORS[1], points: played.map((s, i) => ({ x: i, y: s.average, ...s })) },
+  ];
+}
+
+/** Rounded tick values covering [min, max], always including 0. */
+export function niceTicks(min, max, count = 5) {
+  const lo = Math.min(0, min);
+  const hi = Math.max(0, max, lo + 1);
+  const raw = (hi - lo) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+  const top = Math.ceil(hi / step) * step;
+  const ticks = [];
+  for (let v = Math.floor(lo / step) * step; v <= top + step / 2; v += step) ticks.push(Math.round(v * 100) / 100);
+  return ticks;
+}
@@ -0,0 +1,3 @@
+export default function classNames(...arr) {
+  return arr.filter(Boolean).join(" ");
+}
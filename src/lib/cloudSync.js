@@ -0,0 +1,371 @@
+/**
+ * Cloud sync against the Netlify functions (saveGame / loadGames).
+ * - Every call is scoped to a workspace by its member token; without one the
+ *   tracker stays on this device only
+ * - saveRound upserts one round; the server answers 409 with its own copy
+ *   when it already holds a newer version of that round. Rounds waiting to
+ *   be sent sit in the IndexedDB outbox (lib/syncQueue.js)
+ * - Rounds carry player IDs; pushed copies also carry a `names` snapshot so
+ *   another device can add unknown players to its roster (adoptRemotePlayers),
+ *   and a `session` snapshot ({ id, date, label, startedAt }) so it can
+ *   recreate the session the round belongs to
+ * - Renames are pushed on their own (pushRenames) and pulled with the
+ *   server's roster; the later rename wins, and one still waiting to be
+ *   pushed is never overwritten. Only admins can rename on the server, so a
+ *   member's rename stays on their device
+ * - mergeRemoteRounds folds server rounds into local gameData by round id
+ *   and reports sessions where two devices' rounds had to be interleaved
+ * - Deleted rounds travel as tombstones (deletedAt set); whichever side
+ *   changed the round last wins, so a delete isn't undone by a stale copy.
+ *   Only workspace admins may delete a saved round: the server answers 403
+ *   with its copy, and dropTombstones lets that copy come back
+ */
+
+import { newPlayerId, playerName } from "./roster.js";
+import { legacySessionId } from "./sessions.js";
+
+const FUNCTIONS_BASE = "/.netlify/functions";
+
+export class SyncError extends Error {
+  constructor(message, { status, offline = false } = {}) {
+    super(message);
+    this.name = "SyncError";
+    this.status = status;
+    this.offline = offline;
+  }
+}
+
+async function request(path, { token, ...options } = {}) {
+  const headers = { ...options.headers };
+  if (options.body) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let res;
+  try {
+    res = await fetch(`${FUNCTIONS_BASE}/${path}`, { ...options, headers });
+  } catch (err) {
+    throw new SyncError(`Network error: ${err.message}`, { offline: true });
+  }
+  const body = await res.json().catch(() => ({}));
+  return { status: res.status, body };
+}
+
+/** The round as saveGame takes it, with its names and session snapshots. */
+export function roundPayload(round, { roster, session }) {
+  const names = Object.fromEntries(round.players.map((id) => [id, playerName(roster, id)]));
+  const meta = session && { id: session.id, date: session.date, label: session.label, startedAt: session.startedAt };
+  return { ...round, names, session: meta };
+}
+
+/**
+ * Sends a roundPayload. Returns { round, conflict, denied } where round is the
+ * server's copy; denied means the server refused a delete and kept its copy.
+ */
+export async function saveRound(payload, token) {
+  const { status, body } = await request("saveGame", {
+    method: "POST",
+    token,
+    body: JSON.stringify({ round: payload }),
+  });
+  if (status === 200) return { round: body.round, conflict: false, denied: false };
+  if (status === 409) return { round: body.round, conflict: true, denied: false };
+  if (status === 403 && body.round) return { round: body.round, conflict: false, denied: true };
+  throw new SyncError(body.error || `saveGame failed (${status})`, { status, offline: status === 404 });
+}
+
+/** { rounds, players } for the workspace; players are [{ id, name, updatedAt }]. */
+export async function fetchGames(token) {
+  const { status, body } = await request("loadGames", { token });
+  if (status !== 200) {
+    throw new SyncError(body.error || `loadGames failed (${status})`, { status, offline: status === 404 });
+  }
+  return { rounds: body.rounds ?? [], players: body.players ?? [] };
+}
+
+const isPendingPlayer = (p) => Boolean(p.updatedAt && !p.syncedAt);
+
+/** Renamed players the server hasn't heard about yet (blank names wait until they're filled in). */
+export function pendingPlayers(roster) {
+  return roster.filter((p) => isPendingPlayer(p) && p.name.trim());
+}
+
+/**
+ * Pushes renames from pendingPlayers. Returns { settled, denied }: settled is
+ * every player the server needn't hear about again, including the ones it
+ * refused because only admins may rename (also listed in denied) and ones it
+ * doesn't have yet, whose name goes up with their first round.
+ */
+export async function pushRenames(token, players) {
+  const settled = [];
+  const denied = [];
+  for (const player of players) {
+    const { status, body } = await request(`players/${encodeURIComponent(player.id)}`, {
+      method: "PUT",
+      token,
+      body: JSON.stringify({ player: { name: player.name.trim() } }),
+    });
+    if (status === 403) denied.push(player);
+    else if (status !== 200 && !(status === 404 && body.error)) {
+      throw new SyncError(body.error || `rename failed (${status})`, { status, offline: status === 404 });
+    }
+    settled.push(player);
+  }
+  return { settled, denied };
+}
+
+/** Marks pushed renames synced, unless the player was renamed again meanwhile. */
+export function markPlayersSynced(roster, players, syncedAt = new Date().toISOString()) {
+  const pushed = new Map(players.map((p) => [p.id, p.updatedAt]));
+  return roster.map((p) => (pushed.get(p.id) === p.updatedAt && isPendingPlayer(p) ? { ...p, syncedAt } : p));
+}
+
+// The server's name wins when it was set after ours and ours isn't waiting to be pushed
+function remoteRenameWins(mine, theirs) {
+  if (!mine || theirs.name === mine.name || isPendingPlayer(mine)) return false;
+  return (Date.parse(theirs.updatedAt) || 0) > (Date.parse(mine.updatedAt) || 0);
+}
+
+/** Roster with the renames from adoptRemotePlayers applied (re-checked against this roster). */
+export function applyRemoteRenames(roster, renamed) {
+  const remote = new Map(renamed.map((p) => [p.id, p]));
+  return roster.map((p) => {
+    const theirs = remote.get(p.id);
+    if (!theirs || !remoteRenameWins(p, theirs)) return p;
+    return { ...p, name: theirs.name, updatedAt: theirs.updatedAt, syncedAt: theirs.updatedAt };
+  });
+}
+
+/**
+ * Resolves player references in server rounds against the local roster.
+ * Unknown IDs are added using the round's `names` snapshot; rounds saved before
+ * player IDs existed reference names, which are matched exactly or added.
+ * remotePlayers is the server's roster; renamed lists its players whose name
+ * should replace ours. Returns { added, renamed, rounds } with rounds
+ * rewritten to local IDs.
+ */
+export function adoptRemotePlayers(roster, remoteRounds, remotePlayers = []) {
+  const known = new Map(roster.map((p) => [p.id, p]));
+  const byName = new Map(roster.map((p) => [p.name, p.id]));
+  const renamed = remotePlayers.filter((theirs) => remoteRenameWins(known.get(theirs.id), theirs));
+  const added = [];
+
+  const resolve = (ref, names) => {
+    if (known.has(ref)) return ref;
+    if (names?.[ref] != null) {
+      const player = { id: ref, name: names[ref] };
+      known.set(ref, player);
+      added.push(player);
+      return ref;
+    }
+    if (!byName.has(ref)) {
+      const player = { id: newPlayerId(), name: ref };
+      known.set(player.id, player);
+      byName.set(ref, player.id);
+      added.push(player);
+    }
+    return byName.get(ref);
+  };
+
+  const rounds = remoteRounds.map(({ names, ...r }) => ({
+    ...r,
+    players: r.players.map((ref) => resolve(ref, names)),
+    host: resolve(r.host, names),
+    friends: r.friends.map((ref) => resolve(ref, names)),
+    scores: Object.fromEntries(Object.entries(r.scores).map(([ref, pts]) => [resolve(ref, names), pts])),
+  }));
+  return { added, renamed, rounds };
+}
+
+function createdTime(r) {
+  const t = Date.parse(r.createdAt);
+  return Number.isNaN(t) ? Number(r.id) || 0 : t;
+}
+
+function isNewer(a, b) {
+  return (Date.parse(a.updatedAt) || 0) > (Date.parse(b.updatedAt) || 0);
+}
+
+function remoteSessionId(r) {
+  return r.sessionId ?? legacySessionId(r.date);
+}
+
+// Tombstones from the server: drop the live round unless it was edited after the delete
+function applyRemoteDelete(r, byId, tombs, syncedAt) {
+  const local = byId.get(r.id);
+  const tomb = tombs.get(r.id);
+  if (local && isNewer(local, r)) return false;
+  if (!local && tomb?.syncedAt && !isNewer(r, tomb)) return false;
+  byId.delete(r.id);
+  tombs.set(r.id, { ...r, syncedAt });
+  return true;
+}
+
+/**
+ * Returns { gameData, changed, conflicts }. conflicts lists the session ids
+ * where local round numbers shifted because another device recorded rounds
+ * in between.
+ */
+export function mergeRemoteRounds(gameData, remoteRounds, syncedAt = new Date().toISOString()) {
+  const bySession = new Map();
+  remoteRounds.forEach(({ session: meta, ...r }) => {
+    const id = remoteSessionId(r);
+    if (!bySession.has(id)) bySession.set(id, { meta, rounds: [] });
+    bySession.get(id).rounds.push({ ...r, sessionId: id });
+  });
+
+  const next = { ...gameData };
+  const conflicts = [];
+  let changed = false;
+
+  bySession.forEach(({ meta, rounds: remote }, id) => {
+    if (!next[id] && remote.every((r) => r.deletedAt)) return;
+    const session = next[id] ?? {
+      id,
+      date: remote[0].date,
+      label: meta?.label ?? "",
+      startedAt: meta?.startedAt ?? remote[0].createdAt ?? new Date(remote[0].date).toISOString(),
+      players: [...remote[0].players],
+      rounds: [],
+      deletedRounds: [],
+      currentRound: 1,
+    };
+    const byId = new Map(session.rounds.map((r) => [r.id, r]));
+    const tombs = new Map((session.deletedRounds ?? []).map((r) => [r.id, r]));
+    let sessionChanged = !next[id];
+    let inserted = false;
+
+    remote.forEach((r) => {
+      if (r.deletedAt) {
+        if (applyRemoteDelete(r, byId, tombs, syncedAt)) sessionChanged = true;
+        return;
+      }
+      const tomb = tombs.get(r.id);
+      if (tomb && !isNewer(r, tomb)) {
+        // Our delete is newer (or the same one); keep it, and pushing it will settle the server
+        return;
+      }
+      if (tomb) tombs.delete(r.id);
+      const local = byId.get(r.id);
+      if (!local || isNewer(r, local)) {
+        if (!local) inserted = true;
+        byId.set(r.id, { ...r, syncedAt });
+        sessionChanged = true;
+      } else if (!local.syncedAt && !isNewer(local, r)) {
+        byId.set(r.id, { ...local, syncedAt });
+        sessionChanged = true;
+      }
+    });
+    if (!sessionChanged) return;
+
+    const ordered = Array.from(byId.values()).sort((a, b) => createdTime(a) - createdTime(b));
+    let renumbered = false;
+    const rounds = ordered.map((r, i) => {
+      if (r.round !== i + 1 && session.rounds.some((l) => l.id === r.id)) renumbered = true;
+      return r.round === i + 1 ? r : { ...r, round: i + 1 };
+    });
+    if (renumbered && inserted) conflicts.push(id);
+
+    next[id] = { ...session, rounds, deletedRounds: Array.from(tombs.values()), currentRound: rounds.length + 1 };
+    changed = true;
+  });
+
+  return { gameData: changed ? next : gameData, changed, conflicts };
+}
+
+export function pendingRounds(gameData) {
+  return Object.values(gameData).flatMap((s) =>
+    [...s.rounds, ...(s.deletedRounds ?? [])].filter((r) => !r.syncedAt)
+  );
+}
+
+/** Forgets local deletes of the given rounds so the server's copies merge back in. */
+export function dropTombstones(gameData, ids) {
+  if (!ids.length) return gameData;
+  const drop = new Set(ids);
+  return Object.fromEntries(
+    Object.entries(gameData).map(([id, s]) => [
+      id,
+      s.deletedRounds?.some((r) => drop.has(r.id)) ? { ...s, deletedRounds: s.deletedRounds.filter((r) => !drop.has(r.id)) } : s,
+    ])
+  );
+}
+
+// Copying data into a workspace: every round has to be pushed there again
+export function markUnsynced(gameData) {
+  const strip = (r) => {
+    const { syncedAt: _syncedAt, ...rest } = r;
+    return rest;
+  };
+  return Object.fromEntries(
+    Object.entries(gameData).map(([id, s]) => [
+      id,
+      { ...s, rounds: s.rounds.map(strip), deletedRounds: (s.deletedRounds ?? []).map(strip) },
+    ])
+  );
+}
+
+// --- Workspaces ---
+
+// { workspace: { id, name, code }, member: { id, name, role }, token }
+async function membershipRequest(path, payload) {
+  const { status, body } = await request(path, { method: "POST", body: JSON.stringify(payload) });
+  if (status === 200 || status === 201) return body;
+  throw new SyncError(body.error || `${path} failed (${status})`, { status, offline: status === 404 && !body.error });
+}
+
+export function createWorkspace({ name, memberName }) {
+  return membershipRequest("workspaces", { name, memberName });
+}
+
+export function joinWorkspace({ code, memberName }) {
+  return membershipRequest("workspaces/join", { code, memberName });
+}
+
+/** { workspace, member, members } for the token's workspace. */
+export async function fetchWorkspace(token) {
+  const { status, body } = await request("workspaces/current", { token });
+  if (status !== 200) throw new SyncError(body.error || `workspace lookup failed (${status})`, { status });
+  return body;
+}
+
+export async function setMemberRole(token, memberId, role) {
+  const { status, body } = await request(`workspaces/members/${encodeURIComponent(memberId)}`, {
+    method: "PUT",
+    token,
+    body: JSON.stringify({ role }),
+  });
+  if (status !== 200) throw new SyncError(body.error || `role change failed (${status})`, { status });
+  return body.member;
+}
+
+export async function removeMember(token, memberId) {
+  const { status, body } = await request(`workspaces/members/${encodeURIComponent(memberId)}`, { method: "DELETE", token });
+  // Already gone (e.g. an admin removed us) counts as success
+  if (status !== 200 && status !== 401) throw new SyncError(body.error || `leaving failed (${status})`, { status });
+}
+
+// --- Live scoreboard ---
+
+/** Shares a session read-only; returns its live code. */
+export async function shareLiveSession(token, session) {
+  const { id, date, label, startedAt, players, rulesId } = session;
+  const { status, body } = await request("live", {
+    method: "POST",
+    token,
+    body: JSON.stringify({ session: { id, date, label, startedAt, players, rulesId } }),
+  });
+  if (status !== 200) throw new SyncError(body.error || `sharing failed (${status})`, { status, offline: status === 404 && !body.error });
+  return body.code;
+}
+
+export async function stopLiveSession(token, code) {
+  const { status, body } = await request(`live/${encodeURIComponent(code)}`, { method: "DELETE", token });
+  if (status !== 200 && status !== 404) throw new SyncError(body.error || `stop sharing failed (${status})`, { status });
+}
+
+/** { session, names, rounds, cursor }: rounds changed since the cursor, or all of them without one. */
+export async function fetchLive(code, since) {
+  const qs = since ? `?since=${encodeURIComponent(since)}` : "";
+  const { status, body } = await request(`live/${encodeURIComponent(code)}${qs}`);
+  if (status !== 200) throw new SyncError(body.error || `live scoreboard failed (${status})`, { status, offline: status === 404 && !body.error });
+  return body;
+}
@@ -0,0 +1,229 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  adoptRemotePlayers,
+  applyRemoteRenames,
+  dropTombstones,
+  markPlayersSynced,
+  mergeRemoteRounds,
+  pendingPlayers,
+  pendingRounds,
+  pushRenames,
+} from "./cloudSync.js";
+import { renamePlayer } from "./roster.js";
+
+const SYNCED = "2026-01-02T00:00:00.000Z";
+const at = (minute) => `2026-01-01T20:${String(minute).padStart(2, "0")}:00.000Z`;
+
+function round(id, n, extra = {}) {
+  return {
+    id,
+    round: n,
+    mode: "Normal",
+    players: ["a", "b", "c", "d"],
+    host: "a",
+    friends: ["b"],
+    bid: 120,
+    opponentScore: 50,
+    scores: { a: 263, b: 87, c: 0, d: 0 },
+    date: "Thu Jan 01 2026",
+    sessionId: "s1",
+    createdAt: at(n),
+    updatedAt: at(n),
+    ...extra,
+  };
+}
+
+function local(rounds, deletedRounds = []) {
+  return {
+    s1: {
+      id: "s1",
+      date: "Thu Jan 01 2026",
+      label: "",
+      players: ["a", "b", "c", "d"],
+      rounds,
+      deletedRounds,
+      currentRound: rounds.length + 1,
+    },
+  };
+}
+
+const merge = (gameData, remote) => mergeRemoteRounds(gameData, remote, SYNCED);
+
+describe("mergeRemoteRounds", () => {
+  it("keeps whichever copy of a round was changed last", () => {
+    const mine = round("r1", 1, { updatedAt: at(30), opponentScore: 60 });
+    const stale = merge(local([mine]), [round("r1", 1)]);
+    expect(stale.gameData.s1.rounds[0].opponentScore).toBe(60);
+
+    const theirs = round("r1", 1, { updatedAt: at(40), opponentScore: 70 });
+    const fresh = merge(local([mine]), [theirs]);
+    expect(fresh.gameData.s1.rounds[0]).toMatchObject({ opponentScore: 70, syncedAt: SYNCED });
+  });
+
+  it("marks an unsent local round synced once the server has the same version", () => {
+    const mine = round("r1", 1);
+    const { gameData } = merge(local([mine]), [round("r1", 1)]);
+    expect(gameData.s1.rounds[0].syncedAt).toBe(SYNCED);
+    expect(pendingRounds(gameData)).toEqual([]);
+  });
+
+  it("interleaves another device's rounds by creation time and reports the renumbering", () => {
+    const mine = [round("r1", 1), round("r3", 2, { createdAt: at(3) })];
+    const { gameData, conflicts } = merge(local(mine), [round("r2", 1, { createdAt: at(2) })]);
+    expect(gameData.s1.rounds.map((r) => [r.id, r.round])).toEqual([["r1", 1], ["r2", 2], ["r3", 3]]);
+    expect(gameData.s1.currentRound).toBe(4);
+    expect(conflicts).toEqual(["s1"]);
+  });
+
+  it("doesn't report appending rounds as a conflict", () => {
+    const { gameData, conflicts } = merge(local([round("r1", 1)]), [round("r2", 2)]);
+    expect(gameData.s1.rounds.map((r) => r.id)).toEqual(["r1", "r2"]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it("creates sessions it hasn't seen from the round's snapshot", () => {
+    const remote = { ...round("r1", 1, { sessionId: "s9" }), session: { id: "s9", label: "Cabin", startedAt: at(0) } };
+    const { gameData } = merge({}, [remote]);
+    expect(gameData.s9).toMatchObject({ label: "Cabin", startedAt: at(0), players: ["a", "b", "c", "d"], currentRound: 2 });
+    expect(gameData.s9.rounds[0]).not.toHaveProperty("session");
+  });
+
+  it("groups rounds from before session IDs by their date", () => {
+    const { sessionId: _sessionId, ...legacy } = round("r1", 1);
+    const { gameData } = merge({}, [legacy]);
+    expect(Object.keys(gameData)).toEqual(["s-Thu-Jan-01-2026"]);
+  });
+
+  it("applies a remote delete unless the round was edited after it", () => {
+    const tomb = round("r1", 1, { deletedAt: at(30), updatedAt: at(30) });
+    const deleted = merge(local([round("r1", 1)]), [tomb]).gameData.s1;
+    expect(deleted.rounds).toEqual([]);
+    expect(deleted.deletedRounds[0]).toMatchObject({ id: "r1", syncedAt: SYNCED });
+
+    const edited = merge(local([round("r1", 1, { updatedAt: at(40) })]), [tomb]);
+    expect(edited.changed).toBe(false);
+    expect(edited.gameData.s1.rounds).toHaveLength(1);
+  });
+
+  it("keeps a newer local delete over a stale server copy", () => {
+    const tomb = round("r1", 1, { deletedAt: at(30), updatedAt: at(30) });
+    const { changed, gameData } = merge(local([], [tomb]), [round("r1", 1)]);
+    expect(changed).toBe(false);
+    expect(gameData.s1.rounds).toEqual([]);
+  });
+
+  it("ignores sessions that only hold deletes", () => {
+    const { changed, gameData } = merge({}, [round("r1", 1, { sessionId: "s9", deletedAt: at(30) })]);
+    expect(changed).toBe(false);
+    expect(gameData).toEqual({});
+  });
+
+  it("lets the server copy of a refused delete come back", () => {
+    const tomb = round("r1", 1, { deletedAt: at(30), updatedAt: at(30) });
+    const restored = dropTombstones(local([], [tomb]), ["r1"]);
+    expect(merge(restored, [round("r1", 1)]).gameData.s1.rounds.map((r) => r.id)).toEqual(["r1"]);
+  });
+});
+
+describe("adoptRemotePlayers", () => {
+  const roster = [
+    { id: "a", name: "Ann" },
+    { id: "b", name: "Bea" },
+  ];
+
+  it("adds unknown IDs from the names snapshot", () => {
+    const remote = {
+      ...round("r1", 1),
+      players: ["a", "b", "p-9"],
+      scores: { a: 263, b: 87, "p-9": 0 },
+      names: { a: "Ann", b: "Bea", "p-9": "Zed" },
+    };
+    const { added, rounds } = adoptRemotePlayers(roster, [remote]);
+    expect(added).toEqual([{ id: "p-9", name: "Zed" }]);
+    expect(rounds[0].players).toEqual(["a", "b", "p-9"]);
+    expect(rounds[0]).not.toHaveProperty("names");
+  });
+
+  it("matches names from before player IDs and adds the rest once", () => {
+    const legacy = {
+      ...round("r1", 1),
+      players: ["Ann", "Cy", "Dee", "Bea"],
+      host: "Cy",
+      friends: ["Ann"],
+      scores: { Ann: 87, Cy: 263, Dee: 0, Bea: 0 },
+    };
+    const { added, rounds } = adoptRemotePlayers(roster, [legacy, { ...legacy, id: "r2" }]);
+    expect(added.map((p) => p.name)).toEqual(["Cy", "Dee"]);
+    const cy = added[0].id;
+    expect(rounds[0].host).toBe(cy);
+    expect(rounds[0].friends).toEqual(["a"]);
+    expect(rounds[0].scores).toEqual({ a: 87, [cy]: 263, [added[1].id]: 0, b: 0 });
+    expect(rounds[1].host).toBe(cy);
+  });
+});
+
+describe("renames", () => {
+  const roster = [
+    { id: "a", name: "Ann" },
+    { id: "b", name: "Bea", updatedAt: at(10), syncedAt: at(11) },
+    { id: "c", name: "Cy (new)", updatedAt: at(30) },
+  ];
+  const server = [
+    { id: "a", name: "Annie", updatedAt: at(5) },
+    { id: "b", name: "Beatrice", updatedAt: at(20) },
+    { id: "c", name: "Cy", updatedAt: at(40) },
+  ];
+
+  it("lists renames waiting to be pushed, skipping blank names", () => {
+    expect(pendingPlayers(roster).map((p) => p.id)).toEqual(["c"]);
+    expect(pendingPlayers(renamePlayer(roster, "a", " "))).toHaveLength(1);
+  });
+
+  it("takes the server's name when it was set later, but never over an unpushed rename", () => {
+    const { renamed } = adoptRemotePlayers(roster, [], server);
+    expect(renamed.map((p) => p.id)).toEqual(["a", "b"]);
+    const next = applyRemoteRenames(roster, renamed);
+    expect(next.map((p) => p.name)).toEqual(["Annie", "Beatrice", "Cy (new)"]);
+    expect(next[1]).toMatchObject({ updatedAt: at(20), syncedAt: at(20) });
+    expect(pendingPlayers(next).map((p) => p.id)).toEqual(["c"]);
+  });
+
+  it("keeps our name when our rename is the later one", () => {
+    const local = [{ id: "b", name: "Bee", updatedAt: at(25), syncedAt: at(26) }];
+    expect(adoptRemotePlayers(local, [], server).renamed).toEqual([]);
+  });
+
+  it("marks pushed renames synced unless renamed again since", () => {
+    const pushed = pendingPlayers(roster);
+    const renamedAgain = renamePlayer(roster, "c", "Cyrus", at(50));
+    expect(markPlayersSynced(roster, pushed, SYNCED)[2].syncedAt).toBe(SYNCED);
+    expect(markPlayersSynced(renamedAgain, pushed, SYNCED)[2].syncedAt).toBeUndefined();
+  });
+
+  describe("pushRenames", () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    const answer = (byId) =>
+      vi.stubGlobal("fetch", async (url) => {
+        const [status, body] = byId[decodeURIComponent(url.split("/").pop())];
+        return { status, json: async () => body };
+      });
+    const players = [
+      { id: "a", name: " Annie " },
+      { id: "b", name: "Beatrice" },
+      { id: "p-new", name: "Zed" },
+    ];
+
+    it("settles saved, refused and not-yet-known players, and reports the refused", async () => {
+      answer({ a: [200, {}], b: [403, { error: "Only workspace admins can rename players" }], "p-new": [404, { error: "Player p-new not found" }] });
+      const { settled, denied } = await pushRenames("token", players);
+      expect(settled.map((p) => p.id)).toEqual(["a", "b", "p-new"]);
+      expect(denied.map((p) => p.id)).toEqual(["b"]);
+    });
+
+    it("stops on a server or network failure so the rename is retried", async () => {
+      answer({ a: [200, {}], b: [500, { error: "boom" }] });
+      await expect(pushRenames("token", players)).rejects.toMatchObject({ status: 500, message: "boom" });
+    });
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * Import / export.
+ * - JSON: the full app state in the same envelope localStorage uses, so
+ *   older exports go through the same migrations on the way back in
+ * - CSV: one row per round, Details-table columns plus what's needed to
+ *   round-trip (ids, date, session label, mode, players, rules)
+ * - Import is two steps: planImport validates and rescores every row without
+ *   touching state; applyImport merges the accepted rounds
+ */
+
+import { migrate, normalizeGameData, SCHEMA_VERSION } from "./storage.js";
+import { calculateScores, friendsAllowed, MAX_TABLE_SIZE, MIN_TABLE_SIZE, STANDARD_RULES, withDefaults } from "./scoring.js";
+import { newPlayerId, nameIndex } from "./roster.js";
+import { renumberRounds } from "./roundEdits.js";
+import { createSession, dateInputToLabel, sortSessions } from "./sessions.js";
+
+export const EXPORT_FORMAT = "finding-friends-export";
+
+export const CSV_COLUMNS = [
+  "Round ID",
+  "Session ID",
+  "Date",
+  "Session",
+  "Round",
+  "Mode",
+  "Players",
+  "Host",
+  "Friends",
+  "Bid",
+  "Opponent Score",
+  "Winner",
+  "Scores",
+  "Rules",
+];
+
+const LIST_SEP = "; ";
+
+// --- Export ---
+
+export function exportJson({ gameData, roster, ruleSets, seasons }) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), gameData, roster, ruleSets, seasons },
+    null,
+    2
+  );
+}
+
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function exportCsv({ gameData, roster }) {
+  const names = nameIndex(roster);
+  const nameOf = (id) => names[id] ?? id;
+  const lines = [CSV_COLUMNS.join(",")];
+  sortSessions(Object.values(gameData))
+    .reverse()
+    .forEach((s) =>
+      s.rounds.forEach((r) => {
+        const row = [
+          r.id,
+          s.id,
+          s.date,
+          s.label,
+          r.round,
+          r.mode,
+          r.players.map(nameOf).join(LIST_SEP),
+          nameOf(r.host),
+          r.friends.map(nameOf).join(LIST_SEP),
+          r.bid,
+          r.opponentScore,
+          r.winner,
+          Object.entries(r.scores).map(([id, pts]) => `${nameOf(id)}: ${Math.round(pts * 100) / 100}`).join(LIST_SEP),
+          r.rules?.name ?? STANDARD_RULES.name,
+        ];
+        lines.push(row.map(csvCell).join(","));
+      })
+    );
+  return lines.join("\n");
+}
+
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Some browsers start the download after click() returns; revoking now can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- CSV parsing ---
+
+/** Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF or LF. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+function splitList(value) {
+  return (value ?? "").split(/[;|]/).map((s) => s.trim()).filter(Boolean);
+}
+
+function parseScores(value) {
+  const scores = {};
+  splitList(value).forEach((part) => {
+    const idx = part.lastIndexOf(":");
+    if (idx === -1) return;
+    scores[part.slice(0, idx).trim()] = parseFloat(part.slice(idx + 1));
+  });
+  return scores;
+}
+
+function parseMode(value) {
+  const v = (value ?? "").trim();
+  if (v === "" || /^normal$/i.test(v)) return "Normal";
+  if (/^1v\d$/i.test(v)) return "1v5";
+  if (/^level(s|-up)?$/i.test(v)) return "Levels";
+  return null;
+}
+
+// Stable id for rows exported elsewhere without one, so re-importing the same
+// spreadsheet de-duplicates instead of doubling up.
+function contentId(parts) {
+  let h = 5381;
+  const s = parts.join("|");
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) | 0;
+  return `import-${(h >>> 0).toString(36)}`;
+}
+
+// --- Import planning ---
+
+// Returns { error } or { round, diffs } with the round rescored
+function validateAndScore(round, nameOf) {
+  const rules = withDefaults(round.rules ?? STANDARD_RULES);
+  const n = round.players.length;
+  const fail = (error) => ({ error });
+  if (n < MIN_TABLE_SIZE || n > MAX_TABLE_SIZE) return fail(`Table of ${n} players (need ${MIN_TABLE_SIZE}–${MAX_TABLE_SIZE}).`);
+  if (new Set(round.players).size !== n) return fail("A player is listed twice.");
+  if (!round.players.includes(round.host)) return fail(`Host ${nameOf(round.host)} isn't one of the players.`);
+  if (round.friends.includes(round.host)) return fail("The host can't be their own friend.");
+  const stranger = round.friends.find((f) => !round.players.includes(f));
+  if (stranger) return fail(`Friend ${nameOf(stranger)} isn't one of the players.`);
+  if (round.friends.length > friendsAllowed(rules, round.mode, n)) return fail(`Too many friends for a ${n}-player ${round.mode} round.`);
+  if (!Number.isFinite(round.bid) || (round.bid < 80 && round.bid !== rules.noBidValue)) return fail(`Bid ${round.bid} is not valid.`);
+  if (!Number.isFinite(round.opponentScore) || round.opponentScore < 0 || round.opponentScore > rules.total) {
+    return fail(`Opponent score ${round.opponentScore} is outside 0–${rules.total}.`);
+  }
+
+  const computed = calculateScores(rules, {
+    mode: round.mode,
+    players: round.players,
+    hostIdx: round.players.indexOf(round.host),
+    friendIdxs: round.friends.map((f) => round.players.indexOf(f)),
+    bid: round.bid,
+    opponentScore: round.opponentScore,
+  });
+  const recorded = round.scores ?? {};
+  const diffs = round.players
+    .filter((p) => p in recorded && Math.abs(recorded[p] - computed.scores[p]) > 0.5)
+    .map((p) => ({ player: p, recorded: recorded[p], computed: computed.scores[p] }));
+  return { round: { ...round, ...computed, rules }, diffs };
+}
+
+function csvCandidates(rows, { roster, ruleSets }) {
+  if (rows.length === 0) throw new Error("The CSV file is empty.");
+  const [header, ...body] = rows;
+  const col = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+  const missing = ["Date", "Players", "Host", "Bid", "Opponent Score"].filter((c) => col[c.toLowerCase()] === undefined);
+  if (missing.length) throw new Error(`CSV is missing column(s): ${missing.join(", ")}.`);
+
+  const byName = new Map(roster.map((p) => [p.name, p.id]));
+  const newPlayers = [];
+  const idFor = (name) => {
+    if (!byName.has(name)) {
+      const player = { id: newPlayerId(), name };
+      byName.set(name, player.id);
+      newPlayers.push(player);
+    }
+    return byName.get(name);
+  };
+
+  const candidates = body.map((cells, i) => {
+    const get = (name) => (col[name.toLowerCase()] === undefined ? "" : (cells[col[name.toLowerCase()]] ?? "").trim());
+    const rowNo = i + 2; // header is row 1
+    // Bare ISO dates parse as UTC midnight; read them as local days instead
+    const rawDate = get("Date");
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(rawDate) ? new Date(dateInputToLabel(rawDate)) : new Date(rawDate);
+    if (Number.isNaN(date.getTime())) return { rowNo, error: `Date "${rawDate}" can't be read.` };
+    const mode = parseMode(get("Mode"));
+    if (!mode) return { rowNo, error: `Mode "${get("Mode")}" is not Normal or 1vN.` };
+    const players = splitList(get("Players"));
+    const rulesName = get("Rules");
+    const rules = rulesName ? ruleSets.find((r) => r.name === rulesName) : STANDARD_RULES;
+    if (!rules) return { rowNo, error: `Unknown rule set "${rulesName}".` };
+    const dateLabel = date.toDateString();
+    const sessionLabel = get("Session");
+    return {
+      rowNo,
+      session: { id: get("Session ID") || null, date: dateLabel, label: sessionLabel },
+      round: {
+        id: get("Round ID") || contentId([dateLabel, sessionLabel, get("Round"), get("Players"), get("Host"), get("Bid"), get("Opponent Score")]),
+        round: parseInt(get("Round"), 10) || i + 1,
+        mode,
+        players: players.map(idFor),
+        host: idFor(get("Host")),
+        friends: splitList(get("Friends")).map(idFor),
+        bid: parseFloat(get("Bid")),
+        opponentScore: parseFloat(get("Opponent Score")),
+        scores: Object.fromEntries(Object.entries(parseScores(get("Scores"))).map(([name, pts]) => [idFor(name), pts])),
+        rules,
+        date: dateLabel,
+      },
+    };
+  });
+  return { candidates, newPlayers };
+}
+
+function jsonCandidates(parsed, { roster }) {
+  if (parsed.format !== EXPORT_FORMAT) throw new Error("This JSON file isn't a Finding Friends export.");
+  const { gameData, roster: importedRoster = [], seasons = [] } = migrate(parsed);
+  const sessions = normalizeGameData(gameData);
+  const known = new Set(roster.map((p) => p.id));
+  const newPlayers = importedRoster.filter((p) => !known.has(p.id));
+  let rowNo = 0;
+  const candidates = sortSessions(Object.values(sessions))
+    .reverse()
+    .flatMap((s) =>
+      s.rounds.map((r) => ({
+        rowNo: ++rowNo,
+        session: { id: s.id, date: s.date, label: s.label, startedAt: s.startedAt, players: s.players },
+        round: r,
+      }))
+    );
+  return { candidates, newPlayers, ruleSets: parsed.ruleSets ?? [], seasons };
+}
+
+/**
+ * Reads an export (JSON or CSV) and checks every round against the app's
+ * scoring. `ruleSets` is every rule set CSV rows may name, presets included.
+ * Returns { accepted, errors, mismatches, duplicates, newPlayers, ruleSets, seasons }.
+ */
+export function planImport(text, fileName, { gameData, roster, ruleSets }) {
+  const isJson = /\.json$/i.test(fileName) || text.trimStart().startsWith("{");
+  const parsed = isJson
+    ? jsonCandidates(JSON.parse(text), { roster })
+    : csvCandidates(parseCsv(text), { roster, ruleSets });
+
+  const allNames = nameIndex([...roster, ...parsed.newPlayers]);
+  const nameOf = (id) => allNames[id] ?? id;
+  const existingIds = new Set(
+    Object.values(gameData).flatMap((s) => [...s.rounds, ...(s.deletedRounds ?? [])].map((r) => r.id))
+  );
+  const seen = new Set();
+  const plan = {
+    accepted: [],
+    errors: [],
+    mismatches: [],
+    duplicates: [],
+    ruleSets: parsed.ruleSets ?? [],
+    seasons: parsed.seasons ?? [],
+  };
+
+  parsed.candidates.forEach((c) => {
+    if (c.error) return plan.errors.push({ rowNo: c.rowNo, message: c.error });
+    if (existingIds.has(c.round.id) || seen.has(c.round.id)) return plan.duplicates.push({ rowNo: c.rowNo, id: c.round.id });
+    const { error, round, diffs } = validateAndScore(c.round, nameOf);
+    if (error) return plan.errors.push({ rowNo: c.rowNo, message: error });
+    seen.add(round.id);
+    if (diffs.length) plan.mismatches.push({ rowNo: c.rowNo, diffs: diffs.map((d) => ({ ...d, name: nameOf(d.player) })) });
+    plan.accepted.push({ ...c, round });
+  });
+
+  // Only keep new players some accepted round actually references
+  const used = new Set(plan.accepted.flatMap((c) => c.round.players));
+  plan.newPlayers = parsed.newPlayers.filter((p) => used.has(p.id));
+  return plan;
+}
+
+function createdTime(r) {
+  return Date.parse(r.createdAt) || 0;
+}
+
+function sessionKey(s) {
+  return `${s.date}|${s.label ?? ""}`;
+}
+
+/**
+ * Merges a plan's accepted rounds, matching sessions by id and then by
+ * date + label. `ruleSets` here is the custom list that gets persisted.
+ * Seasons not defined here yet are added. Returns { gameData, roster, ruleSets, seasons }.
+ */
+export function applyImport(plan, { gameData, roster, ruleSets, seasons }) {
+  const now = new Date().toISOString();
+  const next = { ...gameData };
+  const byKey = new Map(Object.values(gameData).map((s) => [sessionKey(s), s.id]));
+
+  plan.accepted.forEach(({ session, round }) => {
+    let id = session.id && next[session.id] ? session.id : byKey.get(sessionKey(session));
+    if (!id) {
+      const fresh = {
+        ...createSession({
+          date: session.date,
+          label: session.label,
+          startedAt: session.startedAt ?? new Date(session.date).toISOString(),
+          players: session.players ?? round.players,
+        }),
+        ...(session.id ? { id: session.id } : {}),
+      };
+      id = fresh.id;
+      next[id] = fresh;
+      byKey.set(sessionKey(fresh), id);
+    }
+    const s = next[id];
+    // CSV rows have no creation time; slot them in after the session's last round
+    const createdAt = round.createdAt ?? new Date(Math.max(Date.parse(s.startedAt) || 0, ...s.rounds.map(createdTime)) + 1000).toISOString();
+    const imported = { ...round, sessionId: id, date: s.date, createdAt, updatedAt: now, syncedAt: null };
+    const rounds = [...s.rounds, imported].sort((a, b) => createdTime(a) - createdTime(b));
+    next[id] = { ...s, rounds: renumberRounds(rounds), currentRound: rounds.length + 1 };
+  });
+
+  const knownRules = new Set(ruleSets.map((r) => r.id));
+  const knownSeasons = new Set(seasons.map((s) => s.id));
+  return {
+    gameData: next,
+    roster: [...roster, ...plan.newPlayers],
+    ruleSets: [...ruleSets, ...plan.ruleSets.filter((r) => !knownRules.has(r.id))],
+    seasons: [...seasons, ...plan.seasons.filter((s) => !knownSeasons.has(s.id))],
+  };
+}
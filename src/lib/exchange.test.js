@@ -0,0 +1,157 @@
+import { describe, expect, it } from "vitest";
+import { applyImport, exportCsv, exportJson, parseCsv, planImport } from "./exchange.js";
+import { PRESET_RULE_SETS } from "./scoring.js";
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, doubled quotes and line breaks", () => {
+    const text = 'a,"b, c","say ""hi"""\r\n1,"two\nlines",3\n';
+    expect(parseCsv(text)).toEqual([
+      ["a", "b, c", 'say "hi"'],
+      ["1", "two\nlines", "3"],
+    ]);
+  });
+
+  it("keeps empty fields and a last row without a newline, and drops blank lines", () => {
+    expect(parseCsv("a,,c\n\n,\nx,y")).toEqual([
+      ["a", "", "c"],
+      ["x", "y"],
+    ]);
+  });
+});
+
+const roster = [
+  { id: "a", name: "Ann" },
+  { id: "b", name: "Bea" },
+];
+
+const HEADER = "Round ID,Date,Session,Round,Mode,Players,Host,Friends,Bid,Opponent Score,Scores";
+
+function csv(...rows) {
+  return [HEADER, ...rows].join("\n");
+}
+
+const plan = (text, gameData = {}, fileName = "rounds.csv") =>
+  planImport(text, fileName, { gameData, roster, ruleSets: PRESET_RULE_SETS });
+
+describe("planImport from CSV", () => {
+  it("rescores rows and adds players it hasn't seen, quoted labels included", () => {
+    const result = plan(
+      csv('r1,2026-01-01,"Cabin, night\none",1,Normal,Ann; Bea; Cy; Dee,Ann,Bea,120,50,"Ann: 263; Bea: 87; Cy: 0; Dee: 0"')
+    );
+    expect(result.errors).toEqual([]);
+    expect(result.mismatches).toEqual([]);
+    const [{ session, round }] = result.accepted;
+    expect(session).toMatchObject({ date: "Thu Jan 01 2026", label: "Cabin, night\none" });
+    expect(result.newPlayers.map((p) => p.name)).toEqual(["Cy", "Dee"]);
+    expect(round).toMatchObject({ host: "a", friends: ["b"], winner: "Host Team" });
+  });
+
+  it("reports recorded scores that don't match the rules", () => {
+    const result = plan(csv("r1,2026-01-01,,1,Normal,Ann; Bea; Cy; Dee,Ann,Bea,120,50,Ann: 300; Bea: 87"));
+    expect(result.accepted).toHaveLength(1);
+    expect(result.mismatches[0]).toMatchObject({ rowNo: 2, diffs: [{ name: "Ann", recorded: 300, computed: 263 }] });
+  });
+
+  it("turns unreadable rows into errors by row number", () => {
+    const result = plan(
+      csv("r1,someday,,1,Normal,Ann; Bea; Cy; Dee,Ann,,120,50,", "r2,2026-01-01,,2,Normal,Ann; Bea; Cy; Dee,Zed,,120,50,")
+    );
+    expect(result.errors.map((e) => e.rowNo)).toEqual([2, 3]);
+    expect(result.errors[0].message).toBe('Date "someday" can\'t be read.');
+    expect(result.accepted).toEqual([]);
+    expect(result.newPlayers).toEqual([]);
+  });
+
+  it("skips rounds already in the tracker or repeated in the file", () => {
+    const gameData = { s1: { id: "s1", rounds: [{ id: "r1" }], deletedRounds: [{ id: "r0" }] } };
+    const row = (id) => `${id},2026-01-01,,1,Normal,Ann; Bea; Cy; Dee,Ann,Bea,120,50,`;
+    const result = plan(csv(row("r0"), row("r1"), row("r2"), row("r2")), gameData);
+    expect(result.duplicates).toEqual([
+      { rowNo: 2, id: "r0" },
+      { rowNo: 3, id: "r1" },
+      { rowNo: 5, id: "r2" },
+    ]);
+    expect(result.accepted.map((c) => c.round.id)).toEqual(["r2"]);
+  });
+
+  it("gives rows without an ID the same ID every time", () => {
+    const text = csv(",2026-01-01,,1,Normal,Ann; Bea; Cy; Dee,Ann,Bea,120,50,");
+    const first = plan(text).accepted[0].round.id;
+    expect(plan(text).accepted[0].round.id).toBe(first);
+    const applied = applyImport(plan(text), { gameData: {}, roster, ruleSets: [], seasons: [] });
+    expect(plan(text, applied.gameData).duplicates).toEqual([{ rowNo: 2, id: first }]);
+  });
+
+  it("needs the core columns", () => {
+    expect(() => plan("Date,Players\n2026-01-01,Ann")).toThrow("CSV is missing column(s): Host, Bid, Opponent Score.");
+  });
+});
+
+describe("applyImport", () => {
+  const at = (minute) => `2026-01-01T20:${String(minute).padStart(2, "0")}:00.000Z`;
+  const existingRound = (id, n, minute) => ({
+    id,
+    round: n,
+    mode: "Normal",
+    players: ["a", "b", "c", "d"],
+    host: "a",
+    friends: ["b"],
+    bid: 120,
+    opponentScore: 50,
+    scores: { a: 263, b: 87, c: 0, d: 0 },
+    winner: "Host Team",
+    date: "Thu Jan 01 2026",
+    sessionId: "s1",
+    createdAt: at(minute),
+    updatedAt: at(minute),
+    syncedAt: at(minute),
+  });
+  const state = () => ({
+    gameData: {
+      s1: {
+        id: "s1",
+        date: "Thu Jan 01 2026",
+        label: "Cabin",
+        startedAt: at(0),
+        players: ["a", "b", "c", "d"],
+        rounds: [existingRound("r1", 1, 10), existingRound("r2", 2, 30)],
+        deletedRounds: [],
+        currentRound: 3,
+      },
+    },
+    roster: [...roster, { id: "c", name: "Cy" }, { id: "d", name: "Dee" }],
+    ruleSets: [],
+    seasons: [{ id: "season-1", name: "Winter" }],
+  });
+
+  it("slots JSON rounds into the matching session by creation time", () => {
+    const source = state();
+    const incoming = { ...existingRound("r9", 1, 20), sessionId: "elsewhere" };
+    const other = { ...source.gameData.s1, id: "elsewhere", rounds: [incoming] };
+    const text = exportJson({ ...source, gameData: { elsewhere: other }, seasons: [{ id: "season-2", name: "Spring" }] });
+
+    const current = state();
+    const result = applyImport(plan(text, current.gameData, "backup.json"), current);
+    const s1 = result.gameData.s1;
+    expect(Object.keys(result.gameData)).toEqual(["s1"]);
+    expect(s1.rounds.map((r) => [r.id, r.round])).toEqual([["r1", 1], ["r9", 2], ["r2", 3]]);
+    expect(s1.currentRound).toBe(4);
+    expect(s1.rounds[1]).toMatchObject({ sessionId: "s1", syncedAt: null });
+    expect(s1.rounds[0]).toBe(current.gameData.s1.rounds[0]);
+    expect(result.seasons.map((s) => s.id)).toEqual(["season-1", "season-2"]);
+  });
+
+  it("appends CSV rows after the session's last round and adds sessions it doesn't have", () => {
+    const current = state();
+    const text =
+      exportCsv(current).replace(/\br1\b/, "r7") + "\nr8,,2026-01-02,Lodge,1,Normal,Ann; Bea; Cy; Dee,Ann,Bea,120,50,,";
+    const planned = planImport(text, "rounds.csv", { ...current, ruleSets: PRESET_RULE_SETS });
+    expect(planned.duplicates.map((d) => d.id)).toEqual(["r2"]);
+    const result = applyImport(planned, current);
+    expect(result.gameData.s1.rounds.map((r) => r.id)).toEqual(["r1", "r2", "r7"]);
+    expect(Date.parse(result.gameData.s1.rounds[2].createdAt)).toBeGreaterThan(Date.parse(at(30)));
+    const lodge = Object.values(result.gameData).find((s) => s.label === "Lodge");
+    expect(lodge).toMatchObject({ date: "Fri Jan 02 2026", currentRound: 2 });
+    expect(result.roster).toHaveLength(4);
+  });
+});
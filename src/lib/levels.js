@@ -0,0 +1,39 @@
+/**
+ * Level-up progression for a session, replayed from its "Levels" rounds.
+ * - Everyone starts at 2; round.levelChanges says how far each player climbed
+ * - The trump rank of a round is the host's current level
+ * - Climbing past Ace wins the game; levels then reset to 2 for the next game
+ */
+
+export const LEVEL_RANKS = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
+const ACE = LEVEL_RANKS.length - 1;
+
+export function rankName(level) {
+  return LEVEL_RANKS[Math.min(level, ACE)];
+}
+
+/**
+ * Returns { levels: { [playerId]: index into LEVEL_RANKS }, games } where
+ * games is [{ winners, round }] for every game decided so far.
+ */
+export function sessionLevels(session) {
+  const ids = new Set([...session.players, ...session.rounds.flatMap((r) => r.players)]);
+  let levels = Object.fromEntries([...ids].map((id) => [id, 0]));
+  const games = [];
+
+  session.rounds
+    .filter((r) => r.mode === "Levels")
+    .forEach((round) => {
+      Object.entries(round.levelChanges ?? {}).forEach(([id, n]) => {
+        levels[id] = (levels[id] ?? 0) + n;
+      });
+      const passed = Object.keys(levels).filter((id) => levels[id] > ACE);
+      if (passed.length) {
+        const top = Math.max(...passed.map((id) => levels[id]));
+        games.push({ winners: passed.filter((id) => levels[id] === top), round: round.round });
+        levels = Object.fromEntries(Object.keys(levels).map((id) => [id, 0]));
+      }
+    });
+
+  return { levels, games };
+}
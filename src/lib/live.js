@@ -0,0 +1,117 @@
+/**
+ * Live scoreboard: a read-only view of one session that other devices poll.
+ * - A workspace member shares a session and gets a code; ?live=CODE opens
+ *   the scoreboard on any device, no workspace needed
+ * - Each poll sends the previous cursor and gets back only the rounds written
+ *   since, tombstones included; mergeLiveRounds folds them in by id
+ * - Other members who share the same session get the same code and keep
+ *   pulling each other's rounds while it's live, so they can co-edit
+ * - Failed polls back off (nextPollDelay) and a hidden tab stops polling until
+ *   it's visible again (see usePolling)
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+export const LIVE_PARAM = "live";
+export const POLL_INTERVAL = 3000;
+export const MAX_POLL_DELAY = 30000;
+// Devices sharing a session also pull co-editors' rounds this often
+export const LIVE_SYNC_INTERVAL = 5000;
+
+export function liveLink(code, location = window.location) {
+  return `${location.origin}${location.pathname}?${LIVE_PARAM}=${encodeURIComponent(code)}`;
+}
+
+export function readLiveCode(search = window.location.search) {
+  return new URLSearchParams(search).get(LIVE_PARAM)?.trim() ?? "";
+}
+
+function createdTime(r) {
+  const t = Date.parse(r.createdAt);
+  return Number.isNaN(t) ? Number(r.id) || 0 : t;
+}
+
+/** Current rounds after applying changes (newer copies replace, tombstones remove). */
+export function mergeLiveRounds(rounds, changes) {
+  const byId = new Map(rounds.map((r) => [r.id, r]));
+  changes.forEach((r) => {
+    if (r.deletedAt) byId.delete(r.id);
+    else byId.set(r.id, r);
+  });
+  return Array.from(byId.values()).sort((a, b) => createdTime(a) - createdTime(b));
+}
+
+/** [{ id, total, rounds }] for everyone seated or scored, highest total first. */
+export function liveStandings(players, rounds) {
+  const totals = new Map(players.map((id) => [id, { id, total: 0, rounds: 0 }]));
+  rounds.forEach((r) => {
+    r.players.forEach((id) => {
+      if (!totals.has(id)) totals.set(id, { id, total: 0, rounds: 0 });
+      const t = totals.get(id);
+      t.total += r.scores[id] ?? 0;
+      t.rounds += 1;
+    });
+  });
+  return Array.from(totals.values()).sort((a, b) => b.total - a.total);
+}
+
+// 3s, 6s, 12s, … capped at 30s
+export function nextPollDelay(failures, interval = POLL_INTERVAL) {
+  return failures === 0 ? interval : Math.min(MAX_POLL_DELAY, interval * 2 ** failures);
+}
+
+/**
+ * Calls poll() every interval while enabled; poll throws (or returns false) on
+ * failure. Returns { failures, lastSuccess, retryAt } for status display.
+ * Coming back online or to a visible tab polls right away.
+ */
+export function usePolling(poll, { enabled = true, interval = POLL_INTERVAL } = {}) {
+  const [status, setStatus] = useState({ failures: 0, lastSuccess: null, retryAt: null });
+  const pollRef = useRef(poll);
+  useEffect(() => {
+    pollRef.current = poll;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let timer = null;
+    let running = false;
+    let stopped = false;
+    let failures = 0;
+
+    const tick = async () => {
+      clearTimeout(timer);
+      if (running || stopped) return;
+      if (document.visibilityState === "hidden") return;
+      running = true;
+      let ok;
+      try {
+        ok = (await pollRef.current()) !== false;
+      } catch {
+        ok = false;
+      }
+      running = false;
+      if (stopped) return;
+      failures = ok ? 0 : failures + 1;
+      const delay = nextPollDelay(failures, interval);
+      setStatus((s) => ({
+        failures,
+        lastSuccess: ok ? new Date() : s.lastSuccess,
+        retryAt: ok ? null : Date.now() + delay,
+      }));
+      timer = setTimeout(tick, delay);
+    };
+
+    window.addEventListener("online", tick);
+    document.addEventListener("visibilitychange", tick);
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      window.removeEventListener("online", tick);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [enabled, interval]);
+
+  return status;
+}
@@ -0,0 +1,53 @@
+/**
+ * Who plays with and against whom, from each round's host, friends and winner.
+ * - calls[host][friend]: { count, wins } for rounds where host called friend
+ * - headToHead[a][b]: { games, wins } from a's side, for rounds a and b
+ *   spent on opposite sides
+ * - hosted[host]: rounds hosted, to turn call counts into a share
+ */
+
+import { isHostWin } from "./scoring.js";
+
+function cell(table, a, b, init) {
+  if (!table[a]) table[a] = {};
+  if (!table[a][b]) table[a][b] = { ...init };
+  return table[a][b];
+}
+
+export function computePartnerships(gameData) {
+  const calls = {};
+  const headToHead = {};
+  const hosted = {};
+  const games = {};
+
+  Object.values(gameData).forEach((session) =>
+    session.rounds.forEach((round) => {
+      const hostWon = isHostWin(round.winner);
+      const hostTeam = [round.host, ...round.friends];
+      const opponents = round.players.filter((id) => !hostTeam.includes(id));
+
+      hosted[round.host] = (hosted[round.host] ?? 0) + 1;
+      round.players.forEach((id) => (games[id] = (games[id] ?? 0) + 1));
+
+      round.friends.forEach((friend) => {
+        const c = cell(calls, round.host, friend, { count: 0, wins: 0 });
+        c.count += 1;
+        if (hostWon) c.wins += 1;
+      });
+
+      hostTeam.forEach((a) =>
+        opponents.forEach((b) => {
+          const ab = cell(headToHead, a, b, { games: 0, wins: 0 });
+          const ba = cell(headToHead, b, a, { games: 0, wins: 0 });
+          ab.games += 1;
+          ba.games += 1;
+          if (hostWon) ab.wins += 1;
+          else ba.wins += 1;
+        })
+      );
+    })
+  );
+
+  const players = Object.keys(games).sort((a, b) => games[b] - games[a]);
+  return { players, calls, headToHead, hosted };
+}
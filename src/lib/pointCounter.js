@@ -0,0 +1,32 @@
+/**
+ * Live point counter for the hand in progress.
+ * - events: [{ kind: "card", card, kitty }] or [{ kind: "trick" }] in tap order,
+ *   so undo is just dropping the last event
+ * - Kitty points only count when the opponents take the last trick, times
+ *   the multiplier for how that trick was won
+ */
+
+export const POINT_CARDS = { 5: 5, 10: 10, K: 10 };
+export const KITTY_MULTIPLIERS = [2, 4, 8];
+
+export function counterSummary(events, { multiplier, lastTrick }) {
+  let trick = 1;
+  let captured = 0;
+  let kitty = 0;
+  const perTrick = {};
+  events.forEach((e) => {
+    if (e.kind === "trick") {
+      trick += 1;
+      return;
+    }
+    const pts = POINT_CARDS[e.card];
+    if (e.kitty) {
+      kitty += pts;
+    } else {
+      captured += pts;
+      perTrick[trick] = (perTrick[trick] ?? 0) + pts;
+    }
+  });
+  const kittyBonus = lastTrick ? kitty * multiplier : 0;
+  return { trick, captured, kitty, kittyBonus, total: captured + kittyBonus, perTrick };
+}
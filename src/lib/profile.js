@@ -0,0 +1,102 @@
+/**
+ * One player's profile, built from the round records alone.
+ * - history: every round they played, newest first, with their role
+ *   (host | friend | opponent), result and points
+ * - roles: rounds, wins and points per role, for the breakdown of where
+ *   their total came from
+ * - partners: teammates (same side of a round) by games together, then wins
+ * - sessions: best and worst session by total points
+ * - solo: 1vN record as the soloist and against one
+ */
+
+import { SERIES_COLORS } from "./charts.js";
+import { isHostWin } from "./scoring.js";
+import { sessionTitle, sortSessions } from "./sessions.js";
+
+export const ROLES = [
+  ["host", "Host"],
+  ["friend", "Friend"],
+  ["opponent", "Opponent"],
+];
+
+export const FAVORITE_PARTNERS = 3;
+
+export function roleIn(round, playerId) {
+  if (round.host === playerId) return "host";
+  return round.friends.includes(playerId) ? "friend" : "opponent";
+}
+
+export function playerProfile(gameData, playerId) {
+  const roles = Object.fromEntries(ROLES.map(([role]) => [role, { rounds: 0, wins: 0, points: 0 }]));
+  const partners = {};
+  const solo = { played: 0, won: 0, against: 0, beaten: 0 };
+  const history = [];
+  const sessions = [];
+
+  sortSessions(Object.values(gameData)).forEach((session) => {
+    let total = 0;
+    let played = 0;
+    [...session.rounds].reverse().forEach((round) => {
+      if (!round.players.includes(playerId)) return;
+      const role = roleIn(round, playerId);
+      const hostTeam = [round.host, ...round.friends];
+      const won = isHostWin(round.winner) === (role !== "opponent");
+      const points = round.scores[playerId] ?? 0;
+      history.push({ session, round, role, won, points });
+      total += points;
+      played += 1;
+
+      const r = roles[role];
+      r.rounds += 1;
+      r.points += points;
+      if (won) r.wins += 1;
+
+      const side = role === "opponent" ? round.players.filter((id) => !hostTeam.includes(id)) : hostTeam;
+      side.forEach((id) => {
+        if (id === playerId) return;
+        const p = (partners[id] = partners[id] ?? { id, games: 0, wins: 0 });
+        p.games += 1;
+        if (won) p.wins += 1;
+      });
+
+      if (round.mode === "1v5") {
+        if (role === "host") {
+          solo.played += 1;
+          if (won) solo.won += 1;
+        } else {
+          solo.against += 1;
+          if (won) solo.beaten += 1;
+        }
+      }
+    });
+    if (played) sessions.push({ session, title: sessionTitle(session), rounds: played, total: Math.round(total) });
+  });
+
+  Object.values(roles).forEach((r) => (r.points = Math.round(r.points)));
+  const bySessionTotal = [...sessions].sort((a, b) => b.total - a.total);
+  return {
+    history,
+    roles,
+    total: Object.values(roles).reduce((sum, r) => sum + r.points, 0),
+    partners: Object.values(partners)
+      .sort((a, b) => b.games - a.games || b.wins - a.wins)
+      .slice(0, FAVORITE_PARTNERS),
+    sessions,
+    bestSession: bySessionTotal[0] ?? null,
+    worstSession: bySessionTotal.length > 1 ? bySessionTotal.at(-1) : null,
+    solo,
+  };
+}
+
+/** Session totals and the running total, oldest first, for LineChart. */
+export function profileTrend(sessions) {
+  let running = 0;
+  const points = [...sessions].reverse().map((s, i) => {
+    running += s.total;
+    return { x: i, ...s, running };
+  });
+  return [
+    { id: "running", label: "Running total", color: SERIES_COLORS[0], points: points.map((p) => ({ ...p, y: p.running })) },
+    { id: "session", label: "Session total", color: SERIES_COLORS[1], points: points.map((p) => ({ ...p, y: p.total })) },
+  ];
+}
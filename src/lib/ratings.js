@@ -0,0 +1,115 @@
+/**
+ * Skill ratings (Glicko-style), always recomputed from the full round history
+ * so edits to old rounds flow through.
+ * - Each round is host team (host + friends) vs opponents; a player is rated
+ *   against the other side's average rating and deviation
+ * - How often hosts win differs by mode and table size, so the expected
+ *   result includes a host advantage learned from earlier rounds of the same kind
+ * - Deviation (RD) shrinks as a player plays and grows a little for every
+ *   session they sit out; confidence is 1 - RD / INITIAL_RD
+ */
+
+import { isHostWin } from "./scoring.js";
+import { sortSessions } from "./sessions.js";
+
+export const INITIAL_RATING = 1500;
+export const INITIAL_RD = 350;
+const MIN_RD = 50;
+const RD_GROWTH_PER_SESSION = 25;
+
+const Q = Math.LN10 / 400;
+
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+
+function teamOf(state, ids) {
+  const mu = ids.reduce((sum, id) => sum + state[id].rating, 0) / ids.length;
+  const rd = Math.sqrt(ids.reduce((sum, id) => sum + state[id].rd ** 2, 0) / ids.length);
+  return { mu, rd };
+}
+
+// Rating offset that makes the expected host-win rate match what this kind of
+// round has produced so far (Laplace-smoothed, so it starts at even odds)
+function hostAdvantage(record) {
+  const p = (record.wins + 1) / (record.total + 2);
+  return 400 * Math.log10(p / (1 - p));
+}
+
+function update(player, opp, score, advantage) {
+  const gOpp = g(opp.rd);
+  const expected = 1 / (1 + 10 ** ((-gOpp * (player.rating - opp.mu + advantage)) / 400));
+  const dSq = 1 / (Q * Q * gOpp * gOpp * expected * (1 - expected));
+  const precision = 1 / player.rd ** 2 + 1 / dSq;
+  return {
+    rating: player.rating + (Q / precision) * gOpp * (score - expected),
+    rd: Math.max(MIN_RD, Math.sqrt(1 / precision)),
+  };
+}
+
+export function confidence(rd) {
+  return Math.max(0, Math.round((1 - rd / INITIAL_RD) * 100));
+}
+
+/**
+ * Returns { [playerId]: { rating, rd, confidence, rounds, sessions } } where
+ * sessions is [{ sessionId, date, before, after, delta }] oldest first.
+ */
+export function computeRatings(gameData) {
+  const state = {};
+  const records = {};
+  const sessions = sortSessions(Object.values(gameData)).reverse();
+
+  sessions.forEach((session, sessionIdx) => {
+    const start = {};
+    session.rounds.forEach((round) => {
+      round.players.forEach((id) => {
+        if (!state[id]) state[id] = { rating: INITIAL_RATING, rd: INITIAL_RD, rounds: 0, sessions: [], lastSession: sessionIdx };
+        const p = state[id];
+        if (!(id in start)) {
+          // Inactivity widens the deviation before the player's first round here
+          const missed = sessionIdx - p.lastSession;
+          p.rd = Math.min(INITIAL_RD, Math.sqrt(p.rd ** 2 + missed * RD_GROWTH_PER_SESSION ** 2));
+          p.lastSession = sessionIdx;
+          start[id] = p.rating;
+        }
+      });
+
+      const hostTeam = [round.host, ...round.friends];
+      const opponents = round.players.filter((id) => !hostTeam.includes(id));
+      if (opponents.length === 0) return;
+
+      const kind = `${round.mode}:${round.players.length}`;
+      if (!records[kind]) records[kind] = { wins: 0, total: 0 };
+      const record = records[kind];
+      const advantage = hostAdvantage(record);
+      const hostWon = isHostWin(round.winner);
+      const hostSide = teamOf(state, hostTeam);
+      const oppSide = teamOf(state, opponents);
+
+      const next = {};
+      hostTeam.forEach((id) => (next[id] = update(state[id], oppSide, hostWon ? 1 : 0, advantage)));
+      opponents.forEach((id) => (next[id] = update(state[id], hostSide, hostWon ? 0 : 1, -advantage)));
+      Object.entries(next).forEach(([id, r]) => {
+        state[id].rating = r.rating;
+        state[id].rd = r.rd;
+        state[id].rounds += 1;
+      });
+
+      record.total += 1;
+      if (hostWon) record.wins += 1;
+    });
+
+    Object.entries(start).forEach(([id, before]) => {
+      const after = state[id].rating;
+      state[id].sessions.push({ sessionId: session.id, date: session.date, before, after, delta: after - before });
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(state).map(([id, p]) => [
+      id,
+      { rating: p.rating, rd: p.rd, confidence: confidence(p.rd), rounds: p.rounds, sessions: p.sessions },
+    ])
+  );
+}
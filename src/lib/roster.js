@@ -0,0 +1,144 @@
+/**
+ * Player roster: stable IDs that sessions and rounds reference.
+ * - roster is [{ id, name, updatedAt?, syncedAt? }]; names are display-only
+ *   and can change freely. A rename sets updatedAt and clears syncedAt so
+ *   cloud sync pushes it (pendingPlayers in lib/cloudSync.js)
+ * - sessions store player IDs in `players` and settle-up payments; rounds
+ *   store IDs in `players`, `host`, `friends`, the keys of `scores` and
+ *   `levelChanges`, `calls[].holder`, `auction[].player` and `audit[].by`
+ */
+
+export function newPlayerId() {
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function playerName(roster, id) {
+  return roster.find((p) => p.id === id)?.name ?? "Unknown player";
+}
+
+/** Map of id -> name, handy for rendering many lookups at once. */
+export function nameIndex(roster) {
+  return Object.fromEntries(roster.map((p) => [p.id, p.name]));
+}
+
+export function addPlayer(roster, name) {
+  const player = { id: newPlayerId(), name };
+  return { roster: [...roster, player], player };
+}
+
+export function renamePlayer(roster, id, name, at = new Date().toISOString()) {
+  return roster.map((p) => {
+    if (p.id !== id) return p;
+    const { syncedAt: _syncedAt, ...rest } = p;
+    return { ...rest, name, updatedAt: at };
+  });
+}
+
+// Rewrites every reference to `fromId` as `intoId`. If both appear in the same
+// round (shouldn't happen, but old data is messy) their scores and level changes
+// are summed. Touched rounds get a fresh updatedAt and lose syncedAt so cloud
+// sync re-pushes them.
+function mergeRound(r, fromId, intoId) {
+  const swap = (id) => (id === fromId ? intoId : id);
+  const involved =
+    r.players.includes(fromId) ||
+    fromId in r.scores ||
+    fromId in (r.levelChanges ?? {}) ||
+    r.calls?.some((c) => c.holder === fromId) ||
+    r.auction?.some((e) => e.player === fromId) ||
+    r.audit?.some((a) => a.by === fromId);
+  if (!involved) return r;
+
+  const summed = (byId) => {
+    const out = {};
+    Object.entries(byId).forEach(([id, n]) => {
+      out[swap(id)] = (out[swap(id)] ?? 0) + n;
+    });
+    return out;
+  };
+  const swapChange = (c) => {
+    if (c.field === "host") return { ...c, from: swap(c.from), to: swap(c.to) };
+    if (c.field === "friends") return { ...c, from: c.from.map(swap), to: c.to.map(swap) };
+    return c;
+  };
+  return {
+    ...r,
+    players: Array.from(new Set(r.players.map(swap))),
+    host: swap(r.host),
+    friends: Array.from(new Set(r.friends.map(swap))),
+    scores: summed(r.scores),
+    ...(r.levelChanges ? { levelChanges: summed(r.levelChanges) } : {}),
+    ...(r.calls ? { calls: r.calls.map((c) => ({ ...c, holder: swap(c.holder) })) } : {}),
+    ...(r.auction ? { auction: r.auction.map((e) => ({ ...e, player: swap(e.player) })) } : {}),
+    ...(r.audit ? { audit: r.audit.map((a) => ({ ...a, by: swap(a.by), changes: a.changes.map(swapChange) })) } : {}),
+    updatedAt: new Date().toISOString(),
+    syncedAt: null,
+  };
+}
+
+function mergeSettlement(settlement, fromId, intoId) {
+  if (!settlement?.paid) return settlement;
+  const swap = (id) => (id === fromId ? intoId : id);
+  return { ...settlement, paid: settlement.paid.map((p) => ({ ...p, from: swap(p.from), to: swap(p.to) })) };
+}
+
+/**
+ * Folds player `fromId` into `intoId` across every session: live rounds,
+ * tombstones and recorded settle-up payments. Returns { gameData, roster }.
+ */
+export function mergePlayers(gameData, roster, fromId, intoId) {
+  if (fromId === intoId) return { gameData, roster };
+  const sessions = Object.fromEntries(
+    Object.entries(gameData).map(([key, s]) => {
+      const players = Array.from(new Set(s.players.map((id) => (id === fromId ? intoId : id))));
+      const merged = {
+        ...s,
+        players,
+        rounds: s.rounds.map((r) => mergeRound(r, fromId, intoId)),
+        deletedRounds: (s.deletedRounds ?? []).map((r) => mergeRound(r, fromId, intoId)),
+      };
+      if (s.settlement) merged.settlement = mergeSettlement(s.settlement, fromId, intoId);
+      return [key, merged];
+    })
+  );
+  return { gameData: sessions, roster: roster.filter((p) => p.id !== fromId) };
+}
+
+/** Number of rounds each player appears in, across all sessions. */
+export function roundCounts(gameData) {
+  const counts = {};
+  Object.values(gameData).forEach((s) =>
+    s.rounds.forEach((r) => r.players.forEach((id) => (counts[id] = (counts[id] ?? 0) + 1)))
+  );
+  return counts;
+}
+
+/**
+ * Converts a name-based gameData map (schema <= 2) to IDs.
+ * Only exact name matches are treated as the same person.
+ */
+export function assignPlayerIds(gameData) {
+  const ids = new Map();
+  const idFor = (name) => {
+    if (!ids.has(name)) ids.set(name, newPlayerId());
+    return ids.get(name);
+  };
+  const sessions = Object.fromEntries(
+    Object.entries(gameData).map(([key, s]) => [
+      key,
+      {
+        ...s,
+        players: (s.players ?? []).map(idFor),
+        rounds: (s.rounds ?? []).map((r) => ({
+          ...r,
+          players: (r.players ?? Object.keys(r.scores ?? {})).map(idFor),
+          host: idFor(r.host),
+          friends: (r.friends ?? []).map(idFor),
+          scores: Object.fromEntries(Object.entries(r.scores ?? {}).map(([name, pts]) => [idFor(name), pts])),
+        })),
+      },
+    ])
+  );
+  const roster = Array.from(ids.entries()).map(([name, id]) => ({ id, name }));
+  return { gameData: sessions, roster };
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { mergePlayers } from "./roster.js";
+import { sessionLevels } from "./levels.js";
+import { calculateScores, STANDARD_RULES } from "./scoring.js";
+
+const PLAYERS = ["a", "x", "c", "d", "e", "f"];
+
+function levelRound(id, extra = {}) {
+  const result = calculateScores(STANDARD_RULES, {
+    mode: "Levels",
+    players: PLAYERS,
+    hostIdx: 1,
+    friendIdxs: [2],
+    bid: 160,
+    opponentScore: 0,
+  });
+  return {
+    id,
+    round: 1,
+    mode: "Levels",
+    players: PLAYERS,
+    host: "x",
+    friends: ["c"],
+    bid: 160,
+    opponentScore: 0,
+    ...result,
+    rules: STANDARD_RULES,
+    calls: [{ card: { nth: 1, rank: "A", suit: "♥" }, holder: "c", trick: 3 }, { card: { nth: 2, rank: "A", suit: "♥" }, holder: "x", trick: 5 }],
+    auction: [{ player: "a", bid: 150 }, { player: "x", bid: 145 }],
+    audit: [{ at: "2026-01-01T00:00:00.000Z", by: "x", action: "edited", changes: [{ field: "host", from: "a", to: "x" }] }],
+    syncedAt: "2026-01-01T00:00:00.000Z",
+    ...extra,
+  };
+}
+
+function gameData() {
+  return {
+    s1: {
+      id: "s1",
+      date: "Thu Jan 01 2026",
+      players: PLAYERS,
+      rounds: [levelRound("r1")],
+      deletedRounds: [levelRound("r0", { deletedAt: "2026-01-01T00:00:00.000Z" })],
+      settlement: { rate: 0.01, basis: "average", paid: [{ from: "x", to: "a", amount: 100, at: "2026-01-01T00:00:00.000Z" }] },
+    },
+  };
+}
+
+const roster = [
+  { id: "a", name: "Ann" },
+  { id: "x", name: "Bea (dup)" },
+  { id: "b", name: "Bea" },
+];
+
+describe("mergePlayers on a Level-up round", () => {
+  const merged = mergePlayers(gameData(), roster, "x", "b");
+  const session = merged.gameData.s1;
+  const [round] = session.rounds;
+
+  it("moves the level changes to the surviving player", () => {
+    expect(round.levelChanges).toEqual({ a: 0, b: 3, c: 3, d: 0, e: 0, f: 0 });
+    expect(Object.keys(sessionLevels(session).levels)).not.toContain("x");
+    expect(sessionLevels(session).levels.b).toBe(3);
+  });
+
+  it("still matches a rescore of the merged table", () => {
+    const rescored = calculateScores(STANDARD_RULES, {
+      mode: round.mode,
+      players: round.players,
+      hostIdx: round.players.indexOf(round.host),
+      friendIdxs: round.friends.map((f) => round.players.indexOf(f)),
+      bid: round.bid,
+      opponentScore: round.opponentScore,
+    });
+    expect(rescored.levelChanges).toEqual(round.levelChanges);
+    expect(rescored.scores).toEqual(round.scores);
+    expect(round.syncedAt).toBeNull();
+  });
+
+  it("rewrites calls, the auction and the audit trail", () => {
+    expect(round.host).toBe("b");
+    expect(round.calls.map((c) => c.holder)).toEqual(["c", "b"]);
+    expect(round.auction.map((e) => e.player)).toEqual(["a", "b"]);
+    expect(round.audit[0].by).toBe("b");
+    expect(round.audit[0].changes[0]).toMatchObject({ from: "a", to: "b" });
+  });
+
+  it("rewrites tombstones and settle-up payments", () => {
+    expect(session.deletedRounds[0].host).toBe("b");
+    expect(session.deletedRounds[0].levelChanges.b).toBe(3);
+    expect(session.settlement.paid[0]).toMatchObject({ from: "b", to: "a" });
+    expect(JSON.stringify(merged.gameData)).not.toMatch(/"x"/);
+  });
+
+  it("drops the merged player from the roster", () => {
+    expect(merged.roster.map((p) => p.id)).toEqual(["a", "b"]);
+  });
+
+  it("sums both players' entries if they shared a round", () => {
+    const shared = mergePlayers(gameData(), roster, "x", "c").gameData.s1.rounds[0];
+    expect(shared.levelChanges.c).toBe(6);
+    expect(shared.players).toEqual(["a", "c", "d", "e", "f"]);
+  });
+
+  it("leaves rounds without the player untouched", () => {
+    const data = gameData();
+    expect(mergePlayers(data, roster, "z", "b").gameData.s1.rounds[0]).toBe(data.s1.rounds[0]);
+  });
+});
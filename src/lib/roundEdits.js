@@ -0,0 +1,136 @@
+/**
+ * Editing recorded rounds.
+ * - Edits go back through calculateScores with the rules the round was
+ *   originally scored under, so totals stay consistent
+ * - Deleted rounds move to session.deletedRounds as tombstones so cloud sync
+ *   can propagate the delete instead of re-downloading the round
+ * - Every change appends to round.audit: { at, by, action, changes }
+ */
+
+import { cardLabel, HOLDER_HOST, HOLDER_NONE } from "./calls.js";
+import { calculateScores, withDefaults } from "./scoring.js";
+
+const EDITABLE_FIELDS = ["mode", "host", "friends", "bid", "opponentScore", "calls"];
+
+function touch(round, now) {
+  return { ...round, updatedAt: now, syncedAt: null };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function diffRound(before, after) {
+  return EDITABLE_FIELDS.filter((f) => !sameValue(before[f], after[f])).map((field) => ({
+    field,
+    from: before[field],
+    to: after[field],
+  }));
+}
+
+/** Applies edits to a round and rescores it. Returns the round unchanged if nothing differs. */
+export function editRound(round, edits, by, now = new Date().toISOString()) {
+  const next = { ...round, ...edits };
+  const changes = diffRound(round, next);
+  if (changes.length === 0) return round;
+
+  const result = calculateScores(withDefaults(round.rules), {
+    mode: next.mode,
+    players: next.players,
+    hostIdx: next.players.indexOf(next.host),
+    friendIdxs: next.friends.map((id) => next.players.indexOf(id)),
+    bid: next.bid,
+    opponentScore: next.opponentScore,
+  });
+  const edited = { ...next, ...result, audit: [...(round.audit ?? []), { at: now, by, action: "edited", changes }] };
+  // Only Levels scoring returns levelChanges; a round leaving Levels drops them
+  if (!("levelChanges" in result)) delete edited.levelChanges;
+  return touch(edited, now);
+}
+
+export function renumberRounds(rounds) {
+  return rounds.map((r, i) => (r.round === i + 1 ? r : { ...r, round: i + 1 }));
+}
+
+function withRounds(session, rounds) {
+  return { ...session, rounds: renumberRounds(rounds), currentRound: rounds.length + 1 };
+}
+
+export function replaceRound(session, round) {
+  return withRounds(session, session.rounds.map((r) => (r.id === round.id ? round : r)));
+}
+
+export function deleteRound(session, id, by, now = new Date().toISOString()) {
+  const round = session.rounds.find((r) => r.id === id);
+  if (!round) return session;
+  const tombstone = touch(
+    { ...round, deletedAt: now, audit: [...(round.audit ?? []), { at: now, by, action: "deleted", changes: [] }] },
+    now
+  );
+  return {
+    ...withRounds(session, session.rounds.filter((r) => r.id !== id)),
+    deletedRounds: [...(session.deletedRounds ?? []), tombstone],
+  };
+}
+
+function sameContent(a, b) {
+  const strip = (r) => {
+    const { syncedAt: _s, updatedAt: _u, round: _n, ...rest } = r;
+    return rest;
+  };
+  return sameValue(strip(a), strip(b));
+}
+
+/**
+ * Turns a session snapshot from the undo/redo stack back into the live session.
+ * Rounds that differ from what's live now are re-stamped so sync pushes them,
+ * rounds that disappear become tombstones, and restored rounds drop theirs.
+ */
+export function restoreSnapshot(current, target, now = new Date().toISOString()) {
+  const currentById = new Map(current.rounds.map((r) => [r.id, r]));
+  const targetIds = new Set(target.rounds.map((r) => r.id));
+
+  const rounds = target.rounds.map((t) => {
+    const cur = currentById.get(t.id);
+    if (cur && sameContent(cur, t)) return cur;
+    const { deletedAt: _d, ...live } = t;
+    return touch(live, now);
+  });
+
+  const removed = current.rounds
+    .filter((r) => !targetIds.has(r.id))
+    .map((r) => touch({ ...r, deletedAt: now }, now));
+  const deletedRounds = [
+    ...(current.deletedRounds ?? []).filter((r) => !targetIds.has(r.id) && !removed.some((x) => x.id === r.id)),
+    ...removed,
+  ];
+
+  return { ...withRounds(current, rounds), players: target.players, rulesId: target.rulesId, deletedRounds };
+}
+
+const FIELD_LABELS = {
+  mode: "mode",
+  host: "host",
+  friends: "friends",
+  bid: "bid",
+  opponentScore: "opponent score",
+  calls: "called cards",
+};
+
+/** One-line description of an audit entry, e.g. "Oct 28, 9:14 PM · Alice edited bid 120 → 125". */
+export function describeAuditEntry(entry, nameOf) {
+  const show = (field, v) => {
+    if (field === "host") return nameOf(v);
+    if (field === "friends") return v.map(nameOf).join(", ") || "none";
+    if (field === "calls") {
+      const holder = (h) => (h === HOLDER_HOST ? "host" : h === HOLDER_NONE ? "unrevealed" : nameOf(h));
+      return (v ?? []).map((c) => `${cardLabel(c.card)} (${holder(c.holder)})`).join(", ") || "none";
+    }
+    return String(v);
+  };
+  const when = new Date(entry.at).toLocaleString([], { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  const what = entry.changes
+    .map((c) => `${FIELD_LABELS[c.field]} ${show(c.field, c.from)} → ${show(c.field, c.to)}`)
+    .join("; ");
+  return `${when} · ${nameOf(entry.by)} ${entry.action}${what ? ` ${what}` : ""}`;
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { describeAuditEntry, editRound } from "./roundEdits.js";
+import { calculateScores, STANDARD_RULES } from "./scoring.js";
+
+const PLAYERS = ["a", "b", "c", "d", "e", "f"];
+const card = { nth: 1, rank: "A", suit: "♥" };
+
+function round() {
+  const input = { mode: "Normal", players: PLAYERS, hostIdx: 0, friendIdxs: [1], bid: 120, opponentScore: 50 };
+  return {
+    id: "r1",
+    mode: "Normal",
+    players: PLAYERS,
+    host: "a",
+    friends: ["b"],
+    bid: 120,
+    opponentScore: 50,
+    calls: [{ card, holder: "b", trick: 4 }],
+    ...calculateScores(STANDARD_RULES, input),
+    rules: STANDARD_RULES,
+  };
+}
+
+describe("editRound with called cards", () => {
+  it("rescores with the new holder as the friend and records the call change", () => {
+    const calls = [{ card, holder: "c", trick: 4 }];
+    const edited = editRound(round(), { friends: ["c"], calls }, "a", "2026-01-01T00:00:00.000Z");
+    expect(edited.calls).toEqual(calls);
+    expect(edited.scores.c).toBe(87);
+    expect(edited.scores.b).toBe(0);
+    const entry = edited.audit.at(-1);
+    expect(entry.changes.map((c) => c.field)).toEqual(["friends", "calls"]);
+    expect(describeAuditEntry(entry, (id) => id.toUpperCase())).toMatch(/called cards 1st A♥ \(B\) → 1st A♥ \(C\)/);
+  });
+
+  it("leaves a round unchanged when nothing differs", () => {
+    const r = round();
+    expect(editRound(r, { friends: ["b"], calls: r.calls }, "a")).toBe(r);
+  });
+});
+
+describe("editRound across modes", () => {
+  it("drops level changes when a round leaves Levels mode", () => {
+    const levels = editRound(round(), { mode: "Levels" }, "a");
+    expect(levels.levelChanges).toEqual(expect.objectContaining({ a: expect.any(Number) }));
+    const normal = editRound(levels, { mode: "Normal" }, "a");
+    expect(normal).not.toHaveProperty("levelChanges");
+    expect(normal.scores).toEqual(round().scores);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Scoring rules engine.
+ * - Pure functions only: (rules, round input) -> { scores, winner, distribution }
+ * - A rule set is plain JSON so it can be saved with the session and
+ *   snapshotted onto every round it scored
+ * - teamShares[k] is the split for a host with k friends: host first, then friends
+ * - friendCounts[n] is how many friends the host calls at an n-player table;
+ *   the solo mode is always 1 vs. everyone else (1v3 … 1v7)
+ * - "Levels" mode plays the same teams but scores in rank levels: every
+ *   levelStep of opponent points moves the result one level (see levelOutcome)
+ */
+
+export const MIN_TABLE_SIZE = 4;
+export const MAX_TABLE_SIZE = 8;
+
+export const STANDARD_RULES = {
+  id: "standard",
+  name: "Standard",
+  total: 400,
+  opponentMultiplier: 1.5,
+  teamShares: {
+    0: [1],
+    1: [0.75, 0.25],
+    2: [0.5, 0.25, 0.25],
+    3: [0.4, 0.2, 0.2, 0.2],
+  },
+  friendCounts: { 4: 1, 5: 1, 6: 2, 7: 2, 8: 3 },
+  soloWinPayout: 400,
+  soloOpponentMultiplier: 1.5,
+  soloBid: 200,
+  noBidValue: 160,
+  levelStep: 80,
+};
+
+export const PRESET_RULE_SETS = [
+  STANDARD_RULES,
+  {
+    ...STANDARD_RULES,
+    id: "even-split",
+    name: "Even split",
+    teamShares: {
+      0: [1],
+      1: [0.5, 0.5],
+      2: [1 / 3, 1 / 3, 1 / 3],
+      3: [0.25, 0.25, 0.25, 0.25],
+    },
+  },
+  {
+    ...STANDARD_RULES,
+    id: "double-down",
+    name: "Double opponents",
+    opponentMultiplier: 2,
+    soloOpponentMultiplier: 2,
+    soloWinPayout: 500,
+  },
+];
+
+export function isHostWin(winner) {
+  return winner === "Host" || winner === "Host Team";
+}
+
+// Rule sets saved before a field existed get the standard value for it
+export function withDefaults(rules) {
+  return {
+    ...STANDARD_RULES,
+    ...rules,
+    teamShares: { ...STANDARD_RULES.teamShares, ...rules.teamShares },
+    friendCounts: { ...STANDARD_RULES.friendCounts, ...rules.friendCounts },
+  };
+}
+
+export function findRuleSet(ruleSets, id) {
+  return withDefaults(ruleSets.find((r) => r.id === id) ?? STANDARD_RULES);
+}
+
+export function friendsAllowed(rules, mode, tableSize) {
+  if (mode === "1v5") return 0;
+  return rules.friendCounts?.[tableSize] ?? Math.max(0, Math.floor(tableSize / 2) - 1);
+}
+
+export function modeLabel(mode, tableSize) {
+  if (mode === "Levels") return "Level-up";
+  return mode === "1v5" ? `1v${tableSize - 1}` : mode;
+}
+
+/**
+ * Level-up result for an opponent score, in bands of rules.levelStep:
+ * 0 → host team +3; below 1 step +2; below 2 steps +1; below 3 steps the
+ * opponents take the stage without levelling; then opponents +1, +2, +3.
+ */
+export function levelOutcome(rules, opponentScore) {
+  const step = rules.levelStep;
+  if (opponentScore === 0) return { winner: "Host Team", levels: 3 };
+  const band = Math.floor(opponentScore / step);
+  if (band < 2) return { winner: "Host Team", levels: 2 - band };
+  return { winner: "Opponents", levels: Math.min(3, band - 2) };
+}
+
+// Opponent score the host team has to stay under to level up
+export function levelPassLine(rules) {
+  return rules.levelStep * 2;
+}
+
+/** Returns a list of human-readable problems; empty when the rule set is usable. */
+export function validateRules(rules) {
+  const problems = [];
+  if (!rules.name?.trim()) problems.push("Name is required.");
+  ["total", "opponentMultiplier", "soloWinPayout", "soloOpponentMultiplier", "soloBid", "noBidValue"].forEach((k) => {
+    if (!Number.isFinite(rules[k]) || rules[k] < 0) problems.push(`${k} must be a non-negative number.`);
+  });
+  if (!Number.isFinite(rules.levelStep) || rules.levelStep <= 0) problems.push("levelStep must be a positive number.");
+  Object.entries(rules.teamShares ?? {}).forEach(([k, shares]) => {
+    if (!Array.isArray(shares) || shares.length !== Number(k) + 1) {
+      problems.push(`Split for ${k} friend(s) needs ${Number(k) + 1} shares.`);
+      return;
+    }
+    const sum = shares.reduce((a, b) => a + b, 0);
+    if (Math.abs(sum - 1) > 0.001) problems.push(`Split for ${k} friend(s) adds up to ${Math.round(sum * 100)}%, not 100%.`);
+  });
+  Object.entries(rules.friendCounts ?? {}).forEach(([n, k]) => {
+    if (!Number.isInteger(k) || k < 0 || k > Number(n) - 2) {
+      problems.push(`Friend count for ${n} players must be between 0 and ${Number(n) - 2}.`);
+    } else if (!rules.teamShares?.[k]) {
+      problems.push(`${n} players call ${k} friend(s) but there is no split for ${k} friend(s).`);
+    }
+  });
+  return problems;
+}
+
+// Host share is rounded first; each friend but the last gets a rounded share of
+// what's left, and the last friend takes the remainder so nothing is lost.
+function splitTeamPoints(rules, distributable, friendCount) {
+  const shares = rules.teamShares[friendCount];
+  if (!shares) throw new Error(`Rule set "${rules.name}" has no split for ${friendCount} friend(s).`);
+
+  const hostPts = Math.round(distributable * shares[0]);
+  const remaining = distributable - hostPts;
+  const friendPool = 1 - shares[0];
+  const friendPts = [];
+  let given = 0;
+  for (let i = 1; i <= friendCount; i++) {
+    const pts = i === friendCount
+      ? remaining - given
+      : friendPool > 0 ? Math.round(remaining * (shares[i] / friendPool)) : 0;
+    friendPts.push(pts);
+    given += pts;
+  }
+  return { hostPts, friendPts };
+}
+
+// `mode` is "Normal", "1v5" or "Levels". "1v5" is the solo mode at any table
+// size; the stored value predates variable tables and is kept for old rounds.
+// Levels rounds score no points; levelChanges holds the levels each player gained.
+export function calculateScores(rules, { mode, players, hostIdx, friendIdxs, bid, opponentScore }) {
+  const scores = Object.fromEntries(players.map((p) => [p, 0]));
+
+  const hostName = players[hostIdx];
+  const friendNames = friendIdxs.map((i) => players[i]);
+  const teamSet = new Set([hostName, ...friendNames]);
+
+  const opponents = players.filter((p) => !teamSet.has(p));
+  const winHostTeam = opponentScore < bid;
+
+  if (mode === "Levels") {
+    const { winner, levels } = levelOutcome(rules, opponentScore);
+    const climbers = winner === "Host Team" ? [...teamSet] : opponents;
+    const levelChanges = Object.fromEntries(players.map((p) => [p, climbers.includes(p) ? levels : 0]));
+    const distribution = levels === 0
+      ? "Opponents take the stage"
+      : `${winner === "Host Team" ? "Host team" : "Opponents"} +${levels} level${levels === 1 ? "" : "s"}`;
+    return { scores, winner, distribution, levelChanges };
+  }
+
+  if (mode === "1v5") {
+    const label = modeLabel(mode, players.length);
+    if (winHostTeam) {
+      scores[hostName] = rules.soloWinPayout;
+      return { scores, winner: "Host", distribution: `${label} host win: +${rules.soloWinPayout}` };
+    }
+    const each = (opponentScore * rules.soloOpponentMultiplier) / opponents.length;
+    opponents.forEach((p) => (scores[p] = each));
+    return { scores, winner: "Opponents", distribution: `${label} opponents: each +${each.toFixed(0)}` };
+  }
+
+  // Normal mode
+  if (winHostTeam) {
+    const distributable = rules.total - opponentScore;
+    const { hostPts, friendPts } = splitTeamPoints(rules, distributable, friendNames.length);
+    scores[hostName] = hostPts;
+    friendNames.forEach((f, i) => (scores[f] = friendPts[i]));
+    return { scores, winner: "Host Team", distribution: `Host team split of ${distributable}` };
+  }
+  const each = (opponentScore * rules.opponentMultiplier) / opponents.length;
+  opponents.forEach((p) => (scores[p] = each));
+  return { scores, winner: "Opponents", distribution: `Opponents each +${each.toFixed(0)}` };
+}
@@ -0,0 +1,209 @@
+import { describe, expect, it } from "vitest";
+import {
+  calculateScores,
+  findRuleSet,
+  friendsAllowed,
+  levelOutcome,
+  levelPassLine,
+  modeLabel,
+  PRESET_RULE_SETS,
+  STANDARD_RULES,
+  validateRules,
+  withDefaults,
+} from "./scoring.js";
+
+const SIX = ["a", "b", "c", "d", "e", "f"];
+const [EVEN_SPLIT, DOUBLE_DOWN] = PRESET_RULE_SETS.slice(1);
+
+function score(input, rules = STANDARD_RULES) {
+  return calculateScores(rules, { mode: "Normal", players: SIX, hostIdx: 0, friendIdxs: [], ...input });
+}
+
+describe("calculateScores: Normal", () => {
+  it("gives a friendless host everything the opponents didn't take", () => {
+    const { scores, winner } = score({ bid: 120, opponentScore: 40 });
+    expect(winner).toBe("Host Team");
+    expect(scores).toEqual({ a: 360, b: 0, c: 0, d: 0, e: 0, f: 0 });
+  });
+
+  it("splits a win 75/25 with one friend, rounding the host share", () => {
+    const { scores, distribution } = score({ friendIdxs: [1], bid: 120, opponentScore: 50 });
+    expect(scores.a).toBe(263);
+    expect(scores.b).toBe(87);
+    expect(distribution).toBe("Host team split of 350");
+  });
+
+  it("gives the last friend the remainder of an odd distributable", () => {
+    const { scores } = score({ friendIdxs: [1, 2], bid: 120, opponentScore: 45 });
+    expect([scores.a, scores.b, scores.c]).toEqual([178, 89, 88]);
+    expect(scores.a + scores.b + scores.c).toBe(355);
+  });
+
+  it("pays each opponent their share of 1.5× the opponent score on a loss", () => {
+    const { scores, winner } = score({ friendIdxs: [1, 2], bid: 120, opponentScore: 130 });
+    expect(winner).toBe("Opponents");
+    expect(scores).toEqual({ a: 0, b: 0, c: 0, d: 65, e: 65, f: 65 });
+  });
+
+  it("counts reaching the bid exactly as a loss", () => {
+    expect(score({ friendIdxs: [1], bid: 120, opponentScore: 120 }).winner).toBe("Opponents");
+  });
+
+  it("splits a loss between more opponents when the host has no friends", () => {
+    const { scores } = score({ bid: 120, opponentScore: 130 });
+    expect(scores.b).toBeCloseTo(39);
+    expect(scores.a).toBe(0);
+  });
+
+  it("plays a no-bid round at the no-bid value", () => {
+    const { scores, winner } = score({ bid: STANDARD_RULES.noBidValue, opponentScore: 100 });
+    expect(winner).toBe("Host Team");
+    expect(scores.a).toBe(300);
+  });
+
+  it("throws when the rule set has no split for the friend count", () => {
+    const rules = { ...STANDARD_RULES, name: "Short", teamShares: { 0: [1] } };
+    expect(() => score({ friendIdxs: [1], bid: 120, opponentScore: 50 }, rules)).toThrow(/no split for 1 friend/);
+  });
+});
+
+describe("calculateScores: 1vN", () => {
+  const solo = (opponentScore, players = SIX) =>
+    calculateScores(STANDARD_RULES, { mode: "1v5", players, hostIdx: 0, friendIdxs: [], bid: 200, opponentScore });
+
+  it("pays the soloist the fixed payout on a win", () => {
+    const { scores, winner, distribution } = solo(150);
+    expect(winner).toBe("Host");
+    expect(scores).toEqual({ a: 400, b: 0, c: 0, d: 0, e: 0, f: 0 });
+    expect(distribution).toBe("1v5 host win: +400");
+  });
+
+  it("splits 1.5× the opponent score between everyone else on a loss", () => {
+    const { scores, winner, distribution } = solo(200);
+    expect(winner).toBe("Opponents");
+    expect(scores.a).toBe(0);
+    expect(scores.b).toBe(60);
+    expect(distribution).toBe("1v5 opponents: each +60");
+  });
+
+  it("labels the mode by table size", () => {
+    expect(solo(200, ["a", "b", "c", "d"]).distribution).toBe("1v3 opponents: each +100");
+  });
+});
+
+describe("calculateScores: Level-up", () => {
+  const levels = (opponentScore) =>
+    calculateScores(STANDARD_RULES, { mode: "Levels", players: SIX, hostIdx: 0, friendIdxs: [1, 2], bid: 160, opponentScore });
+
+  it("scores no points and levels the host team up on a win", () => {
+    const { scores, winner, levelChanges, distribution } = levels(40);
+    expect(Object.values(scores).every((p) => p === 0)).toBe(true);
+    expect(winner).toBe("Host Team");
+    expect(levelChanges).toEqual({ a: 2, b: 2, c: 2, d: 0, e: 0, f: 0 });
+    expect(distribution).toBe("Host team +2 levels");
+  });
+
+  it("levels the opponents up once they pass the line", () => {
+    const { levelChanges, winner } = levels(250);
+    expect(winner).toBe("Opponents");
+    expect(levelChanges).toEqual({ a: 0, b: 0, c: 0, d: 1, e: 1, f: 1 });
+  });
+
+  it("lets the opponents take the stage without levelling just past the line", () => {
+    const { levelChanges, distribution } = levels(170);
+    expect(Object.values(levelChanges).every((l) => l === 0)).toBe(true);
+    expect(distribution).toBe("Opponents take the stage");
+  });
+});
+
+describe("levelOutcome", () => {
+  it.each([
+    [0, "Host Team", 3],
+    [40, "Host Team", 2],
+    [100, "Host Team", 1],
+    [170, "Opponents", 0],
+    [250, "Opponents", 1],
+    [330, "Opponents", 2],
+    [400, "Opponents", 3],
+  ])("opponents on %i → %s +%i", (opponentScore, winner, levels) => {
+    expect(levelOutcome(STANDARD_RULES, opponentScore)).toEqual({ winner, levels });
+  });
+
+  it("puts the pass line at two steps", () => {
+    expect(levelPassLine(STANDARD_RULES)).toBe(160);
+  });
+});
+
+describe("custom rule sets", () => {
+  it("uses the rule set's split", () => {
+    const { scores } = score({ friendIdxs: [1, 2], bid: 120, opponentScore: 100 }, EVEN_SPLIT);
+    expect([scores.a, scores.b, scores.c]).toEqual([100, 100, 100]);
+  });
+
+  it("uses the rule set's multipliers and solo payout", () => {
+    expect(score({ friendIdxs: [1, 2], bid: 120, opponentScore: 150 }, DOUBLE_DOWN).scores.d).toBe(100);
+    const solo = calculateScores(DOUBLE_DOWN, { mode: "1v5", players: SIX, hostIdx: 0, friendIdxs: [], bid: 200, opponentScore: 0 });
+    expect(solo.scores.a).toBe(500);
+  });
+
+  it("fills fields a saved rule set predates with the standard values", () => {
+    const rules = withDefaults({ id: "old", name: "Old", total: 400, teamShares: { 1: [0.6, 0.4] } });
+    expect(rules.levelStep).toBe(80);
+    expect(rules.teamShares[1]).toEqual([0.6, 0.4]);
+    expect(rules.teamShares[2]).toEqual(STANDARD_RULES.teamShares[2]);
+    expect(rules.friendCounts).toEqual(STANDARD_RULES.friendCounts);
+  });
+
+  it("falls back to the standard rules for an unknown id", () => {
+    expect(findRuleSet(PRESET_RULE_SETS, "even-split").name).toBe("Even split");
+    expect(findRuleSet([], "missing").id).toBe("standard");
+  });
+});
+
+describe("friendsAllowed and modeLabel", () => {
+  it.each([
+    [4, 1],
+    [5, 1],
+    [6, 2],
+    [7, 2],
+    [8, 3],
+  ])("a table of %i calls %i friend(s)", (size, friends) => {
+    expect(friendsAllowed(STANDARD_RULES, "Normal", size)).toBe(friends);
+  });
+
+  it("allows no friends in 1vN", () => {
+    expect(friendsAllowed(STANDARD_RULES, "1v5", 8)).toBe(0);
+  });
+
+  it("derives a friend count for a table the rule set doesn't list", () => {
+    expect(friendsAllowed({ friendCounts: {} }, "Normal", 8)).toBe(3);
+  });
+
+  it("names the modes", () => {
+    expect(modeLabel("1v5", 7)).toBe("1v6");
+    expect(modeLabel("Levels", 6)).toBe("Level-up");
+    expect(modeLabel("Normal", 6)).toBe("Normal");
+  });
+});
+
+describe("validateRules", () => {
+  it("accepts the presets", () => {
+    PRESET_RULE_SETS.forEach((rules) => expect(validateRules(rules)).toEqual([]));
+  });
+
+  it.each([
+    [{ name: " " }, "Name is required."],
+    [{ total: -1 }, "total must be a non-negative number."],
+    [{ soloBid: Number.NaN }, "soloBid must be a non-negative number."],
+    [{ levelStep: 0 }, "levelStep must be a positive number."],
+    [{ teamShares: { ...STANDARD_RULES.teamShares, 1: [1] } }, "Split for 1 friend(s) needs 2 shares."],
+    [{ teamShares: { ...STANDARD_RULES.teamShares, 1: [0.5, 0.4] } }, "Split for 1 friend(s) adds up to 90%, not 100%."],
+    [{ friendCounts: { ...STANDARD_RULES.friendCounts, 4: 3 } }, "Friend count for 4 players must be between 0 and 2."],
+    [
+      { teamShares: { 0: [1], 1: [0.75, 0.25] } },
+      "6 players call 2 friend(s) but there is no split for 2 friend(s).",
+    ],
+  ])("rejects %o", (changes, problem) => {
+    expect(validateRules({ ...STANDARD_RULES, ...changes })).toContain(problem);
+  });
+});
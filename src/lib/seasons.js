@@ -0,0 +1,136 @@
+/**
+ * League seasons: named date ranges with their own standings.
+ * - A season is { id, name, start, end, minSessions, rankBy } with start/end
+ *   as inclusive "YYYY-MM-DD" days; a session counts when its date is inside
+ * - Standings rank by total points or average per round; players who attended
+ *   fewer than minSessions sessions are listed below the ranked ones
+ * - Once its end date has passed a season is closed: closeSeason stores the
+ *   podium in season.archive, which the Hall of Fame shows from then on.
+ *   Closing early moves the end date to today (the planned one is kept for
+ *   reopening); reopening drops the archive so it's recomputed at the next close
+ */
+
+import { labelToDateInput, todayLabel } from "./sessions.js";
+
+export const SEASON_RANKINGS = [
+  ["points", "Total points"],
+  ["average", "Average per round"],
+];
+
+export const PODIUM_SIZE = 3;
+
+export function newSeasonId() {
+  return `se-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function todayInput() {
+  return labelToDateInput(todayLabel());
+}
+
+function addMonths(day, months) {
+  const [y, m, d] = day.split("-").map(Number);
+  const dt = new Date(y, m - 1 + months, d - 1);
+  return labelToDateInput(dt.toDateString());
+}
+
+// Dec–Feb is winter (named for the January), Mar–May spring, and so on
+export function suggestSeason(today = todayInput()) {
+  const [y, m] = today.split("-").map(Number);
+  const names = ["Winter", "Spring", "Summer", "Fall"];
+  const name = `${names[Math.floor((m % 12) / 3)]} ${m === 12 ? y + 1 : y}`;
+  return { name, start: today, end: addMonths(today, 3), minSessions: 3, rankBy: "points" };
+}
+
+export function validateSeason(season, seasons) {
+  if (!season.name.trim()) return "Give the season a name.";
+  if (!season.start || !season.end) return "Pick a start and an end date.";
+  if (season.end < season.start) return "The season has to end after it starts.";
+  if (seasons.some((s) => s.id !== season.id && s.name.trim().toLowerCase() === season.name.trim().toLowerCase())) {
+    return `There's already a season called ${season.name.trim()}.`;
+  }
+  if (!(season.minSessions >= 0)) return "Minimum attendance can't be negative.";
+  return null;
+}
+
+export function seasonSessions(gameData, season) {
+  return Object.values(gameData).filter((s) => {
+    const day = labelToDateInput(s.date);
+    return day >= season.start && day <= season.end && s.rounds.length > 0;
+  });
+}
+
+/**
+ * { rows, rounds, sessions } where rows is [{ id, points, rounds, sessions,
+ * average, eligible }]: eligible players ranked by season.rankBy (ties go to
+ * more points), then the rest.
+ */
+export function seasonStandings(gameData, season) {
+  const sessions = seasonSessions(gameData, season);
+  const byPlayer = new Map();
+  sessions.forEach((s) => {
+    const attended = new Set();
+    s.rounds.forEach((r) => {
+      r.players.forEach((id) => {
+        if (!byPlayer.has(id)) byPlayer.set(id, { id, points: 0, rounds: 0, sessions: 0 });
+        byPlayer.get(id).rounds += 1;
+        byPlayer.get(id).points += r.scores[id] ?? 0;
+        attended.add(id);
+      });
+    });
+    attended.forEach((id) => (byPlayer.get(id).sessions += 1));
+  });
+
+  const rows = Array.from(byPlayer.values())
+    .map((p) => ({
+      ...p,
+      points: Math.round(p.points),
+      average: p.rounds ? Math.round((p.points / p.rounds) * 10) / 10 : 0,
+      eligible: p.sessions >= season.minSessions,
+    }))
+    .sort((a, b) => b.eligible - a.eligible || b[season.rankBy] - a[season.rankBy] || b.points - a.points);
+  return { rows, rounds: sessions.reduce((n, s) => n + s.rounds.length, 0), sessions: sessions.length };
+}
+
+/** upcoming | active | ended (waiting to be closed) | closed */
+export function seasonStatus(season, today = todayInput()) {
+  if (season.closedAt) return "closed";
+  if (today < season.start) return "upcoming";
+  return today > season.end ? "ended" : "active";
+}
+
+/** Archives the podium; `names` is { [playerId]: name } so the archive keeps them. */
+export function closeSeason(season, gameData, names, now = new Date()) {
+  const today = labelToDateInput(now.toDateString());
+  const closing = season.end > today ? { ...season, end: today, plannedEnd: season.end } : season;
+  const { rows, rounds, sessions } = seasonStandings(gameData, closing);
+  const podium = rows
+    .filter((r) => r.eligible)
+    .slice(0, PODIUM_SIZE)
+    .map(({ id, points, rounds: played, sessions: attended, average }) => ({
+      id,
+      name: names[id] ?? "Unknown player",
+      points,
+      rounds: played,
+      sessions: attended,
+      average,
+    }));
+  return {
+    ...closing,
+    closedAt: now.toISOString(),
+    archive: { podium, rounds, sessions, players: rows.length },
+  };
+}
+
+export function reopenSeason(season) {
+  const { closedAt: _closedAt, archive: _archive, plannedEnd, ...open } = season;
+  return plannedEnd ? { ...open, end: plannedEnd } : open;
+}
+
+export function seasonsToClose(seasons, today = todayInput()) {
+  return seasons.filter((s) => seasonStatus(s, today) === "ended");
+}
+
+/** Closed seasons, most recent first. */
+export function hallOfFame(seasons) {
+  return seasons.filter((s) => s.closedAt).sort((a, b) => b.end.localeCompare(a.end));
+}
@@ -0,0 +1,79 @@
+/**
+ * Sessions: one sitting at the table. gameData is keyed by session id.
+ * - { id, date, startedAt, label, players, rounds, deletedRounds, currentRound, rulesId }
+ * - `date` stays a toDateString() label (e.g. "Mon Oct 28 2024") because
+ *   rounds and the sync backend group by it; several sessions may share a date
+ */
+
+export function todayLabel() {
+  return new Date().toDateString();
+}
+
+export function newSessionId() {
+  return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Round IDs double as the sync key, so a retried push upserts instead of
+// duplicating; they must stay unique across devices adding rounds at once.
+export function newRoundId() {
+  if (globalThis.crypto?.randomUUID) return `r-${crypto.randomUUID()}`;
+  return `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Sessions from before sessions had IDs were keyed by date; derive the ID from
+// it so every device migrating the same data agrees on it.
+export function legacySessionId(date) {
+  return `s-${date.replace(/\s+/g, "-")}`;
+}
+
+/** "2024-10-28" (from <input type="date">) -> "Mon Oct 28 2024" */
+export function dateInputToLabel(value) {
+  const [y, m, d] = value.split("-").map(Number);
+  return new Date(y, m - 1, d).toDateString();
+}
+
+/** "Mon Oct 28 2024" -> "2024-10-28" */
+export function labelToDateInput(label) {
+  const dt = new Date(label);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${dt.getFullYear()}-${pad(dt.getMonth() + 1)}-${pad(dt.getDate())}`;
+}
+
+export function createSession({ date = todayLabel(), label = "", startedAt, players, rulesId }) {
+  return {
+    id: newSessionId(),
+    date,
+    label,
+    startedAt: startedAt ?? new Date().toISOString(),
+    players,
+    rounds: [],
+    deletedRounds: [],
+    currentRound: 1,
+    ...(rulesId ? { rulesId } : {}),
+  };
+}
+
+function sessionTime(s) {
+  const t = Date.parse(s.startedAt);
+  return Number.isNaN(t) ? new Date(s.date).getTime() : t;
+}
+
+/** Newest first: by date, then start time within the same date. */
+export function sortSessions(sessions) {
+  return [...sessions].sort(
+    (a, b) => new Date(b.date).getTime() - new Date(a.date).getTime() || sessionTime(b) - sessionTime(a)
+  );
+}
+
+export function latestSession(gameData) {
+  return sortSessions(Object.values(gameData))[0];
+}
+
+export function sessionTitle(s) {
+  const time = new Date(s.startedAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  return s.label ? `${s.date} · ${s.label}` : `${s.date} · ${time}`;
+}
+
+export function isToday(s) {
+  return s.date === todayLabel();
+}
@@ -0,0 +1,144 @@
+/**
+ * Settling a session up in money.
+ * - A session's settlement is { rate, basis, paid } kept on the session once
+ *   someone starts settling it; rate is money per point, paid lists the
+ *   transfers marked as paid ({ from, to, amount, at })
+ * - basis "average": each player gets or pays the difference between their
+ *   total and the table average; "zero-sum": every pair of players settles
+ *   their point difference, so balances are table-size times larger
+ * - Money is handled in whole cents; rounding leftovers go to the largest
+ *   balance so every session still sums to zero
+ * - Transfers are the fewest that clear the balances: players are split into
+ *   as many groups that settle among themselves as possible, and each group
+ *   of k players needs k − 1 transfers
+ */
+
+export const SETTLE_BASES = [
+  ["average", "Table average"],
+  ["zero-sum", "Zero-sum"],
+];
+
+export const DEFAULT_SETTLEMENT = { rate: 0.01, basis: "average", paid: [] };
+
+// Exact grouping walks every subset of the balances; beyond this it's greedy
+const EXACT_LIMIT = 12;
+
+export function settlementOf(session) {
+  return { ...DEFAULT_SETTLEMENT, ...session.settlement };
+}
+
+export function sessionTotals(session) {
+  const totals = {};
+  session.rounds.forEach((r) =>
+    Object.entries(r.scores).forEach(([id, pts]) => (totals[id] = (totals[id] ?? 0) + pts))
+  );
+  return totals;
+}
+
+/** { [playerId]: cents } before payments; positive means the player is owed money. */
+export function netBalances(session, settlement = settlementOf(session)) {
+  const totals = sessionTotals(session);
+  const ids = Object.keys(totals);
+  if (ids.length === 0) return {};
+  const sum = ids.reduce((s, id) => s + totals[id], 0);
+  const weight = settlement.basis === "zero-sum" ? ids.length : 1;
+  const net = Object.fromEntries(
+    ids.map((id) => [id, Math.round((totals[id] - sum / ids.length) * weight * settlement.rate * 100)])
+  );
+  const leftover = ids.reduce((s, id) => s + net[id], 0);
+  if (leftover) {
+    const largest = ids.reduce((a, b) => (Math.abs(net[b]) > Math.abs(net[a]) ? b : a));
+    net[largest] -= leftover;
+  }
+  return net;
+}
+
+/** Balances still open once the paid transfers are taken off. */
+export function outstandingBalances(session, settlement = settlementOf(session)) {
+  const net = netBalances(session, settlement);
+  settlement.paid.forEach(({ from, to, amount }) => {
+    net[from] = (net[from] ?? 0) + amount;
+    net[to] = (net[to] ?? 0) - amount;
+  });
+  return net;
+}
+
+// Largest debtor pays the largest creditor until everyone is square
+function greedyTransfers(entries) {
+  const open = entries.map(([id, cents]) => ({ id, cents }));
+  const transfers = [];
+  for (;;) {
+    const debtor = open.reduce((a, b) => (b.cents < a.cents ? b : a), open[0]);
+    const creditor = open.reduce((a, b) => (b.cents > a.cents ? b : a), open[0]);
+    if (!debtor || debtor.cents >= 0 || creditor.cents <= 0) return transfers;
+    const amount = Math.min(-debtor.cents, creditor.cents);
+    transfers.push({ from: debtor.id, to: creditor.id, amount });
+    debtor.cents += amount;
+    creditor.cents -= amount;
+  }
+}
+
+/** [{ from, to, amount }] in cents, as few as possible. */
+export function minimalTransfers(balances) {
+  const entries = Object.entries(balances).filter(([, cents]) => cents !== 0);
+  const n = entries.length;
+  if (n > EXACT_LIMIT) return greedyTransfers(entries);
+
+  // groups[mask]: most zero-sum groups the players in mask can be split into
+  const size = 1 << n;
+  const sums = new Array(size).fill(0);
+  const groups = new Array(size).fill(0);
+  for (let mask = 1; mask < size; mask++) {
+    const low = mask & -mask;
+    sums[mask] = sums[mask ^ low] + entries[Math.log2(low)][1];
+    let best = 0;
+    for (let i = 0; i < n; i++) if (mask & (1 << i)) best = Math.max(best, groups[mask ^ (1 << i)]);
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Peel players off along the best path; each zero-sum prefix closes a group
+  const order = [];
+  for (let mask = size - 1; mask; ) {
+    let pick = -1;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i) && (pick < 0 || groups[mask ^ (1 << i)] > groups[mask ^ (1 << pick)])) pick = i;
+    }
+    order.unshift(pick);
+    mask ^= 1 << pick;
+  }
+  const transfers = [];
+  let group = [];
+  let running = 0;
+  order.forEach((i) => {
+    group.push(entries[i]);
+    running += entries[i][1];
+    if (running === 0) {
+      transfers.push(...greedyTransfers(group));
+      group = [];
+    }
+  });
+  return transfers;
+}
+
+/**
+ * Unpaid money from the other sessions that have been settled: per-player
+ * totals, plus the sessions it comes from (newest first as given).
+ */
+export function carriedBalances(sessions, exceptId) {
+  const balances = {};
+  const open = [];
+  sessions.forEach((s) => {
+    if (s.id === exceptId || !s.settlement) return;
+    const outstanding = outstandingBalances(s);
+    const owed = Object.values(outstanding).reduce((sum, c) => sum + Math.max(0, c), 0);
+    if (!owed) return;
+    Object.entries(outstanding).forEach(([id, cents]) => (balances[id] = (balances[id] ?? 0) + cents));
+    open.push({ session: s, owed });
+  });
+  return { balances, sessions: open };
+}
+
+export function formatMoney(cents) {
+  const sign = cents < 0 ? "−" : "";
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
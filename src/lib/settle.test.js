@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { minimalTransfers, netBalances, outstandingBalances } from "./settle.js";
+
+const session = (...scores) => ({ id: "s1", rounds: scores.map((s) => ({ scores: s })) });
+
+// Applies the transfers and returns whatever is left open
+function afterPaying(balances, transfers) {
+  const left = { ...balances };
+  transfers.forEach(({ from, to, amount }) => {
+    left[from] += amount;
+    left[to] -= amount;
+  });
+  return Object.values(left).filter((c) => c !== 0);
+}
+
+describe("netBalances", () => {
+  it("rounds to cents and gives the leftover to the largest balance", () => {
+    const net = netBalances(session({ a: 100, b: 0, c: 0 }));
+    expect(net).toEqual({ a: 66, b: -33, c: -33 });
+  });
+
+  it("weights zero-sum by table size", () => {
+    const s = session({ a: 60, b: 20 }, { a: 40, b: 0, c: 0 });
+    expect(netBalances(s, { rate: 0.01, basis: "zero-sum", paid: [] })).toEqual({ a: 180, b: -60, c: -120 });
+  });
+
+  it("is empty for a session without rounds and takes paid transfers off", () => {
+    expect(netBalances(session())).toEqual({});
+    const s = { ...session({ a: 100, b: 0 }), settlement: { rate: 0.01, basis: "average", paid: [{ from: "b", to: "a", amount: 20 }] } };
+    expect(outstandingBalances(s)).toEqual({ a: 30, b: -30 });
+  });
+});
+
+describe("minimalTransfers", () => {
+  it("needs nothing when everyone is square", () => {
+    expect(minimalTransfers({ a: 0, b: 0, c: 0 })).toEqual([]);
+    expect(minimalTransfers({})).toEqual([]);
+  });
+
+  it("has a single debtor pay each creditor", () => {
+    const transfers = minimalTransfers({ a: -1000, b: 400, c: 600 });
+    expect(transfers).toEqual(
+      expect.arrayContaining([
+        { from: "a", to: "b", amount: 400 },
+        { from: "a", to: "c", amount: 600 },
+      ])
+    );
+    expect(transfers).toHaveLength(2);
+  });
+
+  it("finds groups that settle among themselves where largest-first would not", () => {
+    // Largest-first pairs a with e and needs four transfers; {a, c, d} and {b, e} need three
+    const balances = { a: -700, b: -600, c: 300, d: 400, e: 600 };
+    const transfers = minimalTransfers(balances);
+    expect(transfers).toHaveLength(3);
+    expect(transfers).toContainEqual({ from: "b", to: "e", amount: 600 });
+    expect(afterPaying(balances, transfers)).toEqual([]);
+  });
+
+  it("falls back to largest-first past the exact limit and still clears everything", () => {
+    const balances = Object.fromEntries(
+      Array.from({ length: 14 }, (_, i) => [`p${i}`, i < 7 ? -(i + 1) * 100 : (i - 6) * 100])
+    );
+    const transfers = minimalTransfers(balances);
+    expect(afterPaying(balances, transfers)).toEqual([]);
+    expect(transfers.every((t) => t.amount > 0 && Number.isInteger(t.amount))).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Statistics tab: filters and player rankings.
+ * - filterGameData keeps the { [sessionId]: session } shape with only the
+ *   matching rounds, so every stats panel can take the filtered copy
+ * - Rankings cover everyone who played a matching round, not just the
+ *   current table
+ * - Best Host / Best Friend only consider players over the minimum number of
+ *   hosted / friend rounds set in the filters
+ */
+
+import { isHostWin } from "./scoring.js";
+import { labelToDateInput } from "./sessions.js";
+import { INITIAL_RATING, INITIAL_RD } from "./ratings.js";
+
+export const STATS_MODES = [
+  ["all", "All modes"],
+  ["Normal", "Normal"],
+  ["1v5", "1vN"],
+  ["Levels", "Level-up"],
+];
+
+export const DEFAULT_STATS_FILTERS = {
+  scope: "all", // all | session
+  from: "", // YYYY-MM-DD, inclusive
+  to: "",
+  mode: "all",
+  players: [], // only rounds where all of these played
+  minHosted: 3,
+  minFriendGames: 3,
+};
+
+/** True when any filter narrows the rounds (thresholds don't). */
+export function isFiltered(filters) {
+  return (
+    filters.scope !== "all" || Boolean(filters.from || filters.to) || filters.mode !== "all" || filters.players.length > 0
+  );
+}
+
+export function filterGameData(gameData, filters, currentSessionId) {
+  const keep = (session, round) => {
+    const day = labelToDateInput(round.date ?? session.date);
+    return (
+      (!filters.from || day >= filters.from) &&
+      (!filters.to || day <= filters.to) &&
+      (filters.mode === "all" || round.mode === filters.mode) &&
+      filters.players.every((id) => round.players.includes(id))
+    );
+  };
+  return Object.fromEntries(
+    Object.values(gameData)
+      .filter((s) => filters.scope === "all" || s.id === currentSessionId)
+      .map((s) => [s.id, { ...s, rounds: s.rounds.filter((r) => keep(s, r)) }])
+      .filter(([, s]) => s.rounds.length > 0)
+  );
+}
+
+/** One row per player in the rounds, sorted by rankBy then total score. */
+export function playerRankings(gameData, { names, ratings, rankBy }) {
+  const stats = {};
+  const statsFor = (id) => {
+    if (!stats[id]) stats[id] = { totalScore: 0, gamesPlayed: 0, hosted: 0, hostWins: 0, friendGames: 0, friendWins: 0 };
+    return stats[id];
+  };
+
+  Object.values(gameData)
+    .flatMap((s) => s.rounds)
+    .forEach((round) => {
+      const won = isHostWin(round.winner);
+      round.players.forEach((id) => {
+        statsFor(id).gamesPlayed += 1;
+      });
+      Object.entries(round.scores).forEach(([id, score]) => {
+        statsFor(id).totalScore += score;
+      });
+      statsFor(round.host).hosted += 1;
+      if (won) statsFor(round.host).hostWins += 1;
+      round.friends.forEach((id) => {
+        statsFor(id).friendGames += 1;
+        if (won) statsFor(id).friendWins += 1;
+      });
+    });
+
+  return Object.entries(stats)
+    .map(([id, s]) => ({
+      id,
+      name: names[id] ?? "Unknown player",
+      totalScore: Math.round(s.totalScore),
+      gamesPlayed: s.gamesPlayed,
+      hosted: s.hosted,
+      hostWins: s.hostWins,
+      hostRate: s.hosted > 0 ? Math.round((s.hostWins / s.hosted) * 100) : 0,
+      friendGames: s.friendGames,
+      friendWins: s.friendWins,
+      friendRate: s.friendGames > 0 ? Math.round((s.friendWins / s.friendGames) * 100) : 0,
+      rating: Math.round(ratings[id]?.rating ?? INITIAL_RATING),
+      ratingRd: Math.round(ratings[id]?.rd ?? INITIAL_RD),
+      confidence: ratings[id]?.confidence ?? 0,
+      ratingSessions: ratings[id]?.sessions ?? [],
+      lastDelta: Math.round(ratings[id]?.sessions.at(-1)?.delta ?? 0),
+    }))
+    .sort((a, b) => b[rankBy] - a[rankBy] || b.totalScore - a.totalScore);
+}
+
+/** { bestHost, bestFriend, mostGamesPlayed } from playerRankings rows. */
+export function bestPerformers(rankings, { minHosted, minFriendGames }) {
+  return {
+    bestHost: rankings.filter((p) => p.hosted >= minHosted).sort((a, b) => b.hostRate - a.hostRate)[0],
+    bestFriend: rankings.filter((p) => p.friendGames >= minFriendGames).sort((a, b) => b.friendRate - a.friendRate)[0],
+    mostGamesPlayed: [...rankings].sort((a, b) => b.gamesPlayed - a.gamesPlayed)[0],
+  };
+}
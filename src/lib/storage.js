@@ -0,0 +1,232 @@
+import { STANDARD_RULES } from "./scoring.js";
+import { assignPlayerIds } from "./roster.js";
+import { legacySessionId } from "./sessions.js";
+
+/**
+ * LocalStorage persistence for the tracker.
+ * - Everything is saved under one key as { schemaVersion, savedAt, gameData, ruleSets, roster, seasons };
+ *   each workspace gets its own key (workspaceStorageKey), the device-only data keeps STORAGE_KEY
+ * - Workspace memberships live beside it under WORKSPACES_KEY
+ * - Older payloads are upgraded step by step through MIGRATIONS
+ * - Anything we can't read is moved aside to a quarantine key (never deleted)
+ *   and reported back to the caller instead of throwing
+ */
+
+export const STORAGE_KEY = "finding-friends:v1";
+export const QUARANTINE_PREFIX = "finding-friends:quarantine:";
+export const SCHEMA_VERSION = 5;
+export const WORKSPACES_KEY = "finding-friends:workspaces";
+
+export function workspaceStorageKey(workspaceId) {
+  return workspaceId ? `${STORAGE_KEY}:${workspaceId}` : STORAGE_KEY;
+}
+
+// MIGRATIONS[n] upgrades a payload at version n to version n + 1.
+// Version 0 is a bare gameData map ({ [date]: session }) without an envelope.
+// Up to v3 gameData is keyed by date; from v4 it is keyed by session id.
+const MIGRATIONS = {
+  0: (legacy) => ({ schemaVersion: 1, gameData: legacy }),
+  // v2: custom rule sets; every session/round records the rules it used
+  1: ({ gameData }) => ({
+    schemaVersion: 2,
+    ruleSets: [],
+    gameData: Object.fromEntries(
+      Object.entries(gameData).map(([date, s]) => [
+        date,
+        {
+          ...s,
+          rulesId: STANDARD_RULES.id,
+          rounds: (s.rounds ?? []).map((r) => ({ rules: STANDARD_RULES, ...r })),
+        },
+      ])
+    ),
+  }),
+  // v3: rounds reference roster player IDs instead of names
+  2: ({ gameData, ruleSets }) => ({
+    schemaVersion: 3,
+    ruleSets,
+    ...assignPlayerIds(gameData),
+  }),
+  // v4: sessions get their own id/label/start time and gameData is keyed by id
+  3: ({ gameData, ...rest }) => ({
+    ...rest,
+    schemaVersion: 4,
+    gameData: Object.fromEntries(
+      Object.entries(gameData).map(([date, s]) => {
+        const id = legacySessionId(date);
+        const tag = (r) => ({ ...r, sessionId: id });
+        return [
+          id,
+          {
+            ...s,
+            id,
+            date,
+            label: "",
+            startedAt: new Date(date).toISOString(),
+            rounds: (s.rounds ?? []).map(tag),
+            deletedRounds: (s.deletedRounds ?? []).map(tag),
+          },
+        ];
+      })
+    ),
+  }),
+  // v5: league seasons (lib/seasons.js)
+  4: (payload) => ({ ...payload, schemaVersion: 5, seasons: [] }),
+};
+
+function getStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    // Safari private mode / disabled storage throws on access
+    return null;
+  }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function payloadVersion(payload) {
+  return Number.isInteger(payload.schemaVersion) ? payload.schemaVersion : 0;
+}
+
+export function migrate(payload) {
+  let current = payload;
+  let version = payloadVersion(current);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Saved data is from a newer version (schema ${version}, this app knows ${SCHEMA_VERSION}).`);
+  }
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from schema ${version}.`);
+    current = step(current);
+    version = payloadVersion(current);
+  }
+  return current;
+}
+
+// --- Normalization: fill defaults so rounds saved before a field existed still render ---
+function normalizeRound(r, { id: sessionId, date }) {
+  if (!isPlainObject(r)) throw new Error("Round is not an object.");
+  if (!isPlainObject(r.scores)) throw new Error(`Round ${r.id ?? "?"} has no scores.`);
+  return {
+    ...r,
+    id: String(r.id ?? `${date}-${r.round}`),
+    mode: r.mode ?? "Normal",
+    players: Array.isArray(r.players) ? r.players : Object.keys(r.scores),
+    friends: Array.isArray(r.friends) ? r.friends : [],
+    date: r.date ?? date,
+    sessionId: r.sessionId ?? sessionId,
+    rules: isPlainObject(r.rules) ? r.rules : STANDARD_RULES,
+  };
+}
+
+function normalizeSession(s, id) {
+  if (!isPlainObject(s)) throw new Error(`Session ${id} is not an object.`);
+  if (!Array.isArray(s.players)) throw new Error(`Session ${id} has no players.`);
+  if (typeof s.date !== "string") throw new Error(`Session ${id} has no date.`);
+  const rounds = Array.isArray(s.rounds) ? s.rounds.map((r) => normalizeRound(r, { id, date: s.date })) : [];
+  return {
+    ...s,
+    id,
+    label: s.label ?? "",
+    startedAt: s.startedAt ?? new Date(s.date).toISOString(),
+    rounds,
+    deletedRounds: Array.isArray(s.deletedRounds) ? s.deletedRounds : [],
+    currentRound: Number.isInteger(s.currentRound) ? s.currentRound : rounds.length + 1,
+    rulesId: s.rulesId ?? STANDARD_RULES.id,
+  };
+}
+
+export function normalizeGameData(gameData) {
+  if (!isPlainObject(gameData)) throw new Error("gameData is not an object.");
+  return Object.fromEntries(
+    Object.entries(gameData).map(([id, s]) => [id, normalizeSession(s, id)])
+  );
+}
+
+function quarantine(storage, key, raw) {
+  const copyKey = `${QUARANTINE_PREFIX}${Date.now()}`;
+  try {
+    storage.setItem(copyKey, raw);
+    storage.removeItem(key);
+    return copyKey;
+  } catch {
+    // If we can't copy it, leave the original in place rather than lose it;
+    // loadAppState flags this so the app holds off saving over it
+    return null;
+  }
+}
+
+/**
+ * Returns { state, error }. state ({ gameData, ruleSets, roster, seasons }) is null when nothing
+ * usable was stored; error is set when stored data had to be quarantined or
+ * storage is unavailable. If the unreadable data couldn't be copied aside,
+ * error.blocksSaving is true: it is still under `key` and saving would overwrite it.
+ */
+export function loadAppState({ key = STORAGE_KEY, storage = getStorage() } = {}) {
+  if (!storage) {
+    return { state: null, error: { message: "Browser storage is unavailable; data will not be saved." } };
+  }
+  const raw = storage.getItem(key);
+  if (raw == null) return { state: null, error: null };
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!isPlainObject(parsed)) throw new Error("Saved data is not an object.");
+    const { gameData, ruleSets, roster, seasons } = migrate(parsed);
+    if (!Array.isArray(ruleSets)) throw new Error("ruleSets is not a list.");
+    if (!Array.isArray(roster)) throw new Error("roster is not a list.");
+    if (!Array.isArray(seasons)) throw new Error("seasons is not a list.");
+    return { state: { gameData: normalizeGameData(gameData), ruleSets, roster, seasons }, error: null };
+  } catch (err) {
+    const quarantineKey = quarantine(storage, key, raw);
+    return {
+      state: null,
+      error: {
+        message: `Saved data could not be loaded: ${err.message}`,
+        quarantineKey,
+        ...(quarantineKey ? {} : { blocksSaving: true, key }),
+      },
+    };
+  }
+}
+
+/** Returns null on success, or an error object (e.g. quota exceeded). */
+export function saveAppState({ gameData, ruleSets, roster, seasons = [] }, { key = STORAGE_KEY, storage = getStorage() } = {}) {
+  if (!storage) return { message: "Browser storage is unavailable." };
+  try {
+    storage.setItem(
+      key,
+      JSON.stringify({ schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), gameData, ruleSets, roster, seasons })
+    );
+    return null;
+  } catch (err) {
+    return { message: `Could not save: ${err.message}` };
+  }
+}
+
+/**
+ * { activeId, list } where list is [{ id, name, code, role, memberId, memberName, token }]
+ * and activeId is null while the tracker runs on this device's data only.
+ */
+export function loadWorkspaces(storage = getStorage()) {
+  const empty = { activeId: null, list: [] };
+  try {
+    const parsed = JSON.parse(storage?.getItem(WORKSPACES_KEY) ?? "null");
+    if (!isPlainObject(parsed) || !Array.isArray(parsed.list)) return empty;
+    const activeId = parsed.list.some((w) => w.id === parsed.activeId) ? parsed.activeId : null;
+    return { activeId, list: parsed.list };
+  } catch {
+    return empty;
+  }
+}
+
+export function saveWorkspaces(workspaces, storage = getStorage()) {
+  try {
+    storage?.setItem(WORKSPACES_KEY, JSON.stringify(workspaces));
+  } catch {
+    // The tracker still works for this visit; the membership is just not remembered
+  }
+}
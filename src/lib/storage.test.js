@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { loadAppState, STORAGE_KEY } from "./storage.js";
+
+function memoryStorage(items = {}, { full = false } = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => {
+      if (full) throw new Error("QuotaExceededError");
+      map.set(k, v);
+    },
+    removeItem: (k) => map.delete(k),
+    keys: () => [...map.keys()],
+  };
+}
+
+describe("loadAppState with unreadable data", () => {
+  it("copies it aside and lets the app save", () => {
+    const storage = memoryStorage({ [STORAGE_KEY]: "{not json" });
+    const { state, error } = loadAppState({ storage });
+    expect(state).toBeNull();
+    expect(error.quarantineKey).toMatch(/./);
+    expect(error.blocksSaving).toBeUndefined();
+    expect(storage.getItem(error.quarantineKey)).toBe("{not json");
+    expect(storage.getItem(STORAGE_KEY)).toBeNull();
+  });
+
+  it("leaves it in place and blocks saving when it can't be copied", () => {
+    const storage = memoryStorage({ [STORAGE_KEY]: "{not json" }, { full: true });
+    const { error } = loadAppState({ storage });
+    expect(error.quarantineKey).toBeNull();
+    expect(error.blocksSaving).toBe(true);
+    expect(error.key).toBe(STORAGE_KEY);
+    expect(storage.getItem(STORAGE_KEY)).toBe("{not json");
+  });
+});
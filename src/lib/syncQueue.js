@@ -0,0 +1,144 @@
+/**
+ * Outbox of round writes waiting for the server, kept in IndexedDB so they
+ * survive reloads and closed tabs while there's no signal.
+ * - One entry per workspace + round id: { key, workspaceId, roundId, payload,
+ *   queuedAt, attempts, lastError, rejected }. Queueing a newer copy of a
+ *   round replaces the waiting one
+ * - Round IDs make sends idempotent: the server upserts by id, so a push
+ *   retried after a lost response doesn't duplicate the round
+ * - flushQueue sends entries oldest first; a network or server failure stops
+ *   the flush and the caller backs off (see usePolling in lib/live.js)
+ * - A write the server refuses as invalid (400/422) stays queued with its
+ *   error but isn't retried until the round changes again
+ * - Without IndexedDB (some private modes) the outbox lives in memory
+ */
+
+import { saveRound } from "./cloudSync.js";
+
+const DB_NAME = "finding-friends-sync";
+const STORE = "pendingWrites";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "key" }).createIndex("workspaceId", "workspaceId");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function done(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const memory = new Map();
+const memoryStore = {
+  get: async (key) => memory.get(key),
+  put: async (entry) => void memory.set(entry.key, entry),
+  delete: async (key) => void memory.delete(key),
+  list: async (workspaceId) => Array.from(memory.values()).filter((e) => e.workspaceId === workspaceId),
+};
+
+// Runs fn against the store in one transaction and waits for it to commit
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return fn(memoryStore);
+  const tx = db.transaction(STORE, mode);
+  const committed = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const store = tx.objectStore(STORE);
+  const result = await fn({
+    get: (key) => done(store.get(key)),
+    put: (entry) => done(store.put(entry)),
+    delete: (key) => done(store.delete(key)),
+    list: (workspaceId) => done(store.index("workspaceId").getAll(workspaceId)),
+  });
+  await committed;
+  return result;
+}
+
+const entryKey = (workspaceId, roundId) => `${workspaceId}:${roundId}`;
+
+function isRetryable(err) {
+  return err.offline || !err.status || err.status >= 500 || err.status === 401 || err.status === 408 || err.status === 429;
+}
+
+/** Queues roundPayloads; a round already waiting in the same version is left alone. */
+export async function queueRounds(workspaceId, payloads) {
+  if (!payloads.length) return;
+  await withStore("readwrite", async (store) => {
+    for (const payload of payloads) {
+      const key = entryKey(workspaceId, payload.id);
+      const waiting = await store.get(key);
+      if (waiting && waiting.payload.updatedAt === payload.updatedAt && waiting.payload.deletedAt === payload.deletedAt) continue;
+      await store.put({
+        key,
+        workspaceId,
+        roundId: payload.id,
+        payload,
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        lastError: "",
+        rejected: false,
+      });
+    }
+  });
+}
+
+/** Entries waiting for the workspace, oldest first. */
+export async function queuedWrites(workspaceId) {
+  const entries = await withStore("readonly", (store) => store.list(workspaceId));
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+export async function clearQueue(workspaceId) {
+  await withStore("readwrite", async (store) => {
+    for (const entry of await store.list(workspaceId)) await store.delete(entry.key);
+  });
+}
+
+// Settles an entry unless a newer copy of the round was queued while it was in flight
+async function settle(entry, changes) {
+  await withStore("readwrite", async (store) => {
+    const current = await store.get(entry.key);
+    if (!current || current.queuedAt !== entry.queuedAt) return;
+    if (changes) await store.put({ ...current, ...changes });
+    else await store.delete(entry.key);
+  });
+}
+
+/**
+ * Sends every retryable entry through saveGame. Returns { results, failed }
+ * where results is [{ roundId, round, conflict, denied }] for the sent ones
+ * and failed is the SyncError that stopped the flush, if any.
+ */
+export async function flushQueue(workspaceId, token) {
+  const results = [];
+  for (const entry of await queuedWrites(workspaceId)) {
+    if (entry.rejected) continue;
+    try {
+      const result = await saveRound(entry.payload, token);
+      await settle(entry, null);
+      results.push({ roundId: entry.roundId, ...result });
+    } catch (err) {
+      const retry = isRetryable(err);
+      await settle(entry, { attempts: entry.attempts + 1, lastError: err.message, rejected: !retry });
+      if (retry) return { results, failed: err };
+    }
+  }
+  return { results, failed: null };
+}
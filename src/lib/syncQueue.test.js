@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { clearQueue, flushQueue, queuedWrites, queueRounds } from "./syncQueue.js";
+import { MAX_POLL_DELAY, nextPollDelay, POLL_INTERVAL } from "./live.js";
+
+// No IndexedDB under Node, so the outbox runs on its in-memory store.
+// fetch answers saveGame with the next queued response per call.
+const WORKSPACE = "w-1";
+let responses;
+let sent;
+
+function respond(...list) {
+  responses = list;
+}
+
+beforeEach(async () => {
+  await clearQueue(WORKSPACE);
+  sent = [];
+  responses = [];
+  vi.stubGlobal("fetch", async (_url, { body }) => {
+    const { round } = JSON.parse(body);
+    sent.push(round.id);
+    const next = responses.shift() ?? { status: 200 };
+    if (next.network) throw new TypeError("Failed to fetch");
+    return { status: next.status, json: async () => next.body ?? { round } };
+  });
+});
+
+afterEach(() => vi.unstubAllGlobals());
+
+const payload = (id, updatedAt = "2026-01-01T20:00:00.000Z") => ({ id, updatedAt });
+
+async function queue(...ids) {
+  // One at a time so queuedAt keeps them in order
+  for (const id of ids) {
+    await queueRounds(WORKSPACE, [payload(id)]);
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  }
+}
+
+describe("flushQueue", () => {
+  it("sends entries oldest first and clears them once the server has them", async () => {
+    await queue("r1", "r2");
+    const { results, failed } = await flushQueue(WORKSPACE, "token");
+    expect(failed).toBeNull();
+    expect(sent).toEqual(["r1", "r2"]);
+    expect(results.map((r) => r.roundId)).toEqual(["r1", "r2"]);
+    expect(await queuedWrites(WORKSPACE)).toEqual([]);
+  });
+
+  it("keeps every round on a network error and stops the flush", async () => {
+    await queue("r1", "r2");
+    respond({ network: true });
+    const { failed } = await flushQueue(WORKSPACE, "token");
+    expect(failed.offline).toBe(true);
+    expect(sent).toEqual(["r1"]);
+    const waiting = await queuedWrites(WORKSPACE);
+    expect(waiting.map((e) => [e.roundId, e.attempts, e.rejected])).toEqual([["r1", 1, false], ["r2", 0, false]]);
+    expect(waiting[0].lastError).toMatch(/Network error/);
+  });
+
+  it.each([500, 401, 429])("retries a %i on the next flush", async (status) => {
+    await queue("r1");
+    respond({ status, body: { error: "try later" } });
+    expect((await flushQueue(WORKSPACE, "token")).failed.status).toBe(status);
+    expect((await flushQueue(WORKSPACE, "token")).failed).toBeNull();
+    expect(sent).toEqual(["r1", "r1"]);
+    expect(await queuedWrites(WORKSPACE)).toEqual([]);
+  });
+
+  it.each([400, 422])("sets a %i aside without retrying it and carries on", async (status) => {
+    await queue("r1", "r2");
+    respond({ status, body: { error: "Scores do not match the round's rules" } });
+    const { results, failed } = await flushQueue(WORKSPACE, "token");
+    expect(failed).toBeNull();
+    expect(results.map((r) => r.roundId)).toEqual(["r2"]);
+    const [entry] = await queuedWrites(WORKSPACE);
+    expect(entry).toMatchObject({ roundId: "r1", rejected: true, lastError: "Scores do not match the round's rules" });
+
+    await flushQueue(WORKSPACE, "token");
+    expect(sent).toEqual(["r1", "r2"]);
+  });
+
+  it("retries a refused round once it changes again", async () => {
+    await queue("r1");
+    respond({ status: 422, body: { error: "bad" } });
+    await flushQueue(WORKSPACE, "token");
+    await queueRounds(WORKSPACE, [payload("r1", "2026-01-01T21:00:00.000Z")]);
+    await flushQueue(WORKSPACE, "token");
+    expect(sent).toEqual(["r1", "r1"]);
+    expect(await queuedWrites(WORKSPACE)).toEqual([]);
+  });
+
+  it("reports conflicts and refused deletes as results, not failures", async () => {
+    await queue("r1", "r2");
+    respond({ status: 409, body: { round: { id: "r1" } } }, { status: 403, body: { round: { id: "r2" } } });
+    const { results, failed } = await flushQueue(WORKSPACE, "token");
+    expect(failed).toBeNull();
+    expect(results.map((r) => [r.roundId, r.conflict, r.denied])).toEqual([["r1", true, false], ["r2", false, true]]);
+  });
+
+  it("leaves the same version of a waiting round alone", async () => {
+    await queue("r1");
+    const [before] = await queuedWrites(WORKSPACE);
+    await queueRounds(WORKSPACE, [payload("r1")]);
+    expect(await queuedWrites(WORKSPACE)).toEqual([before]);
+  });
+});
+
+describe("retry backoff", () => {
+  it("doubles the delay per failure up to the cap", () => {
+    expect(nextPollDelay(0)).toBe(POLL_INTERVAL);
+    expect(nextPollDelay(1)).toBe(POLL_INTERVAL * 2);
+    expect(nextPollDelay(2)).toBe(POLL_INTERVAL * 4);
+    expect(nextPollDelay(10)).toBe(MAX_POLL_DELAY);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Workspace memberships on this device.
+ * - A workspace is one friend group's shared data on the server; this device
+ *   holds a member token for every workspace it joined (see cloudSync.js)
+ * - workspaces = { activeId, list } is persisted by storage.js; activeId null
+ *   means the tracker works on this device's data only
+ * - Admins may delete rounds and rename or merge players; members can record
+ *   and edit rounds and add new players. Without a workspace nothing is restricted
+ */
+
+export const JOIN_PARAM = "join";
+
+/** Server response ({ workspace, member, token }) -> stored membership. */
+export function toMembership({ workspace, member, token }) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    code: workspace.code,
+    role: member.role,
+    memberId: member.id,
+    memberName: member.name,
+    token,
+  };
+}
+
+export function activeMembership(workspaces) {
+  return workspaces.list.find((w) => w.id === workspaces.activeId) ?? null;
+}
+
+export function isAdmin(membership) {
+  return !membership || membership.role === "admin";
+}
+
+/** Adds or refreshes a membership and switches to it. */
+export function withMembership(workspaces, membership) {
+  return {
+    activeId: membership.id,
+    list: [...workspaces.list.filter((w) => w.id !== membership.id), membership],
+  };
+}
+
+export function updateMembership(workspaces, id, changes) {
+  return { ...workspaces, list: workspaces.list.map((w) => (w.id === id ? { ...w, ...changes } : w)) };
+}
+
+export function withoutMembership(workspaces, id) {
+  return {
+    activeId: workspaces.activeId === id ? null : workspaces.activeId,
+    list: workspaces.list.filter((w) => w.id !== id),
+  };
+}
+
+export function joinLink(code, location = window.location) {
+  return `${location.origin}${location.pathname}?${JOIN_PARAM}=${encodeURIComponent(code)}`;
+}
+
+/** The join code from a ?join= link, or "" when there is none. */
+export function readJoinCode(search = window.location.search) {
+  return new URLSearchParams(search).get(JOIN_PARAM)?.trim() ?? "";
+}
@@ -0,0 +1,59 @@
+/* global PRECACHE_FILES, BUILD_VERSION */
+/**
+ * Service worker, built into dist/sw.js by the serviceWorker plugin in
+ * vite.config.js (which defines PRECACHE_FILES and BUILD_VERSION).
+ * - Install caches the whole build, so the app opens with no signal
+ * - Page loads go to the network first and fall back to the cached shell;
+ *   hashed assets are served from the cache
+ * - Netlify function calls are never cached: sync handles being offline
+ * - Each build gets its own cache; activating a new one drops the old
+ */
+
+const CACHE = `finding-friends-${BUILD_VERSION}`;
+const SHELL = "/index.html";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(["/", ...PRECACHE_FILES.map((f) => `/${f}`)]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("finding-friends-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/.netlify/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(SHELL, { cacheName: CACHE }))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE }).then(
+      (cached) =>
+        cached ??
+        fetch(request).then((res) => {
+          if (res.ok && url.pathname.startsWith("/assets/")) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
@@ -1,7 +1,38 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Builds src/sw.js into dist/sw.js with the list of files to precache, so
+// every deploy gets a new service worker and cache
+function serviceWorker() {
+  let publicDir
+  return {
+    name: 'finding-friends:service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const files = [...Object.keys(bundle), ...readdirSync(publicDir)].filter((f) => !f.endsWith('.map')).sort()
+      const hash = createHash('sha256')
+      files.forEach((f) => {
+        const out = bundle[f]
+        hash.update(f).update(out ? (out.code ?? out.source) : readFileSync(`${publicDir}/${f}`))
+      })
+      const version = hash.digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE_FILES = ${JSON.stringify(files)};\nconst BUILD_VERSION = ${JSON.stringify(version)};\n${source}`,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })